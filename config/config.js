@@ -10,6 +10,12 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 module.exports = Object.freeze({
   serverPort: parseInt(process.env.SERVER_PORT, 10) || 9876,
 
+  // Used by start_hermes: 'api' only serves the REST API, 'worker' only bundles and uploads, 'combined' does both.
+  // Any number of 'api' processes can run against the same database next to the 'worker' ones.
+  processMode: process.env.PROCESS_MODE || 'worker',
+  // On SIGTERM or SIGINT the work in progress is given this much time to finish, Kubernetes kills the pod 30 seconds after SIGTERM by default
+  shutdownTimeout: parseInt(process.env.SHUTDOWN_TIMEOUT, 10) || 25000, // in ms
+
   web3Rpc: process.env.WEB3_RPC,
   nodePrivateKey: process.env.WEB3_NODEPRIVATEKEY,
   sentryDSN: process.env.SENTRY_DSN,
@@ -31,6 +37,26 @@ module.exports = Object.freeze({
   headContractAddress: process.env.HEAD_CONTRACT_ADDRESS,
   challengeResolutionStrategy: process.env.CHALLENGE_RESOLUTION_STRATEGY || 'resolve_all_strategy',
   uploadStrategy: process.env.UPLOAD_STRATEGY || 'regular_interval_upload_strategy',
+  uploadWorkerInterval: parseInt(process.env.WORKER_INTERVAL, 10) || 300000, // 5 minutes, in ms
+  uploadStoragePeriods: parseInt(process.env.UPLOAD_STORAGE_PERIODS, 10) || 1,
+  // JSON object mapping organization ids to storage periods, e.g. {"1": 4}, entities of other organizations use uploadStoragePeriods
+  // parsed and validated by the upload strategy
+  uploadOrganizationStoragePeriods: process.env.UPLOAD_ORGANIZATION_STORAGE_PERIODS,
+  uploadMinimumItems: parseInt(process.env.WORKER_MINIMUM_ITEMS, 10) || 1,
+  // in ms, how often entities marked as priority are bundled, the priority lane is disabled unless it is set
+  uploadPriorityInterval: parseInt(process.env.UPLOAD_PRIORITY_INTERVAL, 10) || null,
+  // only one Hermes instance bundles and uploads at a time, the lock is taken over by other instances if it's not refreshed in time
+  bundlingLockLeaseDuration: parseInt(process.env.BUNDLING_LOCK_LEASE_DURATION, 10) || 60000, // 1 minute, in ms
+
+  // Thresholds used by the threshold_upload_strategy, a bundle is uploaded as soon as any of them is reached
+  uploadThresholdItems: parseInt(process.env.UPLOAD_THRESHOLD_ITEMS, 10) || 1000,
+  uploadThresholdSize: parseInt(process.env.UPLOAD_THRESHOLD_SIZE, 10) || 1048576, // 1 MiB, in bytes
+  uploadThresholdMaxAge: parseInt(process.env.UPLOAD_THRESHOLD_MAX_AGE, 10) || 86400, // 1 day, in seconds
+
+  // Failed uploads are retried with exponentially growing delays, bundles failing permanently or too many times are dead-lettered
+  uploadRetryInitialDelay: parseInt(process.env.UPLOAD_RETRY_INITIAL_DELAY, 10) || 60, // 1 minute, in seconds
+  uploadRetryMaxDelay: parseInt(process.env.UPLOAD_RETRY_MAX_DELAY, 10) || 21600, // 6 hours, in seconds
+  uploadRetryMaxAttempts: parseInt(process.env.UPLOAD_RETRY_MAX_ATTEMPTS, 10) || 20,
 
   maximumEntityTimestampOvertake:
     parseInt(process.env.MAXIMUM_ENTITY_TIMESTAMP_OVERTAKE, 10) || 86400,
@@ -39,6 +65,13 @@ module.exports = Object.freeze({
     process.env.AUTHORIZATION_WITH_SECRET_KEY_ENABLED === 'true' || false,
 
   defaultGasPrice: parseInt(process.env.DEFAULT_GAS_PRICE, 10) || 5, // in ambits
+  // 'fixed' always uses defaultGasPrice, 'median' follows the median gas price of transactions in recent blocks
+  gasPriceStrategy: process.env.GAS_PRICE_STRATEGY || 'fixed',
+  gasPriceBlocksCount: parseInt(process.env.GAS_PRICE_BLOCKS_COUNT, 10) || 20,
+  gasPriceCeiling: parseInt(process.env.GAS_PRICE_CEILING, 10) || 50, // in ambits
+  // a transaction not mined within the timeout is replaced with one paying a higher gas price
+  transactionReplacementTimeout: parseInt(process.env.TRANSACTION_REPLACEMENT_TIMEOUT, 10) || 180000, // 3 minutes, in ms
+  gasPriceBumpPercent: parseInt(process.env.GAS_PRICE_BUMP_PERCENT, 10) || 20, // at least 10, otherwise nodes refuse the replacement
 
   gitCommit: process.env.GIT_COMMIT,
 
@@ -46,5 +79,41 @@ module.exports = Object.freeze({
 
   requestSizeLimit: process.env.REQUEST_SIZE_LIMIT || '1mb',
 
-  workerLogsTTLInSeconds: process.env.WORKER_LOGS_TTL || 172800 // 2 days
+  workerLogsTTLInSeconds: process.env.WORKER_LOGS_TTL || 172800, // 2 days
+
+  cleanupWorkerInterval: parseInt(process.env.CLEANUP_WORKER_INTERVAL, 10) || 3600000, // 1 hour, in ms
+  cleanupDryRun: process.env.CLEANUP_DRY_RUN === 'true' || false,
+  cleanupGracePeriod: parseInt(process.env.CLEANUP_GRACE_PERIOD, 10) || 86400, // 1 day, in seconds, only bundles stored earlier can be removed before they are sheltered
+
+  apolloWorkerInterval: parseInt(process.env.APOLLO_WORKER_INTERVAL, 10) || 300000, // 5 minutes, in ms
+  apolloInspectedBlocksCount: parseInt(process.env.APOLLO_INSPECTED_BLOCKS_COUNT, 10) || 100,
+
+  // one of 'mongo', 'gridfs', 'filesystem' or 's3', all but 'mongo' lift the 16 MB document size limit from bundles
+  bundleStorageBackend: process.env.BUNDLE_STORAGE_BACKEND || 'mongo',
+  bundleStorageDirectory: process.env.BUNDLE_STORAGE_DIRECTORY || './data/bundles',
+  // the size of the directory is computed by reading the size of every file, so it's reused for a while
+  bundleStorageSizeCacheTime: parseInt(process.env.BUNDLE_STORAGE_SIZE_CACHE_TIME, 10) || 60000, // 1 minute, in ms
+  bundleStorageS3Endpoint: process.env.BUNDLE_STORAGE_S3_ENDPOINT || 'https://s3.amazonaws.com',
+  bundleStorageS3Bucket: process.env.BUNDLE_STORAGE_S3_BUCKET,
+  bundleStorageS3Region: process.env.BUNDLE_STORAGE_S3_REGION || 'us-east-1',
+  bundleStorageS3AccessKeyId: process.env.BUNDLE_STORAGE_S3_ACCESS_KEY_ID,
+  bundleStorageS3SecretAccessKey: process.env.BUNDLE_STORAGE_S3_SECRET_ACCESS_KEY,
+  bundleStorageS3RequestTimeout: parseInt(process.env.BUNDLE_STORAGE_S3_REQUEST_TIMEOUT, 10) || 30000, // in ms, without any data transferred
+  bundleStorageCompression: process.env.BUNDLE_STORAGE_COMPRESSION || null, // 'gzip', 'deflate' or 'br', stored uncompressed if not set
+
+  bundleDownloadMaxSize: parseInt(process.env.BUNDLE_DOWNLOAD_MAX_SIZE, 10) || 67108864, // 64 MiB, in bytes, after decompression
+  bundleDownloadConnectTimeout: parseInt(process.env.BUNDLE_DOWNLOAD_CONNECT_TIMEOUT, 10) || 10000, // in ms
+  bundleDownloadReadTimeout: parseInt(process.env.BUNDLE_DOWNLOAD_READ_TIMEOUT, 10) || 60000, // in ms
+
+  atlasChallengeDownloadConcurrency: parseInt(process.env.ATLAS_CHALLENGE_DOWNLOAD_CONCURRENCY, 10) || 1,
+  atlasMaxChallengeResolutionsPerInterval: parseInt(process.env.ATLAS_MAX_CHALLENGE_RESOLUTIONS_PER_INTERVAL, 10) || 1,
+
+  // Thresholds used by the economic_strategy challenge resolution strategy
+  economicStrategyMaxStoragePeriods: parseInt(process.env.ECONOMIC_STRATEGY_MAX_STORAGE_PERIODS, 10) || 4,
+  economicStrategyDiskBudget: parseInt(process.env.ECONOMIC_STRATEGY_DISK_BUDGET, 10) || 10737418240, // 10 GiB, in bytes
+  economicStrategyMaxBundleSize: parseInt(process.env.ECONOMIC_STRATEGY_MAX_BUNDLE_SIZE, 10) || 16777216, // 16 MiB, in bytes
+  economicStrategyMinRewardToCostRatio: parseFloat(process.env.ECONOMIC_STRATEGY_MIN_REWARD_TO_COST_RATIO) || 1.5,
+  economicStrategyResolutionGas: parseInt(process.env.ECONOMIC_STRATEGY_RESOLUTION_GAS, 10) || 200000,
+  economicStrategyMinSheltererSuccessRate: parseFloat(process.env.ECONOMIC_STRATEGY_MIN_SHELTERER_SUCCESS_RATE) || 0.5,
+  economicStrategyMinSheltererAttempts: parseInt(process.env.ECONOMIC_STRATEGY_MIN_SHELTERER_ATTEMPTS, 10) || 5
 });
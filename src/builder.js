@@ -25,6 +25,7 @@ import EntityBuilder from './services/entity_builder';
 import EntityDownloader from './services/entity_downloader';
 import EntityRepository from './services/entity_repository';
 import WorkerLogRepository from './services/worker_log_repository';
+import WorkerTaskTrackingRepository from './services/worker_task_tracking_repository';
 import FindEventQueryObjectFactory from './services/find_event_query_object';
 import FindAccountQueryObjectFactory from './services/find_account_query_object';
 import FindAssetQueryObjectFactory from './services/find_asset_query_object';
@@ -33,13 +34,32 @@ import {connectToMongo} from './utils/db_utils';
 import HttpsClient from './utils/https_client';
 import TokenAuthenticator from './utils/token_authenticator';
 import {createWeb3, getDefaultAddress} from './utils/web3_tools';
+import KycWhitelistRepository from './services/kyc_whitelist_repository';
 import RolesRepository, {Role} from './services/roles_repository';
 import UploadRepository from './services/upload_repository';
 import ChallengesRepository from './services/challenges_repository';
 import Migrator from './migrations/Migrator';
 import FailedChallengesCache from './services/failed_challenges_cache';
+import GasPriceOracle from './services/gas_price_oracle';
+import TransactionSender from './services/transaction_sender';
+import SheltererReputationRepository from './services/shelterer_reputation_repository';
+import BundleUploadAttemptsRepository from './services/bundle_upload_attempts_repository';
+
+export const ProcessMode = Object.freeze({
+  API: 'api',
+  WORKER: 'worker',
+  COMBINED: 'combined'
+});
 
 class Builder {
+  runsApi() {
+    return [ProcessMode.API, ProcessMode.COMBINED].includes(this.config.processMode);
+  }
+
+  runsWorker() {
+    return [ProcessMode.WORKER, ProcessMode.COMBINED].includes(this.config.processMode);
+  }
+
   async ensureAdminAccountExist() {
     await this.dataModelEngine.addAdminAccount();
   }
@@ -79,7 +99,11 @@ class Builder {
     this.kycWhitelistWrapper = new KycWhitelistWrapper(this.headWrapper, this.web3, defaultAddress);
     this.uploadActions = new UploadActions(this.uploadsWrapper, this.feesWrapper, this.shelteringWrapper);
 
+    const {gasPriceStrategy, defaultGasPrice, gasPriceCeiling, gasPriceBlocksCount, gasPriceBumpPercent, transactionReplacementTimeout} = this.config;
+    this.gasPriceOracle = new GasPriceOracle(this.web3, gasPriceStrategy, defaultGasPrice, gasPriceCeiling, gasPriceBlocksCount, gasPriceBumpPercent);
+    this.transactionSender = new TransactionSender(this.web3, this.gasPriceOracle, transactionReplacementTimeout);
     this.rolesRepository = new RolesRepository(this.rolesWrapper, this.configWrapper);
+    this.kycWhitelistRepository = new KycWhitelistRepository(this.kycWhitelistWrapper);
     const {lowFundsWarningAmount} = this.config;
     this.uploadRepository = new UploadRepository(
       this.web3,
@@ -89,19 +113,27 @@ class Builder {
       this.rolesWrapper,
       this.feesWrapper,
       this.configWrapper,
-      lowFundsWarningAmount
+      lowFundsWarningAmount,
+      this.uploadsWrapper,
+      this.transactionSender
     );
     this.challengesRepository = new ChallengesRepository(this.challengesWrapper,
-      this.configWrapper);
+      this.configWrapper, this.transactionSender);
     this.tokenAuthenticator = new TokenAuthenticator(this.identityManager);
     const {maximumEntityTimestampOvertake} = this.config;
     this.entityBuilder = new EntityBuilder(this.identityManager, maximumEntityTimestampOvertake);
-    this.entityRepository = new EntityRepository(this.db);
+    const {bundleStorageCompression, bundleStorageBackend} = this.config;
+    this.bundleStore = loadBundleStore(bundleStorageBackend, {db: this.db, config: this.config});
+    this.entityRepository = new EntityRepository(this.db, bundleStorageCompression, this.bundleStore);
     this.workerLogRepository = new WorkerLogRepository(this.db);
+    this.workerTaskTrackingRepository = new WorkerTaskTrackingRepository(this.db);
     this.findEventQueryObjectFactory = new FindEventQueryObjectFactory(this.db);
     this.findAssetQueryObjectFactory = new FindAssetQueryObjectFactory(this.db);
-    this.failedChallengesCache = new FailedChallengesCache();
-    this.httpsClient = new HttpsClient();
+    this.failedChallengesCache = new FailedChallengesCache(this.db);
+    this.sheltererReputationRepository = new SheltererReputationRepository(this.db);
+    this.bundleUploadAttemptsRepository = new BundleUploadAttemptsRepository(this.db);
+    const {bundleDownloadMaxSize, bundleDownloadConnectTimeout, bundleDownloadReadTimeout} = this.config;
+    this.httpsClient = new HttpsClient(bundleDownloadMaxSize, bundleDownloadConnectTimeout, bundleDownloadReadTimeout);
     this.entityDownloader = new EntityDownloader(this.httpsClient);
     this.accountRepository = new AccountRepository(this.db);
     this.findAccountQueryObjectFactory = new FindAccountQueryObjectFactory(this.db);
@@ -118,12 +150,27 @@ class Builder {
       findAssetQueryObjectFactory: this.findAssetQueryObjectFactory,
       accountAccessDefinitions: this.accountAccessDefinitions,
       mongoClient: this.client,
+      mongoTransactionsEnabled: Boolean(this.config.mongoReplicaSet),
       uploadRepository: this.uploadRepository,
       rolesRepository: this.rolesRepository,
-      workerLogRepository: this.workerLogRepository
+      workerLogRepository: this.workerLogRepository,
+      sheltererReputationRepository: this.sheltererReputationRepository,
+      challengesRepository: this.challengesRepository,
+      failedChallengesCache: this.failedChallengesCache,
+      bundleUploadAttemptsRepository: this.bundleUploadAttemptsRepository,
+      uploadRetryPolicy: {
+        initialDelay: this.config.uploadRetryInitialDelay,
+        maxDelay: this.config.uploadRetryMaxDelay,
+        maxAttempts: this.config.uploadRetryMaxAttempts
+      }
     });
     return {dataModelEngine: this.dataModelEngine, client: this.client, kycWhitelistWrapper: this.kycWhitelistWrapper};
   }
 }
 
+function loadBundleStore(backendName, dependencies) {
+  const BundleStore = require(`./services/bundle_stores/${backendName}_bundle_store`).default;
+  return new BundleStore(dependencies);
+}
+
 export default Builder;
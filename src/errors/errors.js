@@ -39,6 +39,17 @@ export class NotFoundError extends AmbrosusError {
   }
 }
 
+// an upload that will never succeed, so it should not be retried
+export class PermanentUploadError extends AmbrosusError {
+}
+
+export class WorkInProgressError extends AmbrosusError {
+}
+
+// the lease of a distributed lock expired, so another instance may have taken over the work
+export class LockLostError extends AmbrosusError {
+}
+
 export class JsonValidationError extends ValidationError {
   constructor(errors) {
     const messageForError = (err) => {
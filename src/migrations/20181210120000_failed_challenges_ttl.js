@@ -0,0 +1,15 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+// eslint-disable-next-line import/prefer-default-export
+export const up = async (db, config, logger) => {
+  await db.collection('failedChallenges').createIndex({challengeId: 1}, {unique: true});
+  await db.collection('failedChallenges').createIndex({expiresAt: 1}, {expireAfterSeconds: 0});
+  logger.info(`Added indexes to failed challenges with TTL based on expiration date`);
+};
@@ -20,13 +20,26 @@ import ensureJsonMime from '../middlewares/mime_middleware';
 import queryParameterProcessorMiddleware from '../middlewares/query_parameter_processor_middleware';
 
 export const createAssetHandler = (modelEngine) => async (req, res) => {
-  const createdAsset = await modelEngine.createAsset(req.body);
+  const createdAsset = await modelEngine.createAsset(req.body, req.query.priority === 'true');
 
   res.status(201)
     .type('json')
     .send(JSON.stringify(createdAsset));
 };
 
+export const createAssetsBatchHandler = (modelEngine) => async (req, res) => {
+  const {assets, mode} = req.body;
+  if (!Array.isArray(assets)) {
+    throw new ValidationError('The assets field should be an array');
+  }
+
+  const report = await modelEngine.createAssets(assets, mode);
+
+  res.status(200)
+    .type('json')
+    .send(JSON.stringify(report));
+};
+
 export const fetchAssetHandler = (modelEngine) => async (req, res) => {
   const asset = await modelEngine.getAsset(req.params.assetId);
   res.status(200)
@@ -34,12 +47,19 @@ export const fetchAssetHandler = (modelEngine) => async (req, res) => {
     .send(JSON.stringify(asset));
 };
 
+export const verifyAssetHandler = (modelEngine) => async (req, res) => {
+  const report = await modelEngine.verifyAsset(req.params.assetId);
+  res.status(200)
+    .type('json')
+    .send(JSON.stringify(report));
+};
+
 export const createEventHandler = (modelEngine) => async (req, res) => {
   if (req.params.assetId !== req.body.content.idData.assetId) {
     throw new ValidationError('The assetId in the path mismatches the one in the event body');
   }
 
-  const createdEvent = await modelEngine.createEvent(req.body);
+  const createdEvent = await modelEngine.createEvent(req.body, req.query.priority === 'true');
 
   res.status(201)
     .type('json')
@@ -47,6 +67,19 @@ export const createEventHandler = (modelEngine) => async (req, res) => {
   res.status(201).send();
 };
 
+export const createEventsBatchHandler = (modelEngine) => async (req, res) => {
+  const {events} = req.body;
+  if (!Array.isArray(events)) {
+    throw new ValidationError('The events field should be an array');
+  }
+
+  const report = await modelEngine.createEvents(events, req.params.assetId);
+
+  res.status(200)
+    .type('json')
+    .send(JSON.stringify(report));
+};
+
 export const findEventsPerAssetHandler = (modelEngine) => async (req, res) => {
   const queryParams = {...req.query, assetId: req.params.assetId};
   const {results, resultCount} = await modelEngine.findEvents(queryParams, req.tokenData);
@@ -77,10 +110,20 @@ const assetRouter = (tokenAuthenticator, identityManager, modelEngine, config) =
     asyncMiddleware(createAssetHandler(modelEngine))
   );
 
+  router.post('/batch',
+    ensureJsonMime,
+    bodyParser(config),
+    asyncMiddleware(createAssetsBatchHandler(modelEngine))
+  );
+
   router.get('/:assetId',
     asyncMiddleware(fetchAssetHandler(modelEngine))
   );
 
+  router.get('/:assetId/verification',
+    asyncMiddleware(verifyAssetHandler(modelEngine))
+  );
+
   router.post('/:assetId/events',
     ensureJsonMime,
     bodyParser(config),
@@ -91,6 +134,12 @@ const assetRouter = (tokenAuthenticator, identityManager, modelEngine, config) =
     asyncMiddleware(createEventHandler(modelEngine))
   );
 
+  router.post('/:assetId/events/batch',
+    ensureJsonMime,
+    bodyParser(config),
+    asyncMiddleware(createEventsBatchHandler(modelEngine))
+  );
+
   router.get('/:assetId/events/',
     accessTokenMiddleware(tokenAuthenticator, false),
     asyncMiddleware(findEventsPerAssetHandler(modelEngine))
@@ -9,12 +9,20 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 
 import express from 'express';
 import asyncMiddleware from '../middlewares/async_middleware';
+import {compress, supportedEncodings} from '../utils/compression_utils';
 
 export const getBundleHandler = (modelEngine) => async (req, res) => {
   const result = await modelEngine.getBundle(req.params.bundleId);
+  const encoding = req.acceptsEncodings([...supportedEncodings, 'identity']);
   res.status(200)
     .type('json')
-    .send(JSON.stringify(result));
+    .set('Vary', 'Accept-Encoding');
+  if (!encoding || encoding === 'identity') {
+    res.send(JSON.stringify(result));
+    return;
+  }
+  res.set('Content-Encoding', encoding)
+    .send(await compress(JSON.stringify(result), encoding));
 };
 
 export const getBundleMetadataHandler = (modelEngine) => async (req, res) => {
@@ -24,6 +32,13 @@ export const getBundleMetadataHandler = (modelEngine) => async (req, res) => {
     .send(JSON.stringify(result));
 };
 
+export const getEntityInclusionProofHandler = (modelEngine) => async (req, res) => {
+  const result = await modelEngine.getEntityInclusionProof(req.params.bundleId, req.params.entityId);
+  res.status(200)
+    .type('json')
+    .send(JSON.stringify(result));
+};
+
 const bundlesRouter = (modelEngine) => {
   const router = new express.Router();
   router.get('/:bundleId',
@@ -32,6 +47,9 @@ const bundlesRouter = (modelEngine) => {
   router.get('/:bundleId/info',
     asyncMiddleware(getBundleMetadataHandler(modelEngine))
   );
+  router.get('/:bundleId/proof/:entityId',
+    asyncMiddleware(getEntityInclusionProofHandler(modelEngine))
+  );
   return router;
 };
 
@@ -11,6 +11,9 @@ import express from 'express';
 import asyncMiddleware from '../middlewares/async_middleware';
 import accessTokenMiddleware from '../middlewares/access_token_middleware';
 import queryParameterProcessorMiddleware from '../middlewares/query_parameter_processor_middleware';
+import bodyParser from '../middlewares/body_parser';
+import ensureJsonMime from '../middlewares/mime_middleware';
+import {createEventsBatchHandler} from './assets';
 
 export const findEventsHandler = (modelEngine) => async (req, res) => {
   const {results, resultCount} = await modelEngine.findEvents(req.query, req.tokenData);
@@ -29,7 +32,14 @@ export const fetchEventHandler = (modelEngine) => async (req, res) => {
     .send(JSON.stringify(event));
 };
 
-const eventsRouter = (tokenAuthenticator, identityManager, modelEngine) => {
+export const verifyEventHandler = (modelEngine) => async (req, res) => {
+  const report = await modelEngine.verifyEvent(req.params.eventId);
+  res.status(200)
+    .type('json')
+    .send(JSON.stringify(report));
+};
+
+const eventsRouter = (tokenAuthenticator, identityManager, modelEngine, config) => {
   const router = new express.Router();
 
   router.get('/',
@@ -38,11 +48,21 @@ const eventsRouter = (tokenAuthenticator, identityManager, modelEngine) => {
     asyncMiddleware(findEventsHandler(modelEngine))
   );
 
+  router.post('/batch',
+    ensureJsonMime,
+    bodyParser(config),
+    asyncMiddleware(createEventsBatchHandler(modelEngine))
+  );
+
   router.get('/:eventId',
     accessTokenMiddleware(tokenAuthenticator, false),
     asyncMiddleware(fetchEventHandler(modelEngine))
   );
 
+  router.get('/:eventId/verification',
+    asyncMiddleware(verifyEventHandler(modelEngine))
+  );
+
   return router;
 };
 
@@ -0,0 +1,44 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import express from 'express';
+import asyncMiddleware from '../middlewares/async_middleware';
+import accessTokenMiddleware from '../middlewares/access_token_middleware';
+
+export const getSheltererReputationsHandler = (modelEngine) => async (req, res) => {
+  const results = await modelEngine.getSheltererReputations(req.tokenData);
+  res.status(200)
+    .type('json')
+    .send(JSON.stringify({
+      results,
+      resultCount: results.length
+    }));
+};
+
+export const getSheltererReputationHandler = (modelEngine) => async (req, res) => {
+  const result = await modelEngine.getSheltererReputation(req.params.sheltererId, req.tokenData);
+  res.status(200)
+    .type('json')
+    .send(JSON.stringify(result));
+};
+
+const shelterersRouter = (tokenAuthenticator, modelEngine) => {
+  const router = new express.Router();
+  router.get('/',
+    accessTokenMiddleware(tokenAuthenticator),
+    asyncMiddleware(getSheltererReputationsHandler(modelEngine))
+  );
+  router.get('/:sheltererId',
+    accessTokenMiddleware(tokenAuthenticator),
+    asyncMiddleware(getSheltererReputationHandler(modelEngine))
+  );
+  return router;
+};
+
+export default shelterersRouter;
@@ -0,0 +1,45 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+
+import express from 'express';
+import asyncMiddleware from '../middlewares/async_middleware';
+import accessTokenMiddleware from '../middlewares/access_token_middleware';
+
+export const getFailedUploadsHandler = (modelEngine) => async (req, res) => {
+  const results = await modelEngine.getFailedBundleUploads(req.tokenData);
+  res.status(200)
+    .type('json')
+    .send(JSON.stringify({
+      results,
+      resultCount: results.length
+    }));
+};
+
+export const requeueFailedUploadHandler = (modelEngine) => async (req, res) => {
+  const result = await modelEngine.requeueFailedBundleUpload(req.params.bundleId, req.tokenData);
+  res.status(200)
+    .type('json')
+    .send(JSON.stringify(result));
+};
+
+const uploadsRouter = (tokenAuthenticator, modelEngine) => {
+  const router = new express.Router();
+  router.get('/failed',
+    accessTokenMiddleware(tokenAuthenticator),
+    asyncMiddleware(getFailedUploadsHandler(modelEngine))
+  );
+  router.post('/failed/:bundleId/requeue',
+    accessTokenMiddleware(tokenAuthenticator),
+    asyncMiddleware(requeueFailedUploadHandler(modelEngine))
+  );
+  return router;
+};
+
+export default uploadsRouter;
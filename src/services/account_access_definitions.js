@@ -40,6 +40,10 @@ export default class AccountAccessDefinitions {
     }
   }
 
+  async ensureCanPrioritiseBundling(address) {
+    return this.ensureHasPermission(address, allPermissions.prioritiseBundling);
+  }
+
   async ensureCanAddAccount(address, newAccountRequest) {
     await this.ensureHasPermission(address, allPermissions.registerAccounts);
     this.validateAddAccountRequest(newAccountRequest);
@@ -26,4 +26,11 @@ export default class AccountRepository {
   async get(address) {
     return this.db.collection('accounts').findOne({address}, {fields: {_id: 0}});
   }
+
+  async findAddressesByOrganizations(organizations) {
+    return this.db.collection('accounts')
+      .find({organization: {$in: organizations}}, {projection: {address: 1}})
+      .map(({address}) => address)
+      .toArray();
+  }
 }
@@ -0,0 +1,40 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+/**
+ * Keeps the serialized bundle contents. Bundle ids and metadata always stay in the bundles collection,
+ * together with the location returned by storeContent, which is later passed to the other methods.
+ * @abstract
+ */
+export default class BundleStore {
+  // the content is kept in the bundle document itself, so it is bound by the BSON document size limit
+  get keepsContentInDocument() {
+    return false;
+  }
+
+  // eslint-disable-next-line no-unused-vars
+  async storeContent(bundleId, data) {
+    throw new Error('Should be implemented');
+  }
+
+  // eslint-disable-next-line no-unused-vars
+  async fetchContent(location) {
+    throw new Error('Should be implemented');
+  }
+
+  // eslint-disable-next-line no-unused-vars
+  async removeContent(location) {
+    throw new Error('Should be implemented');
+  }
+
+  // size in bytes of the contents kept on this node, apart from the bundles collection
+  async storageSize() {
+    return 0;
+  }
+}
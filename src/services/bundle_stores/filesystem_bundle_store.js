@@ -0,0 +1,87 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import fs from 'fs';
+import path from 'path';
+import {promisify} from 'util';
+import BundleStore from './bundle_store';
+
+const mkdir = promisify(fs.mkdir);
+const readdir = promisify(fs.readdir);
+const readFile = promisify(fs.readFile);
+const rename = promisify(fs.rename);
+const stat = promisify(fs.stat);
+const unlink = promisify(fs.unlink);
+const writeFile = promisify(fs.writeFile);
+
+export default class FilesystemBundleStore extends BundleStore {
+  constructor({config}) {
+    super();
+    this.directory = config.bundleStorageDirectory;
+    this.storageSizeCacheTime = config.bundleStorageSizeCacheTime || 0;
+    this.cachedStorageSize = null;
+    this.cachedStorageSizeTime = null;
+  }
+
+  async storeContent(bundleId, data) {
+    if (!/^\w+$/.test(bundleId)) {
+      throw new Error(`Invalid bundle id: ${bundleId}`);
+    }
+    await mkdir(this.directory, {recursive: true});
+    const fileName = `${bundleId}.bin`;
+    // written under a temporary name first, so that a crash never leaves a truncated content behind
+    const temporaryPath = this.filePath(`${fileName}.tmp`);
+    await writeFile(temporaryPath, data);
+    await rename(temporaryPath, this.filePath(fileName));
+    return {fileName};
+  }
+
+  async fetchContent({fileName}) {
+    return readFile(this.filePath(fileName));
+  }
+
+  async removeContent({fileName}) {
+    try {
+      await unlink(this.filePath(fileName));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+  }
+
+  async storageSize() {
+    if (this.cachedStorageSize === null || Date.now() - this.cachedStorageSizeTime >= this.storageSizeCacheTime) {
+      this.cachedStorageSize = await this.computeStorageSize();
+      this.cachedStorageSizeTime = Date.now();
+    }
+    return this.cachedStorageSize;
+  }
+
+  async computeStorageSize() {
+    let fileNames;
+    try {
+      fileNames = await readdir(this.directory);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return 0;
+      }
+      throw err;
+    }
+    let size = 0;
+    for (const fileName of fileNames) {
+      size += (await stat(this.filePath(fileName))).size;
+    }
+    return size;
+  }
+
+  filePath(fileName) {
+    return path.join(this.directory, fileName);
+  }
+}
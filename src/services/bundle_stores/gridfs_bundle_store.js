@@ -0,0 +1,39 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import {GridFSBucket} from 'mongodb';
+import BundleStore from './bundle_store';
+import {collectionSize, downloadFromBucket, uploadToBucket} from '../../utils/db_utils';
+
+const BUNDLE_CONTENTS_BUCKET = 'bundleContents';
+
+export default class GridFsBundleStore extends BundleStore {
+  constructor({db}) {
+    super();
+    this.db = db;
+    this.bucket = new GridFSBucket(db, {bucketName: BUNDLE_CONTENTS_BUCKET});
+  }
+
+  async storeContent(bundleId, data) {
+    const fileId = await uploadToBucket(this.bucket, bundleId, data);
+    return {fileId};
+  }
+
+  async fetchContent({fileId}) {
+    return downloadFromBucket(this.bucket, fileId);
+  }
+
+  async removeContent({fileId}) {
+    await this.bucket.delete(fileId);
+  }
+
+  async storageSize() {
+    return collectionSize(this.db, `${BUNDLE_CONTENTS_BUCKET}.chunks`);
+  }
+}
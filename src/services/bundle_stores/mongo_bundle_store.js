@@ -0,0 +1,28 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import BundleStore from './bundle_store';
+
+export default class MongoBundleStore extends BundleStore {
+  get keepsContentInDocument() {
+    return true;
+  }
+
+  async storeContent(bundleId, data) {
+    return {data};
+  }
+
+  async fetchContent({data}) {
+    return data.buffer;
+  }
+
+  async removeContent() {
+    // removed together with the bundle document
+  }
+}
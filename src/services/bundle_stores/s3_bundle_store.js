@@ -0,0 +1,113 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import http from 'http';
+import https from 'https';
+import crypto from 'crypto';
+import URL from 'url';
+import BundleStore from './bundle_store';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data)
+  .digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data)
+  .digest();
+
+/**
+ * Stores the contents in a bucket of an S3 compatible service (AWS S3, MinIO, ...), using path-style urls
+ * and requests signed with AWS Signature Version 4.
+ */
+export default class S3BundleStore extends BundleStore {
+  constructor({config}) {
+    super();
+    this.endpoint = URL.parse(config.bundleStorageS3Endpoint);
+    this.bucket = config.bundleStorageS3Bucket;
+    this.region = config.bundleStorageS3Region;
+    this.accessKeyId = config.bundleStorageS3AccessKeyId;
+    this.secretAccessKey = config.bundleStorageS3SecretAccessKey;
+    this.requestTimeout = config.bundleStorageS3RequestTimeout;
+  }
+
+  async storeContent(bundleId, data) {
+    const key = bundleId;
+    await this.performRequest('PUT', key, data);
+    return {key};
+  }
+
+  async fetchContent({key}) {
+    return this.performRequest('GET', key);
+  }
+
+  async removeContent({key}) {
+    await this.performRequest('DELETE', key);
+  }
+
+  objectPath(key) {
+    return `/${[this.bucket, ...key.split('/')].map(encodeURIComponent).join('/')}`;
+  }
+
+  signedHeaders(method, path, body, date = new Date()) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256(body);
+    const headers = {
+      host: this.endpoint.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const headerNames = Object.keys(headers).sort();
+    const canonicalHeaders = headerNames.map((name) => `${name}:${headers[name]}\n`).join('');
+    const signedHeaderNames = headerNames.join(';');
+    const canonicalRequest = [method, path, '', canonicalHeaders, signedHeaderNames, payloadHash].join('\n');
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = [dateStamp, this.region, 's3', 'aws4_request'].reduce(hmac, `AWS4${this.secretAccessKey}`);
+    const signature = hmac(signingKey, stringToSign).toString('hex');
+    return {
+      ...headers,
+      authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaderNames}, Signature=${signature}`
+    };
+  }
+
+  async performRequest(method, key, body = Buffer.alloc(0)) {
+    const path = this.objectPath(key);
+    const options = {
+      method,
+      protocol: this.endpoint.protocol,
+      hostname: this.endpoint.hostname,
+      port: this.endpoint.port,
+      path,
+      headers: {
+        ...this.signedHeaders(method, path, body),
+        'content-length': body.length
+      }
+    };
+    const agent = this.endpoint.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+      const request = agent.request(options, (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('error', reject);
+        res.on('end', () => {
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            return reject(new Error(`S3 ${method} request for ${key} failed with status ${res.statusCode}`));
+          }
+          resolve(Buffer.concat(chunks));
+        });
+      });
+      request.on('error', reject);
+      if (this.requestTimeout) {
+        request.setTimeout(this.requestTimeout, () => {
+          reject(new Error(`S3 ${method} request for ${key} timed out after ${this.requestTimeout} ms`));
+          request.abort();
+        });
+      }
+      request.end(body);
+    });
+  }
+}
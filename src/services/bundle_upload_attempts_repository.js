@@ -0,0 +1,73 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+
+import {getTimestamp} from '../utils/time_utils';
+
+export default class BundleUploadAttemptsRepository {
+  constructor(db) {
+    this.db = db;
+    this.blacklistedFields = {
+      _id: 0
+    };
+  }
+
+  async getAttemptsCount(bundleId) {
+    const uploadAttempts = await this.db.collection('bundleUploadAttempts').findOne({bundleId});
+    return uploadAttempts ? uploadAttempts.attempts : 0;
+  }
+
+  async recordFailedAttempt(bundleId, reason, retryAt) {
+    await this.db.collection('bundleUploadAttempts').updateOne(
+      {bundleId},
+      {
+        $inc: {attempts: 1},
+        $set: {reason, lastAttempt: getTimestamp(), retryAt, deadLettered: false}
+      },
+      {upsert: true}
+    );
+  }
+
+  async moveToDeadLetter(bundleId, reason) {
+    await this.db.collection('bundleUploadAttempts').updateOne(
+      {bundleId},
+      {
+        $inc: {attempts: 1},
+        $set: {reason, lastAttempt: getTimestamp(), retryAt: null, deadLettered: true}
+      },
+      {upsert: true}
+    );
+  }
+
+  async getPostponedBundleIds() {
+    return this.db.collection('bundleUploadAttempts').find({
+      $or: [
+        {deadLettered: true},
+        {retryAt: {$gt: getTimestamp()}}
+      ]
+    }, {projection: {bundleId: 1}})
+      .map(({bundleId}) => bundleId)
+      .toArray();
+  }
+
+  async getDeadLetteredBundles() {
+    return this.db.collection('bundleUploadAttempts').find({deadLettered: true}, {projection: this.blacklistedFields})
+      .sort({lastAttempt: 1})
+      .toArray();
+  }
+
+  async requeueDeadLetteredBundle(bundleId) {
+    const {value} = await this.db.collection('bundleUploadAttempts').findOneAndDelete({bundleId, deadLettered: true}, {projection: this.blacklistedFields});
+    return value;
+  }
+
+  async clearAttempts(bundleId) {
+    await this.db.collection('bundleUploadAttempts').deleteOne({bundleId});
+  }
+}
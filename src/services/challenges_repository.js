@@ -10,9 +10,10 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 import {put} from '../utils/dict_utils';
 
 export default class ChallengesRepository {
-  constructor(challengesWrapper, configWrapper) {
+  constructor(challengesWrapper, configWrapper, transactionSender) {
     this.challengesWrapper = challengesWrapper;
     this.configWrapper = configWrapper;
+    this.transactionSender = transactionSender;
   }
 
   filterOutFinishedChallenges(allChallenges, resolvedChallenges, timedOutChallenges, ownAddress) {
@@ -60,10 +61,27 @@ export default class ChallengesRepository {
     );
   }
 
+  async knownShelterers(bundleId) {
+    const challengeDuration = await this.configWrapper.challengeDuration();
+    const fromBlock = await this.challengesWrapper.earliestMeaningfulBlock(challengeDuration);
+    const bundleChallenges = this.extractChallengeFromEvent(await this.challengesWrapper.challenges(fromBlock), ['challengeId', 'sheltererId', 'bundleId'])
+      .filter((challenge) => challenge.bundleId === bundleId);
+    const bundleChallengeIds = new Set(bundleChallenges.map(({challengeId}) => challengeId));
+    const resolverIds = this.extractChallengeFromEvent(await this.challengesWrapper.resolvedChallenges(fromBlock), ['challengeId', 'resolverId'])
+      .filter(({challengeId}) => bundleChallengeIds.has(challengeId))
+      .map(({resolverId}) => resolverId);
+    return [...new Set([...bundleChallenges.map(({sheltererId}) => sheltererId), ...resolverIds])];
+  }
+
   async resolveChallenge(challengeId) {
     if (!await this.challengesWrapper.canResolve(challengeId)) {
       throw new Error('Unable to resolve challenge - boundary check fail');
     }
-    return this.challengesWrapper.resolve(challengeId);
+    const challenges = await this.challengesWrapper.contract();
+    return this.transactionSender.send(
+      challenges,
+      challenges.methods.resolve(challengeId),
+      {from: this.challengesWrapper.defaultAddress}
+    );
   }
 }
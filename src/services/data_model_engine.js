@@ -7,13 +7,73 @@ This Source Code Form is subject to the terms of the Mozilla Public License, v.
 This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
 */
 
-import {NotFoundError, PermissionError, ValidationError} from '../errors/errors';
+import {AmbrosusError, NotFoundError, PermanentUploadError, PermissionError, ValidationError} from '../errors/errors';
 import {getTimestamp} from '../utils/time_utils';
 import {pick, put} from '../utils/dict_utils';
 import allPermissions from '../utils/all_permissions';
+import {runInTransaction} from '../utils/db_utils';
+import {SheltererFailure} from './shelterer_reputation_repository';
+
+const TIMEOUT_ERROR_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+export const BatchMode = Object.freeze({
+  ATOMIC: 'atomic',
+  BEST_EFFORT: 'bestEffort'
+});
+
+const memoize = (func) => {
+  const cache = {};
+  return (...args) => {
+    const key = args.join(':');
+    if (!(key in cache)) {
+      cache[key] = func(...args);
+    }
+    return cache[key];
+  };
+};
+
+const ensureIsBatchItem = (item) => {
+  if (typeof item !== 'object' || item === null || Array.isArray(item)) {
+    throw new ValidationError('Every item in the batch should be an object');
+  }
+};
+
+const rejectedBatchItem = (itemId, err) => {
+  if (!(err instanceof AmbrosusError)) {
+    throw err;
+  }
+  return {...itemId, created: false, reason: err.message};
+};
+
+const batchReport = (results) => {
+  const createdCount = results.filter(({created}) => created).length;
+  return {
+    results,
+    createdCount,
+    rejectedCount: results.length - createdCount
+  };
+};
+
+const verificationCheck = async (check) => {
+  try {
+    const details = await check();
+    return {passed: true, ...details};
+  } catch (err) {
+    if (!(err instanceof AmbrosusError)) {
+      throw err;
+    }
+    return {passed: false, reason: err.message};
+  }
+};
+
+const verificationReport = (entityId, checks) => ({
+  ...entityId,
+  verified: Object.values(checks).every(({passed}) => passed),
+  checks
+});
 
 export default class DataModelEngine {
-  constructor({identityManager, tokenAuthenticator, entityBuilder, entityRepository, entityDownloader, accountRepository, findEventQueryObjectFactory, findAccountQueryObjectFactory, findAssetQueryObjectFactory, accountAccessDefinitions, mongoClient, uploadRepository, rolesRepository, workerLogRepository}) {
+  constructor({identityManager, tokenAuthenticator, entityBuilder, entityRepository, entityDownloader, accountRepository, findEventQueryObjectFactory, findAccountQueryObjectFactory, findAssetQueryObjectFactory, accountAccessDefinitions, mongoClient, mongoTransactionsEnabled = false, uploadRepository, rolesRepository, workerLogRepository, sheltererReputationRepository, challengesRepository, failedChallengesCache, bundleUploadAttemptsRepository, uploadRetryPolicy}) {
     this.identityManager = identityManager;
     this.tokenAuthenticator = tokenAuthenticator;
     this.entityBuilder = entityBuilder;
@@ -25,9 +85,15 @@ export default class DataModelEngine {
     this.findAssetQueryObjectFactory = findAssetQueryObjectFactory;
     this.accountAccessDefinitions = accountAccessDefinitions;
     this.mongoClient = mongoClient;
+    this.mongoTransactionsEnabled = mongoTransactionsEnabled;
     this.uploadRepository = uploadRepository;
     this.rolesRepository = rolesRepository;
     this.workerLogRepository = workerLogRepository;
+    this.sheltererReputationRepository = sheltererReputationRepository;
+    this.challengesRepository = challengesRepository;
+    this.failedChallengesCache = failedChallengesCache;
+    this.bundleUploadAttemptsRepository = bundleUploadAttemptsRepository;
+    this.uploadRetryPolicy = uploadRetryPolicy;
   }
 
   async addAdminAccount(address = this.identityManager.nodeAddress()) {
@@ -84,11 +150,14 @@ export default class DataModelEngine {
     return this.accountRepository.update(accountToChangeAddress, accountModificationRequest);
   }
 
-  async createAsset(asset) {
+  async createAsset(asset, priority = false) {
     this.entityBuilder.validateAsset(asset);
     const {createdBy: creatorAddress} = asset.content.idData;
 
     await this.accountAccessDefinitions.ensureCanCreateAsset(creatorAddress);
+    if (priority) {
+      await this.accountAccessDefinitions.ensureCanPrioritiseBundling(creatorAddress);
+    }
 
     const augmentedAsset = this.entityBuilder.setBundle(asset, null);
     const augmentedAssetWithUploadTimestamp = this.entityBuilder.setEntityUploadTimestamp(augmentedAsset);
@@ -96,11 +165,77 @@ export default class DataModelEngine {
     if (await this.entityRepository.getAsset(asset.assetId) !== null) {
       throw new ValidationError(`Asset with assetId=${asset.assetId} already exists`);
     }
-    await this.entityRepository.storeAsset(augmentedAssetWithUploadTimestamp);
+    await this.entityRepository.storeAsset(augmentedAssetWithUploadTimestamp, priority);
 
     return augmentedAssetWithUploadTimestamp;
   }
 
+  async createAssets(assets, mode = BatchMode.BEST_EFFORT) {
+    if (!Object.values(BatchMode).includes(mode)) {
+      throw new ValidationError(`Unknown batch mode ${mode}. Allowed modes are: ${Object.values(BatchMode)}`);
+    }
+    const results = new Array(assets.length);
+    const ensureCanCreateAsset = memoize(
+      (creatorAddress) => this.accountAccessDefinitions.ensureCanCreateAsset(creatorAddress)
+    );
+
+    const candidates = [];
+    const seenAssetIds = new Set();
+    for (const [index, asset] of assets.entries()) {
+      const assetId = asset ? asset.assetId : undefined;
+      try {
+        ensureIsBatchItem(asset);
+        this.entityBuilder.validateAsset(asset);
+        if (seenAssetIds.has(assetId)) {
+          throw new ValidationError(`Asset with assetId=${assetId} is duplicated in the batch`);
+        }
+        seenAssetIds.add(assetId);
+        await ensureCanCreateAsset(asset.content.idData.createdBy);
+        candidates.push({index, asset});
+      } catch (err) {
+        results[index] = rejectedBatchItem({assetId}, err);
+      }
+    }
+
+    const existingAssetIds = new Set(await this.entityRepository.findExistingAssetIds(
+      candidates.map(({asset}) => asset.assetId)
+    ));
+
+    const assetsToStore = [];
+    for (const {index, asset} of candidates) {
+      if (existingAssetIds.has(asset.assetId)) {
+        results[index] = rejectedBatchItem({assetId: asset.assetId},
+          new ValidationError(`Asset with assetId=${asset.assetId} already exists`));
+      } else {
+        const augmentedAsset = this.entityBuilder.setBundle(asset, null);
+        assetsToStore.push(this.entityBuilder.setEntityUploadTimestamp(augmentedAsset));
+        results[index] = {assetId: asset.assetId, created: true};
+      }
+    }
+
+    if (mode === BatchMode.ATOMIC) {
+      if (assetsToStore.length < assets.length) {
+        const abortedResults = results.map((result) => (result.created ?
+          {assetId: result.assetId, created: false, reason: 'Not stored, because other assets in the atomic batch were rejected'} :
+          result));
+        return batchReport(abortedResults);
+      }
+      await this.storeAssetsAtomically(assetsToStore);
+    } else {
+      await this.entityRepository.storeAssets(assetsToStore);
+    }
+
+    return batchReport(results);
+  }
+
+  async storeAssetsAtomically(assets) {
+    if (this.mongoTransactionsEnabled) {
+      await runInTransaction(this.mongoClient, (session) => this.entityRepository.storeAssets(assets, session));
+      return;
+    }
+    await this.entityRepository.storeAssetsOrNone(assets);
+  }
+
   async getAsset(assetId) {
     const asset = await this.entityRepository.getAsset(assetId);
     if (asset === null) {
@@ -131,11 +266,14 @@ export default class DataModelEngine {
     return await findAssetQueryObject.execute();
   }
 
-  async createEvent(event) {
+  async createEvent(event, priority = false) {
     this.entityBuilder.validateEvent(event);
     const {createdBy: creatorAddress, assetId} = event.content.idData;
 
     await this.accountAccessDefinitions.ensureCanCreateEvent(creatorAddress, event.content.idData.accessLevel);
+    if (priority) {
+      await this.accountAccessDefinitions.ensureCanPrioritiseBundling(creatorAddress);
+    }
 
     if (await this.entityRepository.getAsset(assetId) === null) {
       throw new ValidationError(`Target asset with id=${assetId} doesn't exist`);
@@ -147,11 +285,67 @@ export default class DataModelEngine {
     if (await this.entityRepository.getEvent(event.eventId) !== null) {
       throw new ValidationError(`Event with eventId=${event.eventId} already exists`);
     }
-    await this.entityRepository.storeEvent(augmentedEventWithUploadTimestamp);
+    await this.entityRepository.storeEvent(augmentedEventWithUploadTimestamp, priority);
 
     return augmentedEventWithUploadTimestamp;
   }
 
+  async createEvents(events, assetId) {
+    const results = new Array(events.length);
+    const ensureCanCreateEvent = memoize(
+      (creatorAddress, accessLevel) => this.accountAccessDefinitions.ensureCanCreateEvent(creatorAddress, accessLevel)
+    );
+
+    const candidates = [];
+    const seenEventIds = new Set();
+    for (const [index, event] of events.entries()) {
+      const eventId = event ? event.eventId : undefined;
+      try {
+        ensureIsBatchItem(event);
+        this.entityBuilder.validateEvent(event);
+        const {createdBy: creatorAddress, accessLevel} = event.content.idData;
+        if (assetId !== undefined && assetId !== event.content.idData.assetId) {
+          throw new ValidationError('The assetId in the path mismatches the one in the event body');
+        }
+        if (seenEventIds.has(eventId)) {
+          throw new ValidationError(`Event with eventId=${eventId} is duplicated in the batch`);
+        }
+        seenEventIds.add(eventId);
+        await ensureCanCreateEvent(creatorAddress, accessLevel);
+        candidates.push({index, event});
+      } catch (err) {
+        results[index] = rejectedBatchItem({eventId}, err);
+      }
+    }
+
+    const existingAssetIds = new Set(await this.entityRepository.findExistingAssetIds(
+      [...new Set(candidates.map(({event}) => event.content.idData.assetId))]
+    ));
+    const existingEventIds = new Set(await this.entityRepository.findExistingEventIds(
+      candidates.map(({event}) => event.eventId)
+    ));
+
+    const eventsToStore = [];
+    for (const {index, event} of candidates) {
+      try {
+        if (!existingAssetIds.has(event.content.idData.assetId)) {
+          throw new ValidationError(`Target asset with id=${event.content.idData.assetId} doesn't exist`);
+        }
+        if (existingEventIds.has(event.eventId)) {
+          throw new ValidationError(`Event with eventId=${event.eventId} already exists`);
+        }
+        const augmentedEvent = this.entityBuilder.setBundle(event, null);
+        eventsToStore.push(this.entityBuilder.setEntityUploadTimestamp(augmentedEvent));
+        results[index] = {eventId: event.eventId, created: true};
+      } catch (err) {
+        results[index] = rejectedBatchItem({eventId: event.eventId}, err);
+      }
+    }
+    await this.entityRepository.storeEvents(eventsToStore);
+
+    return batchReport(results);
+  }
+
   async getEvent(eventId, tokenData) {
     const accessLevel = await this.accountAccessDefinitions.getTokenCreatorAccessLevel(tokenData);
     const event = await this.entityRepository.getEvent(eventId, accessLevel);
@@ -168,6 +362,78 @@ export default class DataModelEngine {
     return await findEventQueryObject.execute();
   }
 
+  async verifyEvent(eventId) {
+    // data is never returned in the report, so the access level does not need to restrict the fetched event
+    const event = await this.entityRepository.getEvent(eventId, Number.MAX_SAFE_INTEGER);
+    if (event === null) {
+      throw new NotFoundError(`No event with id = ${eventId} found`);
+    }
+    const checks = {
+      entityHash: await verificationCheck(() => this.ensureHashMatches(eventId, event.content, `eventId value doesn't match the content hash`)),
+      dataHash: await verificationCheck(() => this.ensureHashMatches(event.content.idData.dataHash, event.content.data, `dataHash value doesn't match the data hash`)),
+      signature: await verificationCheck(() => this.identityManager.validateSignature(event.content.idData.createdBy, event.content.signature, event.content.idData)),
+      ...await this.verifyEntityAnchoring(eventId, event)
+    };
+    return verificationReport({eventId}, checks);
+  }
+
+  async verifyAsset(assetId) {
+    const asset = await this.getAsset(assetId);
+    const checks = {
+      entityHash: await verificationCheck(() => this.ensureHashMatches(assetId, asset.content, `assetId value doesn't match the content hash`)),
+      signature: await verificationCheck(() => this.identityManager.validateSignature(asset.content.idData.createdBy, asset.content.signature, asset.content.idData)),
+      ...await this.verifyEntityAnchoring(assetId, asset)
+    };
+    return verificationReport({assetId}, checks);
+  }
+
+  ensureHashMatches(hash, data, errorMessage) {
+    if (!this.identityManager.checkHashMatches(hash, data)) {
+      throw new ValidationError(errorMessage);
+    }
+  }
+
+  async verifyEntityAnchoring(entityId, entity) {
+    const bundleId = entity.metadata ? entity.metadata.bundleId : null;
+    const bundle = bundleId ? await this.entityRepository.getBundle(bundleId) : null;
+    const bundleMissingReason = bundleId ?
+      `No bundle with id = ${bundleId} found` :
+      'Entity has not been bundled yet';
+    if (bundle === null) {
+      const failedCheck = {passed: false, reason: bundleMissingReason};
+      return {bundleInclusion: failedCheck, bundleIntegrity: failedCheck, onChain: failedCheck};
+    }
+
+    return {
+      bundleInclusion: await verificationCheck(() => this.ensureBundleContainsEntity(bundle, entityId, entity)),
+      bundleIntegrity: await verificationCheck(() => {
+        this.entityBuilder.validateBundle(bundle);
+        return {bundleId};
+      }),
+      onChain: await verificationCheck(async () => {
+        const chainData = await this.uploadRepository.getBundleChainData(bundleId);
+        if (!chainData) {
+          throw new NotFoundError(`Bundle ${bundleId} is not registered on chain`);
+        }
+        const {transactionHash, blockNumber} = chainData;
+        return {transactionHash, blockNumber};
+      })
+    };
+  }
+
+  ensureBundleContainsEntity(bundle, entityId, entity) {
+    const entry = bundle.content.entries.find(({assetId, eventId}) => (assetId || eventId) === entityId);
+    if (!entry) {
+      throw new NotFoundError(`Entity ${entityId} is not an entry of the bundle ${bundle.bundleId}`);
+    }
+    // private events are published without data, so only the signed part of the entry is compared
+    const entryIdDataHash = this.identityManager.calculateHash(entry.content.idData);
+    if (entryIdDataHash !== this.identityManager.calculateHash(entity.content.idData) || entry.content.signature !== entity.content.signature) {
+      throw new ValidationError(`Entry of the bundle ${bundle.bundleId} doesn't match the stored entity ${entityId}`);
+    }
+    return {bundleId: bundle.bundleId};
+  }
+
   async getBundle(bundleId) {
     const bundle = await this.entityRepository.getBundle(bundleId);
     if (bundle === null) {
@@ -181,9 +447,34 @@ export default class DataModelEngine {
     return {...metadata, bundleId};
   }
 
-  async prepareBundleCandidate(bundleStubId) {
+  async getEntityInclusionProof(bundleId, entityId) {
+    const bundle = await this.getBundle(bundleId);
+    return this.entityBuilder.entryInclusionProof(bundle, entityId);
+  }
+
+  async bundleRetentionClasses(defaultStoragePeriods, organizationStoragePeriods = {}) {
+    const organizationsByStoragePeriods = {};
+    for (const [organization, storagePeriods] of Object.entries(organizationStoragePeriods)) {
+      if (storagePeriods !== defaultStoragePeriods) {
+        organizationsByStoragePeriods[storagePeriods] = [...(organizationsByStoragePeriods[storagePeriods] || []), parseInt(organization, 10)];
+      }
+    }
+
+    const retentionClasses = [];
+    for (const [storagePeriods, organizations] of Object.entries(organizationsByStoragePeriods)) {
+      const creators = await this.accountRepository.findAddressesByOrganizations(organizations);
+      if (creators.length > 0) {
+        retentionClasses.push({storagePeriods: parseInt(storagePeriods, 10), creators});
+      }
+    }
+    const excludedCreators = retentionClasses.reduce((acc, {creators}) => [...acc, ...creators], []);
+    return [...retentionClasses, {storagePeriods: defaultStoragePeriods, excludedCreators}];
+  }
+
+  async prepareBundleCandidate(bundleStubId, retentionClass = {}) {
     const bundleItemsCountLimit = await this.uploadRepository.bundleItemsCountLimit();
-    const notBundled = await this.entityRepository.fetchEntitiesForBundling(bundleStubId, bundleItemsCountLimit);
+    const {creators, excludedCreators, priorityOnly} = retentionClass;
+    const notBundled = await this.entityRepository.fetchEntitiesForBundling(bundleStubId, bundleItemsCountLimit, {creators, excludedCreators, priorityOnly});
 
     const nodeSecret = await this.identityManager.nodePrivateKey();
     const newBundle = this.entityBuilder.assembleBundle(notBundled.assets, notBundled.events, getTimestamp(), nodeSecret);
@@ -202,41 +493,246 @@ export default class DataModelEngine {
     await this.entityRepository.discardBundling(bundleStubId);
   }
 
-  async uploadAcceptedBundleCandidates() {
-    const waitingBundles = await this.entityRepository.findBundlesWaitingForUpload();
+  // must be called only by the holder of the bundling lock, as candidates of other workers would be discarded as well
+  async rejectAbandonedBundleCandidates() {
+    await this.entityRepository.discardAbandonedBundling();
+  }
+
+  async uploadAcceptedBundleCandidates(beforeEachUpload = async () => {}) {
+    const postponedBundleIds = await this.bundleUploadAttemptsRepository.getPostponedBundleIds();
+    const waitingBundles = (await this.entityRepository.findBundlesWaitingForUpload())
+      .filter(({bundleId}) => !postponedBundleIds.includes(bundleId));
     const summary = {
       ok: [],
-      failed: {}
+      reconciled: [],
+      failed: {},
+      deadLettered: []
     };
     for (const waitingBundle of waitingBundles) {
+      // an error thrown by the hook aborts the remaining uploads instead of being recorded as a failed upload
+      await beforeEachUpload(waitingBundle.bundleId);
       try {
         const {blockNumber, transactionHash} = await this.uploadRepository.uploadBundle(waitingBundle.bundleId, waitingBundle.metadata.storagePeriods);
         await this.entityRepository.storeBundleProofMetadata(waitingBundle.bundleId, blockNumber, transactionHash);
+        await this.bundleUploadAttemptsRepository.clearAttempts(waitingBundle.bundleId);
         summary.ok.push(waitingBundle.bundleId);
       } catch (err) {
-        summary.failed[waitingBundle.bundleId] = err;
+        // a previous attempt could have been mined after it was given up, then the retries fail with 'Bundle was already uploaded'
+        if (await this.tryToReconcileUploadedBundle(waitingBundle.bundleId)) {
+          summary.reconciled.push(waitingBundle.bundleId);
+        } else {
+          summary.failed[waitingBundle.bundleId] = err;
+          if (await this.recordFailedUpload(waitingBundle.bundleId, err)) {
+            summary.deadLettered.push(waitingBundle.bundleId);
+          }
+        }
       }
     }
     return summary;
   }
 
+  async reconcileUploadedBundles() {
+    const waitingBundles = await this.entityRepository.findBundlesWaitingForUpload();
+    const summary = {
+      reconciled: [],
+      failed: {}
+    };
+    for (const {bundleId} of waitingBundles) {
+      try {
+        if (await this.reconcileUploadedBundle(bundleId)) {
+          summary.reconciled.push(bundleId);
+        }
+      } catch (err) {
+        summary.failed[bundleId] = err;
+      }
+    }
+    return summary;
+  }
+
+  // returns true if the bundle has been uploaded by this node and its proof has been stored
+  async reconcileUploadedBundle(bundleId) {
+    const uploader = await this.uploadRepository.bundleUploader(bundleId);
+    // bundles uploaded by other nodes are left to fail, as this node never got the proof for them
+    if (uploader === null || uploader.toLowerCase() !== this.identityManager.nodeAddress().toLowerCase()) {
+      return false;
+    }
+    const chainData = await this.uploadRepository.getBundleChainData(bundleId);
+    if (!chainData) {
+      return false;
+    }
+    await this.entityRepository.storeBundleProofMetadata(bundleId, chainData.blockNumber, chainData.transactionHash);
+    await this.bundleUploadAttemptsRepository.clearAttempts(bundleId);
+    return true;
+  }
+
+  async tryToReconcileUploadedBundle(bundleId) {
+    try {
+      return await this.reconcileUploadedBundle(bundleId);
+    } catch (err) {
+      // the failed upload is recorded instead
+      return false;
+    }
+  }
+
+  async recordFailedUpload(bundleId, err) {
+    const {initialDelay, maxDelay, maxAttempts} = this.uploadRetryPolicy;
+    const attempts = await this.bundleUploadAttemptsRepository.getAttemptsCount(bundleId) + 1;
+    const reason = err.message || String(err);
+    if (err instanceof PermanentUploadError || attempts >= maxAttempts) {
+      await this.bundleUploadAttemptsRepository.moveToDeadLetter(bundleId, reason);
+      return true;
+    }
+    const retryDelay = Math.min(initialDelay * (2 ** (attempts - 1)), maxDelay);
+    await this.bundleUploadAttemptsRepository.recordFailedAttempt(bundleId, reason, getTimestamp() + retryDelay);
+    return false;
+  }
+
+  async getFailedBundleUploads(tokenData) {
+    await this.accountAccessDefinitions.ensureHasPermission(tokenData.createdBy, allPermissions.superAccount);
+    return this.bundleUploadAttemptsRepository.getDeadLetteredBundles();
+  }
+
+  async requeueFailedBundleUpload(bundleId, tokenData) {
+    await this.accountAccessDefinitions.ensureHasPermission(tokenData.createdBy, allPermissions.superAccount);
+    const requeuedUpload = await this.bundleUploadAttemptsRepository.requeueDeadLetteredBundle(bundleId);
+    if (!requeuedUpload) {
+      throw new NotFoundError(`No failed upload of bundle ${bundleId} found`);
+    }
+    return requeuedUpload;
+  }
+
   async downloadBundle(bundleId, sheltererId) {
+    try {
+      return await this.downloadBundleFrom(bundleId, sheltererId);
+    } catch (err) {
+      try {
+        return await this.downloadBundleFromAlternativeShelterers(bundleId, sheltererId);
+      } catch (alternativeErr) {
+        // the error from the challenged shelterer is reported if none of the alternatives could be used
+        throw err;
+      }
+    }
+  }
+
+  async downloadBundleFromAlternativeShelterers(bundleId, sheltererId) {
+    for (const alternativeSheltererId of await this.alternativeShelterers(bundleId, sheltererId)) {
+      try {
+        return await this.downloadBundleFrom(bundleId, alternativeSheltererId);
+      } catch (err) {
+        // try the next shelterer
+      }
+    }
+    throw new Error(`No alternative shelterer of bundle ${bundleId} could provide it`);
+  }
+
+  async alternativeShelterers(bundleId, sheltererId) {
+    const uploader = await this.uploadRepository.bundleUploader(bundleId);
+    const knownShelterers = await this.challengesRepository.knownShelterers(bundleId);
+    const excludedAddresses = [sheltererId, this.identityManager.nodeAddress()].map((address) => address.toLowerCase());
+    return [...new Set([uploader, ...knownShelterers])]
+      .filter((address) => address && !excludedAddresses.includes(address.toLowerCase()));
+  }
+
+  async downloadBundleFrom(bundleId, sheltererId) {
     const nodeUrl = await this.rolesRepository.nodeUrl(sheltererId);
-    const bundle = await this.entityDownloader.downloadBundle(nodeUrl, bundleId);
+    const downloadStartTime = Date.now();
+    let bundle;
+    try {
+      bundle = await this.entityDownloader.downloadBundle(nodeUrl, bundleId);
+    } catch (err) {
+      const failure = TIMEOUT_ERROR_CODES.includes(err.code) ? SheltererFailure.TIMEOUT : SheltererFailure.DOWNLOAD;
+      await this.sheltererReputationRepository.recordFailedDownload(sheltererId, failure);
+      throw err;
+    }
     if (!bundle) {
+      await this.sheltererReputationRepository.recordFailedDownload(sheltererId, SheltererFailure.DOWNLOAD);
       throw new Error('Could not fetch the bundle from the shelterer');
     }
-    this.entityBuilder.validateBundle(bundle);
-    await this.uploadRepository.verifyBundle(bundle);
+    try {
+      if (bundle.bundleId !== bundleId) {
+        throw new ValidationError(`Received bundle ${bundle.bundleId} instead of ${bundleId}`);
+      }
+      this.entityBuilder.validateBundle(bundle);
+      await this.uploadRepository.verifyBundle(bundle);
+    } catch (err) {
+      // errors other than ValidationError come from our side, e.g. from the connection with the blockchain
+      if (err instanceof ValidationError) {
+        await this.sheltererReputationRepository.recordFailedDownload(sheltererId, SheltererFailure.VALIDATION);
+      }
+      throw err;
+    }
+    await this.sheltererReputationRepository.recordSuccessfulDownload(sheltererId, Date.now() - downloadStartTime);
     await this.entityRepository.storeBundle(bundle);
     return bundle;
   }
 
+  async downloadBundleMetadata(bundleId, sheltererId) {
+    const nodeUrl = await this.rolesRepository.nodeUrl(sheltererId);
+    return this.entityDownloader.downloadBundleMetadata(nodeUrl, bundleId);
+  }
+
   async updateShelteringExpirationDate(bundleId) {
     const expirationDate = await this.uploadRepository.expirationDate(bundleId);
     await this.entityRepository.storeBundleShelteringExpirationDate(bundleId, expirationDate);
   }
 
+  async cleanupExpiredBundles(dryRun = false, gracePeriod = 0) {
+    const expiredBundleIds = await this.entityRepository.getExpiredBundleIds(gracePeriod);
+    const summary = {
+      removed: [],
+      kept: [],
+      failed: {}
+    };
+    for (const bundleId of expiredBundleIds) {
+      try {
+        if (await this.isStillSheltered(bundleId, dryRun)) {
+          summary.kept.push(bundleId);
+        } else {
+          summary.removed.push(bundleId);
+        }
+      } catch (err) {
+        summary.failed[bundleId] = err;
+      }
+    }
+    if (!dryRun && summary.removed.length > 0) {
+      await this.entityRepository.deleteBundles(summary.removed);
+    }
+    return summary;
+  }
+
+  async isStillSheltered(bundleId, dryRun) {
+    if (!await this.uploadRepository.isSheltering(bundleId)) {
+      return false;
+    }
+    const expirationDate = await this.uploadRepository.expirationDate(bundleId);
+    if (expirationDate < getTimestamp()) {
+      return false;
+    }
+    if (!dryRun) {
+      await this.entityRepository.storeBundleShelteringExpirationDate(bundleId, expirationDate);
+    }
+    return true;
+  }
+
+  async getSheltererReputations(tokenData) {
+    await this.accountAccessDefinitions.ensureHasPermission(tokenData.createdBy, allPermissions.superAccount);
+    return this.sheltererReputationRepository.getReputations();
+  }
+
+  async getSheltererReputation(sheltererId, tokenData) {
+    await this.accountAccessDefinitions.ensureHasPermission(tokenData.createdBy, allPermissions.superAccount);
+    return this.sheltererReputationRepository.getReputation(sheltererId);
+  }
+
+  async getFailedChallenge(challengeId, tokenData) {
+    await this.accountAccessDefinitions.ensureHasPermission(tokenData.createdBy, allPermissions.superAccount);
+    const failedChallenge = await this.failedChallengesCache.getFailedChallenge(challengeId);
+    if (failedChallenge === null) {
+      throw new NotFoundError(`No failed challenge with id = ${challengeId} found`);
+    }
+    return failedChallenge;
+  }
+
   async getWorkerLogs(logsCount = 10) {
     return await this.workerLogRepository.getLogs(logsCount);
   }
@@ -17,8 +17,11 @@ import locationEventSchema from '../validators/schemas/custom/ambrosus.event.loc
 import locationAssetSchema from '../validators/schemas/custom/ambrosus.asset.location.json';
 import infoAssetSchema from '../validators/schemas/custom/ambrosus.asset.info.json';
 import {pick, put} from '../utils/dict_utils';
-import {ValidationError} from '../errors/errors';
+import {NotFoundError, ValidationError} from '../errors/errors';
 import {getTimestamp} from '../utils/time_utils';
+import {calculateMerkleProof, calculateMerkleRoot} from '../utils/merkle_tree';
+
+export const MERKLE_BUNDLE_VERSION = 2;
 
 export default class EntityBuilder {
   constructor(identityManager, maximumEntityTimestampOvertake) {
@@ -138,10 +141,13 @@ export default class EntityBuilder {
       ...preparedEvents
     ].map((entry) => this.removeBundle(entry));
     const entriesHash = this.identityManager.calculateHash(entries);
+    const entriesMerkleRoot = this.calculateEntriesMerkleRoot(entries);
     const idData = {
       createdBy,
       entriesHash,
-      timestamp
+      entriesMerkleRoot,
+      timestamp,
+      version: MERKLE_BUNDLE_VERSION
     };
     const signature = this.identityManager.sign(secret, idData);
     const content = {
@@ -182,6 +188,22 @@ export default class EntityBuilder {
         `entriesHash value doesn't match the entries hash`
       );
 
+    // bundles without version were created before the Merkle root was introduced
+    if (bundle.content.idData.version !== undefined) {
+      validateAndCast(bundle)
+        .validate(
+          ['content.idData.version'],
+          (version) => version === MERKLE_BUNDLE_VERSION,
+          'unsupported bundle version'
+        )
+        .required(['content.idData.entriesMerkleRoot'])
+        .validate(
+          ['content.idData.entriesMerkleRoot'],
+          (root) => root === this.calculateEntriesMerkleRoot(bundle.content.entries),
+          `entriesMerkleRoot value doesn't match the entries`
+        );
+    }
+
     this.identityManager.validateSignature(
       bundle.content.idData.createdBy,
       bundle.content.signature,
@@ -189,6 +211,37 @@ export default class EntityBuilder {
     );
   }
 
+  hashMerkleNodes(nodes) {
+    return this.identityManager.calculateHash(nodes);
+  }
+
+  calculateEntriesMerkleLeaves(entries) {
+    return entries.map((entry) => this.identityManager.calculateHash(entry));
+  }
+
+  calculateEntriesMerkleRoot(entries) {
+    return calculateMerkleRoot(this.calculateEntriesMerkleLeaves(entries), (nodes) => this.hashMerkleNodes(nodes));
+  }
+
+  entryInclusionProof(bundle, entityId) {
+    const {idData, entries} = bundle.content;
+    if (idData.version !== MERKLE_BUNDLE_VERSION) {
+      throw new ValidationError(`Bundle ${bundle.bundleId} was created in the legacy format and does not support inclusion proofs`);
+    }
+    const entryIndex = entries.findIndex((entry) => entry.assetId === entityId || entry.eventId === entityId);
+    if (entryIndex < 0) {
+      throw new NotFoundError(`No entity with id = ${entityId} found in bundle ${bundle.bundleId}`);
+    }
+    const leaves = this.calculateEntriesMerkleLeaves(entries);
+    return {
+      bundleId: bundle.bundleId,
+      entityId,
+      leaf: leaves[entryIndex],
+      merkleRoot: idData.entriesMerkleRoot,
+      path: calculateMerkleProof(leaves, entryIndex, (nodes) => this.hashMerkleNodes(nodes))
+    };
+  }
+
   validateAndCastFindEventsParams(params) {
     const allowedParametersList = ['assetId', 'fromTimestamp', 'toTimestamp', 'page', 'perPage', 'createdBy', 'data'];
 
@@ -14,7 +14,14 @@ export default class EntityDownloader {
 
   async downloadBundle(vendorUrl, bundleId) {
     const fullPath = `/bundle/${bundleId}`;
-    const res = await this.httpsClient.performHTTPSGet(vendorUrl, fullPath);
+    const res = await this.httpsClient.performBoundedHTTPSGet(vendorUrl, fullPath);
+    await this.httpsClient.validateIncomingStatusCode(res.statusCode, vendorUrl);
+    return res.body;
+  }
+
+  async downloadBundleMetadata(vendorUrl, bundleId) {
+    const fullPath = `/bundle/${bundleId}/info`;
+    const res = await this.httpsClient.performBoundedHTTPSGet(vendorUrl, fullPath);
     await this.httpsClient.validateIncomingStatusCode(res.statusCode, vendorUrl);
     return res.body;
   }
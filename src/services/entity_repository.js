@@ -7,31 +7,82 @@ This Source Code Form is subject to the terms of the Mozilla Public License, v.
 This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
 */
 
+import {ObjectID} from 'mongodb';
 import {pick} from '../utils/dict_utils';
 import {getTimestamp} from '../utils/time_utils';
-import {mongoObjectSize} from '../utils/db_utils';
+import {collectionSize, mongoObjectSize} from '../utils/db_utils';
+import {compress, decompress} from '../utils/compression_utils';
+import MongoBundleStore from './bundle_stores/mongo_bundle_store';
 
 const MONGO_SIZE_IN_BYTES_LIMIT = 15000000; // 15 Mb
 
+// the priority flag is kept in the repository field, as it is not part of the signed content
+const withPriority = (entity, priority) => (priority ? {...entity, repository: {priority: true}} : {...entity});
+
 export default class EntityRepository {
-  constructor(db) {
+  constructor(db, bundleCompression = null, bundleStore = new MongoBundleStore()) {
     this.db = db;
+    this.bundleCompression = bundleCompression;
+    this.bundleStore = bundleStore;
     this.blacklistedFields = {
       _id: 0,
       repository: 0
     };
   }
 
-  async storeAsset(asset) {
-    await this.db.collection('assets').insertOne({...asset});
+  async storeAsset(asset, priority = false) {
+    await this.db.collection('assets').insertOne(withPriority(asset, priority));
   }
 
   async getAsset(assetId) {
     return await this.db.collection('assets').findOne({assetId}, {fields: this.blacklistedFields});
   }
 
-  async storeEvent(event) {
-    await this.db.collection('events').insertOne({...event});
+  async storeAssets(assets, session) {
+    if (assets.length === 0) {
+      return;
+    }
+    await this.db.collection('assets').insertMany(assets.map((asset) => ({...asset})), {session});
+  }
+
+  // without transactions the assets inserted before a failure are removed by their own ids,
+  // so that an asset with the same assetId created concurrently by another request is kept
+  async storeAssetsOrNone(assets) {
+    if (assets.length === 0) {
+      return;
+    }
+    const documents = assets.map((asset) => ({...asset, _id: new ObjectID()}));
+    try {
+      await this.db.collection('assets').insertMany(documents);
+    } catch (err) {
+      await this.db.collection('assets').deleteMany({_id: {$in: documents.map(({_id}) => _id)}});
+      throw err;
+    }
+  }
+
+  async findExistingAssetIds(assetIds) {
+    return this.db.collection('assets')
+      .find({assetId: {$in: assetIds}}, {projection: {assetId: 1}})
+      .map(({assetId}) => assetId)
+      .toArray();
+  }
+
+  async storeEvent(event, priority = false) {
+    await this.db.collection('events').insertOne(withPriority(event, priority));
+  }
+
+  async storeEvents(events) {
+    if (events.length === 0) {
+      return;
+    }
+    await this.db.collection('events').insertMany(events.map((event) => ({...event})));
+  }
+
+  async findExistingEventIds(eventIds) {
+    return this.db.collection('events')
+      .find({eventId: {$in: eventIds}}, {projection: {eventId: 1}})
+      .map(({eventId}) => eventId)
+      .toArray();
   }
 
   hideEventDataIfNecessary(event, accessLevel) {
@@ -109,10 +160,29 @@ export default class EntityRepository {
     await this.updateEntities(entities, update);
   }
 
-  async fetchEntitiesForBundling(bundleStubId, bundleItemsCountLimit, bundleSizeInBytesLimit = MONGO_SIZE_IN_BYTES_LIMIT) {
+  bundleSizeInBytesLimit() {
+    // bundles kept outside of their documents are not subject to the BSON document size limit, only to the on-chain items count limit
+    return this.bundleStore.keepsContentInDocument ? MONGO_SIZE_IN_BYTES_LIMIT : Infinity;
+  }
+
+  bundlingFilterQuery({creators, excludedCreators, priorityOnly}) {
+    const query = {};
+    if (creators) {
+      query['content.idData.createdBy'] = {$in: creators};
+    } else if (excludedCreators && excludedCreators.length > 0) {
+      query['content.idData.createdBy'] = {$nin: excludedCreators};
+    }
+    if (priorityOnly) {
+      query['repository.priority'] = true;
+    }
+    return query;
+  }
+
+  async fetchEntitiesForBundling(bundleStubId, bundleItemsCountLimit, filter = {}, bundleSizeInBytesLimit = this.bundleSizeInBytesLimit()) {
     const notBundledQuery = {
       'metadata.bundleId': null,
-      'repository.bundleStubId': null
+      'repository.bundleStubId': null,
+      ...this.bundlingFilterQuery(filter)
     };
 
     const setBundleStubIdUpdate = {
@@ -176,8 +246,46 @@ export default class EntityRepository {
     await this.unsetEntitiesBundlesStubs(entities);
   }
 
+  async discardAbandonedBundling() {
+    const abandonedBundleStubQuery = {
+      'repository.bundleStubId': {$exists: true}
+    };
+    const update = {
+      $unset: {
+        'repository.bundleStubId': ''
+      }
+    };
+    await this.db.collection('assets').updateMany(abandonedBundleStubQuery, update);
+    await this.db.collection('events').updateMany(abandonedBundleStubQuery, update);
+  }
+
   async storeBundle(bundle, storagePeriods) {
-    await this.db.collection('bundles').insertOne({metadata: {storagePeriods}, ...bundle});
+    const packedBundle = await this.packBundleContent(bundle);
+    await this.db.collection('bundles').insertOne({
+      metadata: {storagePeriods},
+      ...packedBundle,
+      repository: {...packedBundle.repository, storedAt: getTimestamp()}
+    });
+  }
+
+  async packBundleContent(bundle) {
+    if (!this.bundleCompression && this.bundleStore.keepsContentInDocument) {
+      return bundle;
+    }
+    const {content, ...rest} = bundle;
+    const serializedContent = JSON.stringify(content);
+    const data = this.bundleCompression ? await compress(serializedContent, this.bundleCompression) : Buffer.from(serializedContent);
+    const location = await this.bundleStore.storeContent(bundle.bundleId, data);
+    return {...rest, contentLocation: {...location, encoding: this.bundleCompression}};
+  }
+
+  async unpackBundleContent(bundle) {
+    if (bundle === null || !bundle.contentLocation) {
+      return bundle;
+    }
+    const {contentLocation: {encoding, ...location}, ...rest} = bundle;
+    const data = await this.bundleStore.fetchContent(location);
+    return {...rest, content: JSON.parse(encoding ? await decompress(data, encoding) : data)};
   }
 
   async storeBundleProofMetadata(bundleId, proofBlock, txHash) {
@@ -220,11 +328,12 @@ export default class EntityRepository {
       .toArray();
   }
 
-  async getExpiredBundleIds() {
+  async getExpiredBundleIds(gracePeriod = 0) {
     const now = getTimestamp();
     return this.db.collection('bundles').find({
       $or: [
-        {'repository.holdUntil': {$not: {$type: 'int'}}},
+        // a bundle stored moments ago may still wait for the transaction that makes this node shelter it
+        {'repository.holdUntil': {$not: {$type: 'int'}}, 'repository.storedAt': {$not: {$gt: now - gracePeriod}}},
         {'repository.holdUntil': {$lt: now}}
       ]
     }, {projection: {bundleId: 1}})
@@ -232,11 +341,25 @@ export default class EntityRepository {
       .toArray();
   }
 
+  async bundlesStorageSize() {
+    return await collectionSize(this.db, 'bundles') + await this.bundleStore.storageSize();
+  }
+
   async getBundle(bundleId) {
-    return await this.db.collection('bundles').findOne({bundleId}, {fields: this.blacklistedFields});
+    const bundle = await this.db.collection('bundles').findOne({bundleId}, {fields: this.blacklistedFields});
+    return this.unpackBundleContent(bundle);
   }
 
   async deleteBundles(bundleIds) {
+    if (!this.bundleStore.keepsContentInDocument) {
+      const contentLocations = await this.db.collection('bundles')
+        .find({bundleId: {$in: bundleIds}, contentLocation: {$exists: true}}, {projection: {contentLocation: 1}})
+        .map(({contentLocation}) => contentLocation)
+        .toArray();
+      for (const location of contentLocations) {
+        await this.bundleStore.removeContent(location);
+      }
+    }
     return this.db.collection('bundles').deleteMany({bundleId: {$in: bundleIds}});
   }
 }
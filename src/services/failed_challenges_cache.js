@@ -10,30 +10,41 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 import {getTimestamp} from '../utils/time_utils';
 
 export default class FailedChallengesCache {
-  constructor() {
-    this.failedChallengesEndTime = {};
+  constructor(db) {
+    this.db = db;
+    this.blacklistedFields = {
+      _id: 0
+    };
   }
 
-  rememberFailedChallenge(challengeId, ttl) {
-    this.failedChallengesEndTime[challengeId] = getTimestamp() + ttl;
+  async rememberFailedChallenge(challengeId, ttl, reason = null) {
+    const failedAt = getTimestamp();
+    await this.db.collection('failedChallenges').updateOne(
+      {challengeId},
+      {
+        $set: {
+          challengeId,
+          reason,
+          failedAt,
+          // stored as a date, so that the TTL index removes the entry once it expires
+          expiresAt: new Date((failedAt + ttl) * 1000)
+        }
+      },
+      {upsert: true}
+    );
   }
 
-  didChallengeFailRecently(challengeId) {
-    if (this.failedChallengesEndTime[challengeId]) {
-      if (this.failedChallengesEndTime[challengeId] > getTimestamp()) {
-        return true;
-      }
-      delete this.failedChallengesEndTime[challengeId];
-    }
-    return false;
+  async didChallengeFailRecently(challengeId) {
+    // the TTL monitor removes expired entries only periodically, so the expiration date has to be checked as well
+    const failedChallenge = await this.db.collection('failedChallenges').findOne({challengeId, expiresAt: {$gt: new Date()}});
+    return failedChallenge !== null;
   }
 
-  clearOutdatedChallenges() {
-    const challengeIds = Object.keys(this.failedChallengesEndTime);
-    for (const challengeId of challengeIds) {
-      if (this.failedChallengesEndTime[challengeId] <= getTimestamp()) {
-        delete this.failedChallengesEndTime[challengeId];
-      }
-    }
+  async getFailedChallenge(challengeId) {
+    return this.db.collection('failedChallenges').findOne({challengeId}, {fields: this.blacklistedFields});
+  }
+
+  async clearOutdatedChallenges() {
+    await this.db.collection('failedChallenges').deleteMany({expiresAt: {$lte: new Date()}});
   }
 }
@@ -0,0 +1,68 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+
+import BN from 'bn.js';
+
+// nodes refuse replacements priced less than 10% above the replaced transaction
+const MINIMUM_BUMP_PERCENT = 10;
+
+const median = (values) => {
+  const sorted = [...values].sort((left, right) => left.cmp(right));
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : sorted[middle - 1].add(sorted[middle]).divn(2);
+};
+
+export default class GasPriceOracle {
+  constructor(web3, strategy, defaultGasPrice, gasPriceCeiling, blocksCount, bumpPercent) {
+    if (!['fixed', 'median'].includes(strategy)) {
+      throw new Error(`Unknown gas price strategy: ${strategy}`);
+    }
+    if (!(bumpPercent >= MINIMUM_BUMP_PERCENT)) {
+      throw new Error(`Gas price bump has to be at least ${MINIMUM_BUMP_PERCENT}%, got: ${bumpPercent}`);
+    }
+    this.web3 = web3;
+    this.strategy = strategy;
+    this.defaultGasPrice = this.toWei(defaultGasPrice);
+    this.gasPriceCeiling = this.toWei(gasPriceCeiling);
+    this.blocksCount = blocksCount;
+    this.bumpPercent = bumpPercent;
+  }
+
+  toWei(gasPriceInGwei) {
+    return new BN(this.web3.utils.toWei(gasPriceInGwei.toString(), 'gwei'));
+  }
+
+  async gasPrice() {
+    const gasPrice = this.strategy === 'median' ? await this.recentBlocksMedian() : this.defaultGasPrice;
+    return BN.min(gasPrice, this.gasPriceCeiling).toString();
+  }
+
+  async recentBlocksMedian() {
+    const latestBlockNumber = await this.web3.eth.getBlockNumber();
+    const gasPrices = [];
+    for (let blockNumber = latestBlockNumber; blockNumber > Math.max(latestBlockNumber - this.blocksCount, -1); blockNumber--) {
+      const block = await this.web3.eth.getBlock(blockNumber, true);
+      if (block) {
+        gasPrices.push(...block.transactions.map(({gasPrice}) => new BN(gasPrice)));
+      }
+    }
+    return gasPrices.length > 0 ? median(gasPrices) : this.defaultGasPrice;
+  }
+
+  // returns null when the price can't be raised any more
+  bumpedGasPrice(gasPrice) {
+    const current = new BN(gasPrice);
+    if (current.gte(this.gasPriceCeiling)) {
+      return null;
+    }
+    const bumped = current.muln(100 + this.bumpPercent).divn(100);
+    return BN.min(bumped, this.gasPriceCeiling).toString();
+  }
+}
@@ -0,0 +1,27 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+
+export default class KycWhitelistRepository {
+  constructor(kycWhitelistWrapper) {
+    this.kycWhitelistWrapper = kycWhitelistWrapper;
+  }
+
+  async isWhitelisted(address) {
+    return this.kycWhitelistWrapper.isWhitelisted(address);
+  }
+
+  async hasRoleAssigned(address, role) {
+    return this.kycWhitelistWrapper.hasRoleAssigned(address, role.roleIndex);
+  }
+
+  async requiredDeposit(address) {
+    return this.kycWhitelistWrapper.getRequiredDeposit(address);
+  }
+}
@@ -0,0 +1,99 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+
+import BN from 'bn.js';
+import {Role} from './roles_repository';
+import {ValidationError} from '../errors/errors';
+import {getDefaultAddress} from '../utils/web3_tools';
+import validateAndCast from '../utils/validations';
+
+const rolesWithUrl = [Role.ATLAS, Role.HERMES];
+
+export default class NodeOnboarding {
+  constructor(web3, rolesRepository, kycWhitelistRepository) {
+    this.web3 = web3;
+    this.rolesRepository = rolesRepository;
+    this.kycWhitelistRepository = kycWhitelistRepository;
+  }
+
+  async status() {
+    const address = getDefaultAddress(this.web3);
+    const role = await this.rolesRepository.onboardedRole(address);
+    return {
+      address,
+      role: role.name,
+      whitelisted: await this.kycWhitelistRepository.isWhitelisted(address),
+      requiredStake: await this.kycWhitelistRepository.requiredDeposit(address),
+      balance: await this.web3.eth.getBalance(address)
+    };
+  }
+
+  async onboard(role, url) {
+    if (!rolesWithUrl.some((allowedRole) => role.is(allowedRole))) {
+      throw new ValidationError(`Onboarding as ${role.name} is not supported. Expected one of: ${rolesWithUrl.map((allowedRole) => allowedRole.name).join(', ')}`);
+    }
+    validateUrl(url);
+    const address = getDefaultAddress(this.web3);
+    const currentRole = await this.rolesRepository.onboardedRole(address);
+    if (!currentRole.is(Role.NONE)) {
+      throw new Error(`Node ${address} is already onboarded as ${currentRole.name}`);
+    }
+    if (!await this.kycWhitelistRepository.isWhitelisted(address)) {
+      throw new Error(`Node ${address} is not whitelisted, the KYC process has to be completed before onboarding`);
+    }
+    if (!await this.kycWhitelistRepository.hasRoleAssigned(address, role)) {
+      throw new Error(`Node ${address} is not whitelisted as ${role.name}`);
+    }
+    // hermes nodes are onboarded without a stake, the contract checks them against a deposit of 0
+    const stake = role.is(Role.ATLAS) ? await this.kycWhitelistRepository.requiredDeposit(address) : '0';
+    if (role.is(Role.ATLAS)) {
+      const balance = await this.web3.eth.getBalance(address);
+      if (new BN(balance).lt(new BN(stake))) {
+        throw new Error(`Onboarding as ${role.name} requires a stake of ${stake} but node ${address} has a balance of ${balance}`);
+      }
+    }
+    if (!await this.rolesRepository.canOnboard(address, role, stake)) {
+      throw new Error(`Node ${address} cannot be onboarded as ${role.name} with a stake of ${stake}`);
+    }
+    if (role.is(Role.ATLAS)) {
+      await this.rolesRepository.onboardAsAtlas(address, url, stake);
+    } else {
+      await this.rolesRepository.onboardAsHermes(address, url);
+    }
+    return {address, role: role.name, url, stake};
+  }
+
+  async retire() {
+    const address = getDefaultAddress(this.web3);
+    const role = await this.rolesRepository.onboardedRole(address);
+    if (role.is(Role.NONE)) {
+      throw new Error(`Node ${address} is not onboarded`);
+    }
+    await this.rolesRepository.retire(address, role);
+    return {address, role: role.name};
+  }
+
+  async updateUrl(url) {
+    validateUrl(url);
+    const address = getDefaultAddress(this.web3);
+    const role = await this.rolesRepository.onboardedRole(address);
+    if (!rolesWithUrl.some((allowedRole) => role.is(allowedRole))) {
+      throw new Error(`Node ${address} is onboarded as ${role.name}, only ${rolesWithUrl.map((allowedRole) => allowedRole.name).join(' and ')} nodes have a URL`);
+    }
+    await this.rolesRepository.setNodeUrl(address, url);
+    return {address, role: role.name, url};
+  }
+}
+
+function validateUrl(url) {
+  validateAndCast({url})
+    .required(['url'])
+    .isUrl(['url']);
+}
@@ -20,15 +20,30 @@ export default class RolesRepository {
     return new Role(roleIndex);
   }
 
-  async onboardAsAtlas(address, url) {
-    const stake = await this.configWrapper.atlas1Stake();
-    await this.rolesWrapper.onboardAsAtlas(address, stake, url);
+  async onboardAsAtlas(address, url, stake = null) {
+    const atlasStake = stake === null ? await this.configWrapper.atlas1Stake() : stake;
+    await this.rolesWrapper.onboardAsAtlas(address, atlasStake, url);
   }
 
   async onboardAsHermes(address, url) {
     await this.rolesWrapper.onboardAsHermes(address, url);
   }
 
+  async canOnboard(address, role, stake) {
+    const roles = await this.rolesWrapper.contract();
+    return roles.methods.canOnboard(address, role.roleIndex, stake).call();
+  }
+
+  async retire(address, role) {
+    const roles = await this.rolesWrapper.contract();
+    // the wrapper has no retire methods yet, the transaction is processed the same way as its other transactions
+    return this.rolesWrapper.processTransaction(retireMethod(roles, role), {from: address});
+  }
+
+  async setNodeUrl(address, url) {
+    await this.rolesWrapper.setNodeUrl(address, url);
+  }
+
   async nodeUrl(address) {
     const url = await this.rolesWrapper.nodeUrl(address);
     validateAndCast({url})
@@ -38,16 +53,38 @@ export default class RolesRepository {
   }
 }
 
+function retireMethod(roles, role) {
+  if (role.is(Role.ATLAS)) {
+    return roles.methods.retireAtlas();
+  }
+  if (role.is(Role.HERMES)) {
+    return roles.methods.retireHermes();
+  }
+  if (role.is(Role.APOLLO)) {
+    return roles.methods.retireApollo();
+  }
+  throw new Error(`Cannot retire a node with ${role.name} role`);
+}
+
+const roleNames = ['NONE', 'ATLAS', 'HERMES', 'APOLLO'];
+
 export class Role {
   constructor(roleIndex) {
     this.roleIndex = parseInt(roleIndex, 10);
   }
 
   get name() {
-    const roleNames = ['NONE', 'ATLAS', 'HERMES', 'APOLLO'];
     return roleNames[this.roleIndex];
   }
 
+  static fromName(name) {
+    const roleIndex = roleNames.indexOf(name.toUpperCase());
+    if (roleIndex === -1) {
+      throw new Error(`Unknown role: ${name}. Expected one of: ${roleNames.join(', ')}`);
+    }
+    return new Role(roleIndex);
+  }
+
   static get NONE() {
     return new Role(0);
   }
@@ -0,0 +1,82 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import {getTimestamp} from '../utils/time_utils';
+
+export const SheltererFailure = Object.freeze({
+  DOWNLOAD: 'downloadFailures',
+  VALIDATION: 'validationFailures',
+  TIMEOUT: 'timeouts'
+});
+
+const emptyStatistics = {
+  successfulDownloads: 0,
+  downloadFailures: 0,
+  validationFailures: 0,
+  timeouts: 0,
+  totalLatency: 0
+};
+
+const withComputedStatistics = (reputation) => {
+  const statistics = {...emptyStatistics, ...reputation};
+  const attempts = statistics.successfulDownloads + statistics.downloadFailures + statistics.validationFailures + statistics.timeouts;
+  return {
+    ...statistics,
+    attempts,
+    successRate: attempts > 0 ? statistics.successfulDownloads / attempts : null,
+    averageLatency: statistics.successfulDownloads > 0 ? statistics.totalLatency / statistics.successfulDownloads : null
+  };
+};
+
+export default class SheltererReputationRepository {
+  constructor(db) {
+    this.db = db;
+    this.blacklistedFields = {
+      _id: 0
+    };
+  }
+
+  async recordSuccessfulDownload(sheltererId, latency) {
+    await this.db.collection('sheltererReputation').updateOne(
+      {sheltererId},
+      {
+        $inc: {successfulDownloads: 1, totalLatency: latency},
+        $set: {lastDownloadAttempt: getTimestamp()}
+      },
+      {upsert: true}
+    );
+  }
+
+  async recordFailedDownload(sheltererId, failure) {
+    if (!Object.values(SheltererFailure).includes(failure)) {
+      throw new Error(`Unknown shelterer failure: ${failure}`);
+    }
+    await this.db.collection('sheltererReputation').updateOne(
+      {sheltererId},
+      {
+        $inc: {[failure]: 1},
+        $set: {lastDownloadAttempt: getTimestamp()}
+      },
+      {upsert: true}
+    );
+  }
+
+  async getReputation(sheltererId) {
+    const reputation = await this.db.collection('sheltererReputation').findOne({sheltererId}, {fields: this.blacklistedFields});
+    return withComputedStatistics(reputation || {sheltererId});
+  }
+
+  async getReputations(sheltererIds) {
+    const query = sheltererIds ? {sheltererId: {$in: sheltererIds}} : {};
+    const reputations = await this.db.collection('sheltererReputation').find(query, {fields: this.blacklistedFields})
+      .sort({sheltererId: 1})
+      .toArray();
+    return reputations.map(withComputedStatistics);
+  }
+}
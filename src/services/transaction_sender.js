@@ -0,0 +1,104 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+
+import {DEFAULT_GAS} from '../utils/web3_tools';
+
+const sleep = (timeout) => new Promise((resolve) => setTimeout(resolve, timeout));
+
+// geth reports 'nonce too low', parity 'Transaction nonce is too low'
+const isNonceTooLowError = (err) => /nonce (is )?too low/i.test(err.message);
+
+export default class TransactionSender {
+  constructor(web3, gasPriceOracle, replacementTimeout, receiptPollInterval = 1000) {
+    this.web3 = web3;
+    this.gasPriceOracle = gasPriceOracle;
+    this.replacementTimeout = replacementTimeout;
+    this.receiptPollInterval = receiptPollInterval;
+  }
+
+  async send(contract, method, {from, value = '0'}) {
+    const transaction = {
+      from,
+      to: contract.options.address,
+      value,
+      data: method.encodeABI(),
+      gas: DEFAULT_GAS,
+      nonce: await this.web3.eth.getTransactionCount(from, 'pending')
+    };
+    let gasPrice = await this.gasPriceOracle.gasPrice();
+    const transactionHashes = [];
+    for (;;) {
+      try {
+        transactionHashes.push(await this.submit({...transaction, gasPrice}));
+      } catch (err) {
+        // a replacement is refused when one of the previous transactions has been mined in the meantime
+        if (transactionHashes.length === 0 || !isNonceTooLowError(err)) {
+          throw err;
+        }
+      }
+      const receipt = await this.waitForReceipt(transactionHashes);
+      if (receipt) {
+        return receipt;
+      }
+      gasPrice = this.gasPriceOracle.bumpedGasPrice(gasPrice);
+      if (gasPrice === null) {
+        // the sent transactions may still be mined, giving up on them would make a retry fail
+        return this.waitWhilePending(transactionHashes);
+      }
+    }
+  }
+
+  async waitWhilePending(transactionHashes) {
+    for (;;) {
+      const receipt = await this.waitForReceipt(transactionHashes);
+      if (receipt) {
+        return receipt;
+      }
+      if (!await this.isAnyPending(transactionHashes)) {
+        throw new Error(`Transaction ${transactionHashes[transactionHashes.length - 1]} was not mined with the maximum gas price`);
+      }
+    }
+  }
+
+  async isAnyPending(transactionHashes) {
+    for (const transactionHash of transactionHashes) {
+      if (await this.web3.eth.getTransaction(transactionHash) !== null) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  async submit(transaction) {
+    return new Promise((resolve, reject) => {
+      // web3 keeps waiting for the receipt after the hash is known, waiting is done by waitForReceipt instead
+      this.web3.eth.sendTransaction(transaction)
+        .once('transactionHash', resolve)
+        .catch(reject);
+    });
+  }
+
+  async waitForReceipt(transactionHashes) {
+    const deadline = Date.now() + this.replacementTimeout;
+    while (Date.now() < deadline) {
+      for (const transactionHash of transactionHashes) {
+        const receipt = await this.web3.eth.getTransactionReceipt(transactionHash);
+        if (receipt) {
+          if (receipt.status === false) {
+            throw new Error(`Transaction ${transactionHash} has been reverted`);
+          }
+          return receipt;
+        }
+      }
+      await sleep(this.receiptPollInterval);
+    }
+    return null;
+  }
+}
@@ -8,13 +8,15 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 */
 
 
-import {ValidationError} from '../errors/errors';
+import {PermanentUploadError, ValidationError} from '../errors/errors';
 import {Role} from './roles_repository';
 import BN from 'bn.js';
 import * as Sentry from '@sentry/node';
 
+const isEmptyAddress = (address) => /^0x0+$/i.test(address);
+
 export default class UploadRepository {
-  constructor(web3, identityManager, uploadsActions, shelteringWrapper, rolesWrapper, feesWrapper, configWrapper, lowFundsWarningAmount) {
+  constructor(web3, identityManager, uploadsActions, shelteringWrapper, rolesWrapper, feesWrapper, configWrapper, lowFundsWarningAmount, uploadsWrapper, transactionSender) {
     this.web3 = web3;
     this.identityManager = identityManager;
     this.uploadsActions = uploadsActions;
@@ -23,6 +25,8 @@ export default class UploadRepository {
     this.configWrapper = configWrapper;
     this.rolesWrapper = rolesWrapper;
     this.lowFundsWarningAmount = lowFundsWarningAmount;
+    this.uploadsWrapper = uploadsWrapper;
+    this.transactionSender = transactionSender;
   }
 
   async uploadBundle(bundleId, storagePeriods) {
@@ -38,13 +42,26 @@ export default class UploadRepository {
       throw err;
     }
 
-    const previousUploader = await this.shelteringWrapper.getBundleUploader(bundleId);
-    const emptyAddressRegex = /^0x0+$/gi;
-    if (!emptyAddressRegex.test(previousUploader)) {
-      throw new Error(`Bundle was already uploaded`);
+    if (await this.bundleUploader(bundleId) !== null) {
+      throw new PermanentUploadError(`Bundle was already uploaded`);
     }
 
-    return this.uploadsActions.uploadBundle(bundleId, storagePeriods);
+    const uploads = await this.uploadsWrapper.contract();
+    const {blockNumber, transactionHash} = await this.transactionSender.send(
+      uploads,
+      uploads.methods.registerBundle(bundleId, storagePeriods),
+      {from: this.identityManager.nodeAddress(), value: fee}
+    );
+    return {blockNumber, transactionHash};
+  }
+
+  async feeForUpload(storagePeriods) {
+    return this.feesWrapper.feeForUpload(storagePeriods);
+  }
+
+  async bundleUploader(bundleId) {
+    const uploader = await this.shelteringWrapper.getBundleUploader(bundleId);
+    return isEmptyAddress(uploader) ? null : uploader;
   }
 
   async getBundleChainData(bundleId) {
@@ -56,7 +73,7 @@ export default class UploadRepository {
   }
 
   async expirationDate(bundleId) {
-    return this.shelteringWrapper.shelteringExpirationDate(bundleId);
+    return parseInt(await this.shelteringWrapper.shelteringExpirationDate(bundleId), 10);
   }
 
   async bundleItemsCountLimit() {
@@ -68,6 +85,9 @@ export default class UploadRepository {
     if (bundle.content.entries.length > bundleItemsCountLimit) {
       throw new ValidationError('Bundle size surpasses the limit');
     }
+    if (await this.bundleUploader(bundle.bundleId) === null) {
+      throw new ValidationError('Bundle is not registered on chain');
+    }
   }
 
   async checkIfEnoughFunds(requiredBalance) {
@@ -8,23 +8,49 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 */
 
 
+import {WorkInProgressError} from '../errors/errors';
+
+const leaseExpiration = (leaseDuration) => (leaseDuration ? new Date(Date.now() + leaseDuration) : null);
+
 export default class WorkerTaskTrackingRepository {
   constructor(db) {
     this.db = db;
   }
 
-  async tryToBeginWork(workType) {
+  // without a lease duration the work never expires, otherwise the lease has to be refreshed before it expires
+  async tryToBeginWork(workType, leaseDuration = null) {
+    const taskId = await this.tryToInsertTask(workType, leaseDuration);
+    if (taskId) {
+      return taskId;
+    }
+    // the worker holding an expired lease is considered dead, so its task is taken over
+    const {deletedCount} = await this.db.collection('workerTasks').deleteOne({workType, expiresAt: {$lte: new Date()}});
+    const takenOverTaskId = deletedCount > 0 ? await this.tryToInsertTask(workType, leaseDuration) : null;
+    if (takenOverTaskId) {
+      return takenOverTaskId;
+    }
+    throw new WorkInProgressError('Work of this type is currently in progress');
+  }
+
+  async tryToInsertTask(workType, leaseDuration) {
     try {
-      const {insertedId} = await this.db.collection('workerTasks').insertOne({workType});
+      const {insertedId} = await this.db.collection('workerTasks').insertOne({workType, expiresAt: leaseExpiration(leaseDuration)});
       return insertedId;
     } catch (error) {
       if (error.message.includes(`duplicate key error`)) {
-        throw new Error('Work of this type is currently in progress');
+        return null;
       }
       throw new Error(error);
     }
   }
 
+  async refreshWork(taskId, leaseDuration) {
+    const {matchedCount} = await this.db.collection('workerTasks').updateOne({_id: taskId}, {$set: {expiresAt: leaseExpiration(leaseDuration)}});
+    if (matchedCount === 0) {
+      throw new Error('The lease of the work has been lost');
+    }
+  }
+
   async finishWork(taskId) {
     await this.db.collection('workerTasks').deleteOne({_id: taskId});
   }
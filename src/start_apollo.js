@@ -0,0 +1,41 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+
+import {WinstonConsoleLogger} from './utils/loggers';
+import ApolloWorker from './workers/apollo_worker';
+import ServerWorker from './workers/server_worker';
+import config from '../config/config';
+import Builder from './builder';
+import {Role} from './services/roles_repository';
+import {waitForChainSync} from './utils/web3_tools';
+import {exitOnShutdownSignals} from './utils/shutdown';
+
+async function start(logger) {
+  const builder = new Builder();
+  await builder.build(config);
+  if (await builder.migrator.isMigrationNeccesary()) {
+    throw new Error('Migration needs to be done');
+  }
+  await waitForChainSync(builder.web3, 5, () => logger.info('Ethereum client is not in sync. Retrying in 5 seconds'));
+  await builder.ensureAccountIsOnboarded([Role.APOLLO]);
+  const server = new ServerWorker(builder.dataModelEngine, builder.web3, Role.APOLLO, config, logger);
+  const worker = new ApolloWorker(builder.web3, builder.rolesRepository, builder.workerLogRepository, config.apolloWorkerInterval, config.apolloInspectedBlocksCount, logger);
+  exitOnShutdownSignals([server, worker], builder.client, logger, config.shutdownTimeout);
+  await server.start();
+  await worker.start();
+}
+
+const logger = new WinstonConsoleLogger();
+
+start(logger)
+  .catch((err) => {
+    logger.error(err);
+    process.exit(1);
+  });
@@ -9,10 +9,12 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 
 import {WinstonConsoleLogger} from './utils/loggers';
 import AtlasWorker from './workers/atlas_worker';
+import CleanupWorker from './workers/cleanup_worker';
 import config from '../config/config';
 import Builder from './builder';
 import {Role} from './services/roles_repository';
 import {waitForChainSync} from './utils/web3_tools';
+import {exitOnShutdownSignals} from './utils/shutdown';
 
 async function start(logger) {
   const builder = new Builder();
@@ -22,14 +24,26 @@ async function start(logger) {
   }
   await waitForChainSync(builder.web3, 5, () => logger.info('Ethereum client is not in sync. Retrying in 5 seconds'));
   await builder.ensureAccountIsOnboarded([Role.ATLAS]);
-  const strategy = loadStrategy(config.challengeResolutionStrategy);
-  const worker = new AtlasWorker(builder.web3, builder.dataModelEngine, builder.workerLogRepository, builder.challengesRepository, builder.failedChallengesCache, strategy, logger);
+  const strategy = loadStrategy(config.challengeResolutionStrategy, {
+    config,
+    web3: builder.web3,
+    dataModelEngine: builder.dataModelEngine,
+    uploadRepository: builder.uploadRepository,
+    entityRepository: builder.entityRepository,
+    sheltererReputationRepository: builder.sheltererReputationRepository
+  });
+  const worker = new AtlasWorker(builder.web3, builder.dataModelEngine, builder.workerLogRepository, builder.challengesRepository, builder.failedChallengesCache, strategy, logger,
+    config.atlasChallengeDownloadConcurrency, config.atlasMaxChallengeResolutionsPerInterval);
+  const cleanupWorker = new CleanupWorker(builder.dataModelEngine, builder.workerLogRepository, config.cleanupWorkerInterval, config.cleanupDryRun, logger,
+    config.cleanupGracePeriod);
+  exitOnShutdownSignals([cleanupWorker, worker], builder.client, logger, config.shutdownTimeout);
+  await cleanupWorker.start();
   await worker.start();
 }
 
-function loadStrategy(strategyName) {
+function loadStrategy(strategyName, dependencies) {
   const ChallengeResolutionStrategy = require(`./workers/atlas_strategies/${strategyName}`).default;
-  return new ChallengeResolutionStrategy();
+  return new ChallengeResolutionStrategy(dependencies);
 }
 
 const logger = new WinstonConsoleLogger();
@@ -9,27 +9,58 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 
 import {WinstonConsoleLogger} from './utils/loggers';
 import config from '../config/config';
-import Builder from './builder';
+import Builder, {ProcessMode} from './builder';
 import HermesWorker from './workers/hermes_worker';
+import ServerWorker from './workers/server_worker';
 import {Role} from './services/roles_repository';
 import {waitForChainSync} from './utils/web3_tools';
+import {exitOnShutdownSignals} from './utils/shutdown';
 
 async function start(logger) {
+  ensureProcessModeIsValid(config.processMode);
   const builder = new Builder();
   await builder.build(config);
   if (await builder.migrator.isMigrationNeccesary()) {
+    // API replicas are scaled independently, so only the processes running the worker perform the migration
+    if (!builder.runsWorker()) {
+      throw new Error('Migration needs to be done');
+    }
     await builder.migrator.migrate(logger);
   }
   await waitForChainSync(builder.web3, 5, () => logger.info('Ethereum client is not in sync. Retrying in 5 seconds'));
-  await builder.ensureAccountIsOnboarded([Role.HERMES]);
-  const strategy = loadStrategy(config.uploadStrategy);
-  const worker = new HermesWorker(builder.dataModelEngine, builder.workerLogRepository, strategy, logger);
-  await worker.start();
+  const role = await builder.ensureAccountIsOnboarded([Role.HERMES]);
+  const workers = [];
+  if (builder.runsApi()) {
+    await builder.ensureAdminAccountExist();
+    workers.push(new ServerWorker(builder.dataModelEngine, builder.web3, role, config, logger));
+  }
+  if (builder.runsWorker()) {
+    const strategy = loadStrategy(config.uploadStrategy, {config});
+    workers.push(new HermesWorker(
+      builder.dataModelEngine,
+      builder.workerLogRepository,
+      builder.workerTaskTrackingRepository,
+      strategy,
+      logger,
+      config.bundlingLockLeaseDuration,
+      config.uploadPriorityInterval
+    ));
+  }
+  exitOnShutdownSignals(workers, builder.client, logger, config.shutdownTimeout);
+  for (const worker of workers) {
+    await worker.start();
+  }
+}
+
+function ensureProcessModeIsValid(processMode) {
+  if (!Object.values(ProcessMode).includes(processMode)) {
+    throw new Error(`Unknown process mode: ${processMode}. Use one of: ${Object.values(ProcessMode).join(', ')}`);
+  }
 }
 
-function loadStrategy(uploadStrategy) {
+function loadStrategy(uploadStrategy, dependencies) {
   const HermesUploadStrategy = require(`./workers/hermes_strategies/${uploadStrategy}`).default;
-  return new HermesUploadStrategy();
+  return new HermesUploadStrategy(dependencies);
 }
 
 const logger = new WinstonConsoleLogger();
@@ -13,6 +13,7 @@ import Builder from './builder';
 import ServerWorker from './workers/server_worker';
 import {Role} from './services/roles_repository';
 import {waitForChainSync} from './utils/web3_tools';
+import {exitOnShutdownSignals} from './utils/shutdown';
 
 async function start(logger) {
   const builder = new Builder();
@@ -30,6 +31,7 @@ async function start(logger) {
     config,
     logger
   );
+  exitOnShutdownSignals([worker], builder.client, logger, config.shutdownTimeout);
   await worker.start();
 }
 
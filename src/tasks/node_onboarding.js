@@ -0,0 +1,78 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+
+import commandLineArgs from 'command-line-args';
+import {WinstonConsoleLogger} from '../utils/loggers';
+import Builder from '../builder';
+import config from '../../config/config';
+import NodeOnboarding from '../services/node_onboarding';
+import {Role} from '../services/roles_repository';
+
+const usage = `Usage:
+  yarn node:status
+  yarn node:onboard --role atlas|hermes --url https://node.example.com
+  yarn node:update-url --url https://node.example.com
+  yarn node:retire`;
+
+const optionDefinitions = [
+  {name: 'command', defaultOption: true},
+  {name: 'role', type: String},
+  {name: 'url', type: String}
+];
+
+const commands = {
+  status: async () => {},
+
+  onboard: async (nodeOnboarding, {role, url}, toAmb, logger) => {
+    if (!role) {
+      throw new Error(`The --role option is required\n${usage}`);
+    }
+    const result = await nodeOnboarding.onboard(Role.fromName(role), url);
+    logger.info(`Node ${result.address} onboarded as ${result.role} with URL ${result.url} and a stake of ${toAmb(result.stake)}`);
+  },
+
+  'update-url': async (nodeOnboarding, {url}, toAmb, logger) => {
+    const result = await nodeOnboarding.updateUrl(url);
+    logger.info(`URL of ${result.role} node ${result.address} changed to ${result.url}`);
+  },
+
+  retire: async (nodeOnboarding, options, toAmb, logger) => {
+    const result = await nodeOnboarding.retire();
+    logger.info(`Node ${result.address} retired from ${result.role} role`);
+  }
+};
+
+async function run(web3, nodeOnboarding, {command, ...options}, logger) {
+  if (!commands[command]) {
+    throw new Error(`Unknown command: ${command}\n${usage}`);
+  }
+  const toAmb = (amount) => `${web3.utils.fromWei(amount, 'ether')} AMB`;
+  const status = await nodeOnboarding.status();
+  logger.info(`Node address: ${status.address}, onboarded as: ${status.role}`);
+  logger.info(`Whitelisted: ${status.whitelisted}, required stake: ${toAmb(status.requiredStake)}, balance: ${toAmb(status.balance)}`);
+  await commands[command](nodeOnboarding, options, toAmb, logger);
+}
+
+const builder = new Builder();
+const logger = new WinstonConsoleLogger();
+
+builder.build(config)
+  .then(async ({client}) => {
+    const nodeOnboarding = new NodeOnboarding(builder.web3, builder.rolesRepository, builder.kycWhitelistRepository);
+    try {
+      await run(builder.web3, nodeOnboarding, commandLineArgs(optionDefinitions), logger);
+    } finally {
+      await client.close();
+    }
+  })
+  .catch((exception) => {
+    logger.error(exception);
+    process.exit(1);
+  });
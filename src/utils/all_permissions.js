@@ -13,7 +13,8 @@ const allPermissions = Object.freeze({
   manageAccounts: 'manage_accounts',
   registerAccounts: 'register_accounts',
   createAsset: 'create_asset',
-  createEvent: 'create_event'
+  createEvent: 'create_event',
+  prioritiseBundling: 'prioritise_bundling'
 });
 
 export default allPermissions;
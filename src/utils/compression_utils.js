@@ -0,0 +1,32 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import zlib from 'zlib';
+import {promisify} from 'util';
+
+// brotli is built into zlib only since node 11.7, so it is offered only when available
+const codecs = {
+  ...zlib.brotliCompress ? {br: {compress: promisify(zlib.brotliCompress), decompress: promisify(zlib.brotliDecompress)}} : {},
+  gzip: {compress: promisify(zlib.gzip), decompress: promisify(zlib.gunzip)},
+  deflate: {compress: promisify(zlib.deflate), decompress: promisify(zlib.inflate)}
+};
+
+// ordered from the most preferred
+export const supportedEncodings = Object.keys(codecs);
+
+const getCodec = (encoding) => {
+  if (!supportedEncodings.includes(encoding)) {
+    throw new Error(`Unsupported encoding: ${encoding}`);
+  }
+  return codecs[encoding];
+};
+
+export const compress = async (data, encoding) => getCodec(encoding).compress(data);
+
+export const decompress = async (data, encoding) => getCodec(encoding).decompress(data);
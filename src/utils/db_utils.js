@@ -45,6 +45,45 @@ const cleanDatabase = async (db) => {
   }
 };
 
+const runInTransaction = async (client, callback) => {
+  const session = client.startSession();
+  try {
+    session.startTransaction();
+    await callback(session);
+    await session.commitTransaction();
+  } catch (err) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw err;
+  } finally {
+    session.endSession();
+  }
+};
+
 const mongoObjectSize = new bson.BSON().calculateObjectSize;
 
-export {connectToMongo, cleanDatabase, createMongoUrl, mongoObjectSize};
+const uploadToBucket = (bucket, filename, data) => new Promise((resolve, reject) => {
+  const uploadStream = bucket.openUploadStream(filename);
+  uploadStream.once('error', reject);
+  uploadStream.once('finish', () => resolve(uploadStream.id));
+  uploadStream.end(data);
+});
+
+const downloadFromBucket = (bucket, fileId) => new Promise((resolve, reject) => {
+  const chunks = [];
+  bucket.openDownloadStream(fileId)
+    .on('data', (chunk) => chunks.push(chunk))
+    .once('error', reject)
+    .once('end', () => resolve(Buffer.concat(chunks)));
+});
+
+const collectionSize = async (db, collectionName) => {
+  if (!await db.listCollections({name: collectionName}).hasNext()) {
+    return 0;
+  }
+  const {size} = await db.collection(collectionName).stats();
+  return size;
+};
+
+export {connectToMongo, cleanDatabase, createMongoUrl, mongoObjectSize, runInTransaction, uploadToBucket, downloadFromBucket, collectionSize};
@@ -10,9 +10,35 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 import https from 'https';
 import http from 'http';
 import URL from 'url';
+import zlib from 'zlib';
+import {pipeline} from 'stream';
 import {NotFoundError, PermissionError, ValidationError, AuthenticationError} from '../errors/errors';
 
+const timeoutError = (message) => {
+  const error = new Error(message);
+  error.code = 'ETIMEDOUT';
+  return error;
+};
+
+const connectionResetError = (message) => {
+  const error = new Error(message);
+  error.code = 'ECONNRESET';
+  return error;
+};
+
+const bodyTooLargeError = (maxBodySize) => {
+  const error = new Error(`Response body exceeds the limit of ${maxBodySize} bytes`);
+  error.code = 'EBODYTOOLARGE';
+  return error;
+};
+
 export default class HttpsClient {
+  constructor(maxBodySize = 67108864, connectTimeout = 10000, readTimeout = 60000) {
+    this.maxBodySize = maxBodySize;
+    this.connectTimeout = connectTimeout;
+    this.readTimeout = readTimeout;
+  }
+
   async performHTTPSGet(uri, path) {
     const {protocol, hostname, port} = URL.parse(uri);
     const agent = this.getAgentFromProtocol(protocol);
@@ -31,7 +57,7 @@ export default class HttpsClient {
             try {
               parsedData = JSON.parse(rawData);
             } catch (error) {
-              reject(error);
+              return reject(error);
             }
             resolve({body: parsedData, statusCode: res.statusCode});
           });
@@ -42,6 +68,91 @@ export default class HttpsClient {
     });
   }
 
+  async performBoundedHTTPSGet(uri, path) {
+    const {protocol, hostname, port} = URL.parse(uri);
+    const agent = this.getAgentFromProtocol(protocol);
+    const options = {
+      hostname,
+      path,
+      port,
+      headers: {'Accept-Encoding': 'gzip, deflate'}
+    };
+    return new Promise((resolve, reject) => {
+      let request;
+      let settled = false;
+      const fail = (error) => {
+        clearTimeout(connectTimer);
+        if (!settled) {
+          settled = true;
+          reject(error);
+        }
+        if (request) {
+          request.abort();
+        }
+      };
+
+      const connectTimer = setTimeout(() => fail(timeoutError(`Could not connect to ${uri} within ${this.connectTimeout} ms`)), this.connectTimeout);
+      try {
+        request = agent.get(options, (res) => {
+          clearTimeout(connectTimer);
+          request.setTimeout(this.readTimeout, () => fail(timeoutError(`No data received from ${uri} within ${this.readTimeout} ms`)));
+
+          if (parseInt(res.headers['content-length'], 10) > this.maxBodySize) {
+            return fail(bodyTooLargeError(this.maxBodySize));
+          }
+
+          // a dropped connection is not forwarded through the decompression stream, so the response itself is watched too
+          res.on('aborted', () => fail(connectionResetError(`Connection to ${uri} was closed before the whole response was received`)));
+          res.on('error', fail);
+          const body = this.decompressResponse(res, fail);
+          const chunks = [];
+          let receivedSize = 0;
+          body.on('error', fail);
+          body.on('data', (chunk) => {
+            receivedSize += chunk.length;
+            if (receivedSize > this.maxBodySize) {
+              return fail(bodyTooLargeError(this.maxBodySize));
+            }
+            chunks.push(chunk);
+          });
+          body.on('end', () => {
+            if (settled) {
+              return;
+            }
+            settled = true;
+            try {
+              resolve({body: JSON.parse(Buffer.concat(chunks).toString('utf8')), statusCode: res.statusCode});
+            } catch (error) {
+              reject(error);
+            }
+          });
+        });
+        request.on('error', fail);
+      } catch (error) {
+        fail(error);
+      }
+    });
+  }
+
+  decompressResponse(res, onError) {
+    const decompress = (decompressor) => {
+      pipeline(res, decompressor, (error) => {
+        if (error) {
+          onError(error);
+        }
+      });
+      return decompressor;
+    };
+    switch (res.headers['content-encoding']) {
+      case 'gzip':
+        return decompress(zlib.createGunzip());
+      case 'deflate':
+        return decompress(zlib.createInflate());
+      default:
+        return res;
+    }
+  }
+
   getAgentFromProtocol(protocol) {
     if (protocol.startsWith('https')) {
       return https;
@@ -0,0 +1,52 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+// A node without a sibling is promoted to the next level unchanged
+const parentLevel = (nodes, hashNodes) => {
+  const parents = [];
+  for (let index = 0; index < nodes.length; index += 2) {
+    if (index + 1 < nodes.length) {
+      parents.push(hashNodes([nodes[index], nodes[index + 1]]));
+    } else {
+      parents.push(nodes[index]);
+    }
+  }
+  return parents;
+};
+
+const calculateMerkleRoot = (leaves, hashNodes) => {
+  if (leaves.length === 0) {
+    return hashNodes([]);
+  }
+  let level = leaves;
+  while (level.length > 1) {
+    level = parentLevel(level, hashNodes);
+  }
+  return level[0];
+};
+
+const calculateMerkleProof = (leaves, leafIndex, hashNodes) => {
+  const path = [];
+  let level = leaves;
+  let index = leafIndex;
+  while (level.length > 1) {
+    const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+    if (siblingIndex < level.length) {
+      path.push({
+        hash: level[siblingIndex],
+        position: siblingIndex < index ? 'left' : 'right'
+      });
+    }
+    level = parentLevel(level, hashNodes);
+    index = Math.floor(index / 2);
+  }
+  return path;
+};
+
+export {calculateMerkleRoot, calculateMerkleProof};
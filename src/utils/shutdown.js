@@ -0,0 +1,57 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+
+export const ShutdownExitCode = Object.freeze({
+  SUCCESS: 0,
+  FAILURE: 1,
+  // same as the one returned by the timeout command
+  TIMEOUT: 124
+});
+
+const SHUTDOWN_SIGNALS = ['SIGTERM', 'SIGINT'];
+
+export async function shutdown(workers, mongoClient, logger, timeout) {
+  let timerId;
+  const deadline = new Promise((resolve) => {
+    timerId = setTimeout(() => resolve(ShutdownExitCode.TIMEOUT), timeout);
+  });
+  const stopAll = async () => {
+    // workers stop accepting new work right away, and then finish the work in progress
+    await Promise.all(workers.filter(({started}) => started).map((worker) => worker.stop()));
+    await mongoClient.close();
+    return ShutdownExitCode.SUCCESS;
+  };
+  try {
+    const exitCode = await Promise.race([stopAll(), deadline]);
+    if (exitCode === ShutdownExitCode.TIMEOUT) {
+      logger.error(new Error(`Work in progress did not finish within ${timeout} ms`));
+    }
+    return exitCode;
+  } catch (err) {
+    logger.error(err);
+    return ShutdownExitCode.FAILURE;
+  } finally {
+    clearTimeout(timerId);
+  }
+}
+
+export function exitOnShutdownSignals(workers, mongoClient, logger, timeout) {
+  let shuttingDown = false;
+  const onSignal = async (signal) => {
+    if (shuttingDown) {
+      logger.info(`Received ${signal} again, exiting immediately`);
+      process.exit(ShutdownExitCode.FAILURE);
+    }
+    shuttingDown = true;
+    logger.info(`Received ${signal}, shutting down`);
+    process.exit(await shutdown(workers, mongoClient, logger, timeout));
+  };
+  SHUTDOWN_SIGNALS.forEach((signal) => process.on(signal, () => onSignal(signal)));
+}
@@ -0,0 +1,64 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+
+import PeriodicWorker from './periodic_worker';
+import {Role} from '../services/roles_repository';
+import {getDefaultAddress, isSyncing} from '../utils/web3_tools';
+
+export default class ApolloWorker extends PeriodicWorker {
+  constructor(web3, rolesRepository, workerLogRepository, interval, inspectedBlocksCount, logger) {
+    super(interval, logger);
+    this.web3 = web3;
+    this.rolesRepository = rolesRepository;
+    this.workerLogRepository = workerLogRepository;
+    this.inspectedBlocksCount = inspectedBlocksCount;
+  }
+
+  async periodicWork() {
+    const nodeAddress = getDefaultAddress(this.web3);
+    const role = await this.rolesRepository.onboardedRole(nodeAddress);
+    if (!role.is(Role.APOLLO)) {
+      await this.addLog('Node is no longer onboarded as APOLLO', {role: role.name});
+      return;
+    }
+    await this.addLog('Apollo status', await this.collectStatus(nodeAddress));
+  }
+
+  async collectStatus(nodeAddress) {
+    const latestBlockNumber = await this.web3.eth.getBlockNumber();
+    return {
+      latestBlockNumber,
+      syncing: await isSyncing(this.web3),
+      balance: await this.web3.eth.getBalance(nodeAddress),
+      sealedBlocksCount: await this.countSealedBlocks(nodeAddress, latestBlockNumber)
+    };
+  }
+
+  async countSealedBlocks(nodeAddress, latestBlockNumber) {
+    const firstBlockNumber = Math.max(latestBlockNumber - this.inspectedBlocksCount + 1, 0);
+    let sealedBlocksCount = 0;
+    for (let blockNumber = firstBlockNumber; blockNumber <= latestBlockNumber; blockNumber++) {
+      const block = await this.web3.eth.getBlock(blockNumber);
+      if (block && block.miner.toLowerCase() === nodeAddress.toLowerCase()) {
+        sealedBlocksCount++;
+      }
+    }
+    return sealedBlocksCount;
+  }
+
+  async addLog(message, additionalFields, stacktrace) {
+    const log = {
+      message,
+      ...additionalFields
+    };
+    this.logger.info({...log, stacktrace});
+    await this.workerLogRepository.storeLog({timestamp: new Date(), ...log});
+  }
+}
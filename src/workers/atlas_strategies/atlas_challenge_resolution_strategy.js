@@ -17,6 +17,10 @@ export default class AtlasChallengeParticipationStrategy {
     return 86400; // 1 day
   }
 
+  async prioritiseChallenges(challenges) {
+    return challenges;
+  }
+
   // eslint-disable-next-line no-unused-vars
   async shouldFetchBundle(challenge) {
     throw new Error('Should be implemented');
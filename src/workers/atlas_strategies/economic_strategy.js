@@ -0,0 +1,83 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import BN from 'bn.js';
+import AtlasChallengeParticipationStrategy from './atlas_challenge_resolution_strategy';
+import {mongoObjectSize} from '../../utils/db_utils';
+
+export default class EconomicStrategy extends AtlasChallengeParticipationStrategy {
+  constructor({config, web3, dataModelEngine, uploadRepository, entityRepository, sheltererReputationRepository}) {
+    super();
+    this.web3 = web3;
+    this.dataModelEngine = dataModelEngine;
+    this.uploadRepository = uploadRepository;
+    this.entityRepository = entityRepository;
+    this.sheltererReputationRepository = sheltererReputationRepository;
+    this.maxStoragePeriods = config.economicStrategyMaxStoragePeriods;
+    this.diskBudget = config.economicStrategyDiskBudget;
+    this.maxBundleSize = config.economicStrategyMaxBundleSize;
+    this.minRewardToCostRatio = config.economicStrategyMinRewardToCostRatio;
+    this.resolutionGas = config.economicStrategyResolutionGas;
+    this.minSheltererSuccessRate = config.economicStrategyMinSheltererSuccessRate;
+    this.minSheltererAttempts = config.economicStrategyMinSheltererAttempts;
+    this.gasPrice = config.defaultGasPrice;
+  }
+
+  async prioritiseChallenges(challenges) {
+    const sheltererIds = [...new Set(challenges.map(({sheltererId}) => sheltererId))];
+    const reputations = await this.sheltererReputationRepository.getReputations(sheltererIds);
+    const successRates = reputations.reduce((acc, {sheltererId, successRate}) => ({...acc, [sheltererId]: successRate}), {});
+    // shelterers we have not downloaded from yet get the benefit of the doubt
+    const successRate = ({sheltererId}) => (typeof successRates[sheltererId] === 'number' ? successRates[sheltererId] : 1);
+    return [...challenges].sort((left, right) => successRate(right) - successRate(left) || left.blockNumber - right.blockNumber);
+  }
+
+  async shouldFetchBundle({bundleId, sheltererId, count}) {
+    if (await this.entityRepository.bundlesStorageSize() >= this.diskBudget) {
+      return false;
+    }
+    if (!this.isSheltererReliable(await this.sheltererReputationRepository.getReputation(sheltererId))) {
+      return false;
+    }
+    const {storagePeriods} = await this.dataModelEngine.downloadBundleMetadata(bundleId, sheltererId);
+    if (!storagePeriods || storagePeriods > this.maxStoragePeriods) {
+      return false;
+    }
+    const reward = await this.estimateReward(storagePeriods, count);
+    return this.isProfitable(reward, this.resolutionCost());
+  }
+
+  async shouldResolveChallenge(bundle) {
+    if (mongoObjectSize(bundle) > this.maxBundleSize) {
+      return false;
+    }
+    // the downloaded bundle is already stored at this point, so it is included in the storage size
+    return await this.entityRepository.bundlesStorageSize() <= this.diskBudget;
+  }
+
+  isSheltererReliable({attempts, successRate}) {
+    return attempts < this.minSheltererAttempts || successRate >= this.minSheltererSuccessRate;
+  }
+
+  async estimateReward(storagePeriods, challengesCount) {
+    // the upload fee is shared by all the Atlases resolving the challenges for the bundle
+    const fee = new BN(await this.uploadRepository.feeForUpload(storagePeriods));
+    return fee.div(new BN(challengesCount || 1));
+  }
+
+  resolutionCost() {
+    const gasPriceInWei = new BN(this.web3.utils.toWei(this.gasPrice.toString(), 'gwei'));
+    return gasPriceInWei.mul(new BN(this.resolutionGas));
+  }
+
+  isProfitable(reward, cost) {
+    const ratioInPercents = Math.round(this.minRewardToCostRatio * 100);
+    return reward.muln(100).gte(cost.muln(ratioInPercents));
+  }
+}
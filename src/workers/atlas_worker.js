@@ -11,7 +11,7 @@ import PeriodicWorker from './periodic_worker';
 import AtlasChallengeParticipationStrategy from './atlas_strategies/atlas_challenge_resolution_strategy';
 
 export default class AtlasWorker extends PeriodicWorker {
-  constructor(web3, dataModelEngine, workerLogRepository, challengesRepository, failedChallengesCache, strategy, logger) {
+  constructor(web3, dataModelEngine, workerLogRepository, challengesRepository, failedChallengesCache, strategy, logger, downloadConcurrency = 1, maxResolutionsPerInterval = 1) {
     super(strategy.workerInterval, logger);
     this.web3 = web3;
     this.dataModelEngine = dataModelEngine;
@@ -19,6 +19,10 @@ export default class AtlasWorker extends PeriodicWorker {
     this.workerLogRepository = workerLogRepository;
     this.challengesRepository = challengesRepository;
     this.failedChallengesCache = failedChallengesCache;
+    this.downloadConcurrency = downloadConcurrency;
+    this.maxResolutionsPerInterval = maxResolutionsPerInterval;
+    this.resolutionsInInterval = 0;
+    this.resolutionQueue = Promise.resolve();
     if (!(this.strategy instanceof AtlasChallengeParticipationStrategy)) {
       throw new Error('A valid strategy must be provided');
     }
@@ -37,7 +41,7 @@ export default class AtlasWorker extends PeriodicWorker {
 
   async tryWithChallenge(challenge) {
     try {
-      if (this.failedChallengesCache.didChallengeFailRecently(challenge.challengeId)) {
+      if (await this.failedChallengesCache.didChallengeFailRecently(challenge.challengeId)) {
         return false;
       }
       if (!await this.strategy.shouldFetchBundle(challenge)) {
@@ -49,26 +53,57 @@ export default class AtlasWorker extends PeriodicWorker {
         await this.addLog('Challenge resolution cancelled', challenge);
         return false;
       }
-      await this.tryToResolve(bundle, challenge);
-      await this.strategy.afterChallengeResolution(bundle);
-      return true;
+      return await this.resolveSerially(async () => {
+        if (this.resolutionsInInterval >= this.maxResolutionsPerInterval) {
+          await this.addLog('Challenge resolution skipped, resolution limit for this interval reached', challenge);
+          return false;
+        }
+        await this.tryToResolve(bundle, challenge);
+        this.resolutionsInInterval++;
+        await this.strategy.afterChallengeResolution(bundle);
+        return true;
+      });
     } catch (err) {
-      this.failedChallengesCache.rememberFailedChallenge(challenge.challengeId, this.strategy.retryTimeout);
+      await this.failedChallengesCache.rememberFailedChallenge(challenge.challengeId, this.strategy.retryTimeout, err.message || String(err));
       await this.addLog(`Failed to resolve challenge: ${err.message || err}`, challenge, err.stack);
       return false;
     }
   }
 
+  // resolutions are sent one by one, so that concurrent downloads do not lead to transaction nonce collisions
+  async resolveSerially(resolution) {
+    const result = this.resolutionQueue.then(resolution);
+    this.resolutionQueue = result.catch(() => {});
+    return result;
+  }
+
   async periodicWork() {
-    const challenges = await this.challengesRepository.ongoingChallenges();
+    const challenges = await this.strategy.prioritiseChallenges(await this.challengesRepository.ongoingChallenges());
     await this.addLog(`Challenges preselected for resolution: ${challenges.length}`);
-    for (const challenge of challenges) {
-      const successful = await this.tryWithChallenge(challenge);
-      if (successful) {
-        break;
+    this.resolutionsInInterval = 0;
+    const outcomes = [];
+    const processedBundleIds = new Set();
+    let nextChallengeIndex = 0;
+    let resolvedCount = 0;
+
+    const processChallenges = async () => {
+      while (nextChallengeIndex < challenges.length && resolvedCount < this.maxResolutionsPerInterval) {
+        const challenge = challenges[nextChallengeIndex++];
+        // only one challenge per bundle can be resolved by this node
+        if (!processedBundleIds.has(challenge.bundleId)) {
+          processedBundleIds.add(challenge.bundleId);
+          const resolved = await this.tryWithChallenge(challenge);
+          if (resolved) {
+            resolvedCount++;
+          }
+          outcomes.push({challengeId: challenge.challengeId, bundleId: challenge.bundleId, resolved});
+        }
       }
-    }
-    this.failedChallengesCache.clearOutdatedChallenges();
+    };
+    await Promise.all(Array.from({length: Math.min(this.downloadConcurrency, challenges.length)}, processChallenges));
+
+    await this.addLog(`Challenges resolved in this interval: ${resolvedCount}`, {outcomes});
+    await this.failedChallengesCache.clearOutdatedChallenges();
   }
 
   async addLog(message, additionalFields, stacktrace) {
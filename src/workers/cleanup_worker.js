@@ -0,0 +1,39 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import PeriodicWorker from './periodic_worker';
+
+export default class CleanupWorker extends PeriodicWorker {
+  constructor(dataModelEngine, workerLogRepository, interval, dryRun, logger, gracePeriod) {
+    super(interval, logger);
+    this.dataModelEngine = dataModelEngine;
+    this.workerLogRepository = workerLogRepository;
+    this.dryRun = dryRun;
+    this.gracePeriod = gracePeriod;
+  }
+
+  async periodicWork() {
+    const results = await this.dataModelEngine.cleanupExpiredBundles(this.dryRun, this.gracePeriod);
+    for (const bundleId of results.removed) {
+      await this.addLog(this.dryRun ? 'Expired bundle would be removed (dry run)' : 'Expired bundle was removed', {bundleId});
+    }
+    for (const [bundleId, error] of Object.entries(results.failed)) {
+      await this.addLog(`Failed to check bundle expiration`, {bundleId, errorMsg: error.message || error}, error.stack);
+    }
+  }
+
+  async addLog(message, additionalFields, stacktrace) {
+    const log = {
+      message,
+      ...additionalFields
+    };
+    this.logger.info({...log, stacktrace});
+    await this.workerLogRepository.storeLog({timestamp: new Date(), ...log});
+  }
+}
@@ -7,20 +7,31 @@ This Source Code Form is subject to the terms of the Mozilla Public License, v.
 This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
 */
 
-import HermesUploadStrategy from './upload_strategy';
+import HermesUploadStrategy, {parseOrganizationStoragePeriods} from './upload_strategy';
 
 export default class RegularIntervalUploadStrategy extends HermesUploadStrategy {
+  constructor({config}) {
+    super();
+    this.interval = config.uploadWorkerInterval;
+    this.bundleStoragePeriods = config.uploadStoragePeriods;
+    this.bundleOrganizationStoragePeriods = parseOrganizationStoragePeriods(config.uploadOrganizationStoragePeriods);
+    this.minimumItemsInBundle = config.uploadMinimumItems;
+  }
+
   get workerInterval() {
-    return process.env.WORKER_INTERVAL || 300000; // 5 minutes
+    return this.interval;
   }
 
   storagePeriods() {
-    return 1;
+    return this.bundleStoragePeriods;
+  }
+
+  organizationStoragePeriods() {
+    return this.bundleOrganizationStoragePeriods;
   }
 
   async shouldBundle(bundle) {
-    const minimumItemsInBundle = process.env.WORKER_MINIMUM_ITEMS || 1;
-    return bundle.content.entries.length >= minimumItemsInBundle;
+    return bundle.content.entries.length >= this.minimumItemsInBundle;
   }
 
   async bundlingSucceeded() {
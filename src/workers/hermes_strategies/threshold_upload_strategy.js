@@ -0,0 +1,58 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import HermesUploadStrategy, {parseOrganizationStoragePeriods} from './upload_strategy';
+import {mongoObjectSize} from '../../utils/db_utils';
+import {getTimestamp} from '../../utils/time_utils';
+
+export default class ThresholdUploadStrategy extends HermesUploadStrategy {
+  constructor({config}) {
+    super();
+    this.interval = config.uploadWorkerInterval;
+    this.bundleStoragePeriods = config.uploadStoragePeriods;
+    this.bundleOrganizationStoragePeriods = parseOrganizationStoragePeriods(config.uploadOrganizationStoragePeriods);
+    this.itemsThreshold = config.uploadThresholdItems;
+    this.sizeThreshold = config.uploadThresholdSize;
+    this.maxAge = config.uploadThresholdMaxAge;
+  }
+
+  get workerInterval() {
+    return this.interval;
+  }
+
+  storagePeriods() {
+    return this.bundleStoragePeriods;
+  }
+
+  organizationStoragePeriods() {
+    return this.bundleOrganizationStoragePeriods;
+  }
+
+  async shouldBundle(bundle) {
+    const {entries} = bundle.content;
+    if (entries.length === 0) {
+      return false;
+    }
+    return entries.length >= this.itemsThreshold ||
+      mongoObjectSize(bundle) >= this.sizeThreshold ||
+      this.oldestEntryAge(entries) >= this.maxAge;
+  }
+
+  // measured from the time the entry reached this node, the signed idData timestamp is set by the client and may be backdated
+  oldestEntryAge(entries) {
+    const oldestTimestamp = entries
+      .map((entry) => entry.metadata && entry.metadata.entityUploadTimestamp)
+      .filter((timestamp) => timestamp !== undefined)
+      .reduce((oldest, timestamp) => Math.min(oldest, timestamp), Infinity);
+    return getTimestamp() - oldestTimestamp;
+  }
+
+  async bundlingSucceeded() {
+  }
+}
@@ -7,6 +7,32 @@ This Source Code Form is subject to the terms of the Mozilla Public License, v.
 This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
 */
 
+const organizationStoragePeriodsFormatError = (reason) => new Error(`UPLOAD_ORGANIZATION_STORAGE_PERIODS must be a JSON object mapping organization ids to storage periods, e.g. {"1": 4}: ${reason}`);
+
+export const parseOrganizationStoragePeriods = (value) => {
+  if (!value) {
+    return {};
+  }
+  let organizationStoragePeriods;
+  try {
+    organizationStoragePeriods = JSON.parse(value);
+  } catch (err) {
+    throw organizationStoragePeriodsFormatError(err.message);
+  }
+  if (organizationStoragePeriods === null || typeof organizationStoragePeriods !== 'object' || Array.isArray(organizationStoragePeriods)) {
+    throw organizationStoragePeriodsFormatError(`got ${value}`);
+  }
+  for (const [organization, storagePeriods] of Object.entries(organizationStoragePeriods)) {
+    if (!/^\d+$/.test(organization)) {
+      throw organizationStoragePeriodsFormatError(`${organization} is not an organization id`);
+    }
+    if (!Number.isInteger(storagePeriods) || storagePeriods < 1) {
+      throw organizationStoragePeriodsFormatError(`storage periods of organization ${organization} have to be a positive integer, got ${JSON.stringify(storagePeriods)}`);
+    }
+  }
+  return organizationStoragePeriods;
+};
+
 /** @abstract */
 export default class HermesUploadStrategy {
   get workerInterval() {
@@ -17,6 +43,11 @@ export default class HermesUploadStrategy {
     return 1;
   }
 
+  // storage periods for entities created by accounts of given organizations, keyed by organization id
+  organizationStoragePeriods() {
+    return {};
+  }
+
   // eslint-disable-next-line no-unused-vars
   async shouldBundle(bundle) {
     throw new Error('Should be implemented');
@@ -7,51 +7,162 @@ This Source Code Form is subject to the terms of the Mozilla Public License, v.
 This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
 */
 
+import {randomBytes} from 'crypto';
 import PeriodicWorker from './periodic_worker';
 import HermesUploadStrategy from './hermes_strategies/upload_strategy';
+import {LockLostError, WorkInProgressError} from '../errors/errors';
 
+export const BUNDLING_WORK_TYPE = 'HermesBundling';
 
 export default class HermesWorker extends PeriodicWorker {
-  constructor(dataModelEngine, workerLogRepository, strategy, logger) {
-    super(strategy.workerInterval, logger);
+  constructor(dataModelEngine, workerLogRepository, workerTaskTrackingRepository, strategy, logger, lockLeaseDuration, priorityInterval = null) {
+    super(priorityInterval ? Math.min(priorityInterval, strategy.workerInterval) : strategy.workerInterval, logger);
     this.dataModelEngine = dataModelEngine;
+    // bundle stub ids have to be unique among all Hermes instances working on the same database
+    this.instanceId = randomBytes(8).toString('hex');
     this.bundleSequenceNumber = 0;
     this.strategy = strategy;
     this.workerLogRepository = workerLogRepository;
+    this.workerTaskTrackingRepository = workerTaskTrackingRepository;
+    this.lockLeaseDuration = lockLeaseDuration;
+    this.lockLost = false;
+    this.priorityInterval = priorityInterval;
+    this.lastRegularBundlingTime = null;
     if (!(this.strategy instanceof HermesUploadStrategy)) {
       throw new Error('A valid strategy must be provided');
     }
   }
 
+  async beforeWorkLoop() {
+    // the node could have been stopped after uploading a bundle but before storing its proof
+    await this.withBundlingLock(async () => {
+      const results = await this.dataModelEngine.reconcileUploadedBundles();
+      for (const bundleId of results.reconciled) {
+        await this.addLog(`Bundle upload was reconciled with the chain`, {bundleId});
+      }
+      for (const [bundleId, error] of Object.entries(results.failed)) {
+        await this.addLog(`Bundle upload failed to reconcile`, {bundleId, errorMsg: error.message || error}, error.stack);
+      }
+    });
+  }
+
   async periodicWork() {
-    await this.bundleCandidates();
+    await this.withBundlingLock(async () => {
+      await this.dataModelEngine.rejectAbandonedBundleCandidates();
+      await this.bundleAndUpload();
+    });
+  }
+
+  async withBundlingLock(work) {
+    let taskId;
+    try {
+      taskId = await this.workerTaskTrackingRepository.tryToBeginWork(BUNDLING_WORK_TYPE, this.lockLeaseDuration);
+    } catch (err) {
+      if (err instanceof WorkInProgressError) {
+        // another Hermes instance is bundling at the moment
+        return;
+      }
+      throw err;
+    }
+    this.lockLost = false;
+    const heartbeat = setInterval(() => this.refreshLock(taskId), this.lockLeaseDuration / 3);
+    try {
+      await work();
+    } catch (err) {
+      if (!(err instanceof LockLostError)) {
+        throw err;
+      }
+      await this.addLog('Bundling aborted, the bundling lock was lost', {errorMsg: err.message});
+    } finally {
+      clearInterval(heartbeat);
+      await this.workerTaskTrackingRepository.finishWork(taskId);
+    }
+  }
+
+  async refreshLock(taskId) {
+    try {
+      await this.workerTaskTrackingRepository.refreshWork(taskId, this.lockLeaseDuration);
+    } catch (err) {
+      // without a confirmed lease another instance may take over and discard the candidates of this one
+      this.lockLost = true;
+      this.logger.error(err);
+    }
+  }
+
+  ensureLockIsHeld() {
+    if (this.lockLost) {
+      throw new LockLostError('The lease of the bundling lock could not be refreshed');
+    }
+  }
+
+  async bundleAndUpload() {
+    if (this.priorityInterval) {
+      await this.bundleCandidates(true);
+    }
+    if (this.isRegularBundlingDue()) {
+      this.lastRegularBundlingTime = Date.now();
+      await this.bundleCandidates();
+    }
     await this.uploadWaitingCandidates();
   }
 
-  async bundleCandidates() {
-    const storagePeriods = this.strategy.storagePeriods();
+  isRegularBundlingDue() {
+    return this.lastRegularBundlingTime === null || Date.now() - this.lastRegularBundlingTime >= this.strategy.workerInterval;
+  }
+
+  async bundleCandidates(priorityOnly = false) {
+    const retentionClasses = await this.dataModelEngine.bundleRetentionClasses(this.strategy.storagePeriods(), this.strategy.organizationStoragePeriods());
+    for (const retentionClass of retentionClasses) {
+      await this.bundleCandidate(priorityOnly ? {...retentionClass, priorityOnly} : retentionClass);
+    }
+  }
+
+  async bundleCandidate(retentionClass) {
+    const {storagePeriods, priorityOnly} = retentionClass;
 
-    const sequenceNumber = this.bundleSequenceNumber++;
-    const bundle = await this.dataModelEngine.prepareBundleCandidate(sequenceNumber);
+    const bundleStubId = this.nextBundleStubId();
+    const bundle = await this.dataModelEngine.prepareBundleCandidate(bundleStubId, retentionClass);
 
-    if (await this.strategy.shouldBundle(bundle)) {
-      await this.dataModelEngine.acceptBundleCandidate(bundle, sequenceNumber, storagePeriods);
+    if (await this.shouldBundle(bundle, priorityOnly)) {
+      this.ensureLockIsHeld();
+      await this.dataModelEngine.acceptBundleCandidate(bundle, bundleStubId, storagePeriods);
       await this.strategy.bundlingSucceeded();
-      await this.addLog('Bundle candidate accepted');
+      await this.addLog(priorityOnly ? 'Priority bundle candidate accepted' : 'Bundle candidate accepted', {storagePeriods});
     } else {
-      await this.dataModelEngine.rejectBundleCandidate(sequenceNumber);
-      await this.addLog('Bundle candidate discarded');
+      await this.dataModelEngine.rejectBundleCandidate(bundleStubId);
+      // the priority lane runs often and is usually empty, so only its accepted candidates are logged
+      if (!priorityOnly) {
+        await this.addLog('Bundle candidate discarded', {storagePeriods});
+      }
     }
   }
 
+  nextBundleStubId() {
+    return `${this.instanceId}-${this.bundleSequenceNumber++}`;
+  }
+
+  async shouldBundle(bundle, priorityOnly) {
+    // priority entities are anchored as soon as possible, regardless of the strategy thresholds
+    if (priorityOnly) {
+      return bundle.content.entries.length > 0;
+    }
+    return this.strategy.shouldBundle(bundle);
+  }
+
   async uploadWaitingCandidates() {
-    const results = await this.dataModelEngine.uploadAcceptedBundleCandidates();
+    const results = await this.dataModelEngine.uploadAcceptedBundleCandidates(async () => this.ensureLockIsHeld());
     for (const bundleId of results.ok) {
       await this.addLog(`Bundle was uploaded`, {bundleId});
     }
+    for (const bundleId of results.reconciled) {
+      await this.addLog(`Bundle upload was reconciled with the chain`, {bundleId});
+    }
     for (const [bundleId, error] of Object.entries(results.failed)) {
       await this.addLog(`Bundle failed to upload`, {bundleId, errorMsg: error.message || error}, error.stack);
     }
+    for (const bundleId of results.deadLettered) {
+      await this.addLog(`Bundle upload will not be retried until requeued`, {bundleId});
+    }
   }
 
   async addLog(message, additionalFields, stacktrace) {
@@ -15,6 +15,7 @@ export default class PeriodicWorker extends Worker {
     super(logger);
     this.interval = interval;
     this.timerId = null;
+    this.currentIteration = null;
   }
 
   async work() {
@@ -23,14 +24,20 @@ export default class PeriodicWorker extends Worker {
   }
 
   async periodicWorkInternal() {
+    this.currentIteration = this.runIteration();
+    await this.currentIteration;
+    this.currentIteration = null;
+    if (this.started) {
+      this.timerId = setTimeout(() => this.periodicWorkInternal(), this.interval);
+    }
+  }
+
+  async runIteration() {
     try {
       await this.periodicWork();
     } catch (err) {
       this.logger.error(err);
     }
-    if (this.started) {
-      this.timerId = setTimeout(() => this.periodicWorkInternal(), this.interval);
-    }
   }
 
   async teardown() {
@@ -38,6 +45,10 @@ export default class PeriodicWorker extends Worker {
       clearTimeout(this.timerId);
     }
     this.timerId = null;
+    // the iteration in progress is let to finish, so that e.g. a bundle is not left half uploaded
+    if (this.currentIteration) {
+      await this.currentIteration;
+    }
     await this.afterWorkLoop();
   }
 
@@ -22,6 +22,9 @@ import bundlesRouter from '../routes/bundles';
 import eventsRouter from '../routes/events';
 import tokenRouter from '../routes/token';
 import nodeInfoRouter from '../routes/nodeinfo';
+import shelterersRouter from '../routes/shelterers';
+import uploadsRouter from '../routes/uploads';
+import challengesRouter from '../routes/challenges';
 import healthCheckHandler from '../routes/health_check';
 import prometheusMetricsHandler from '../routes/prometheus_metrics.js';
 import asyncMiddleware from '../middlewares/async_middleware';
@@ -56,15 +59,24 @@ export default class ServerWorker extends Worker {
     app.use(cachePreventionMiddleware);
 
     app.use('/nodeinfo', nodeInfoRouter(this.modelEngine, this.modelEngine.identityManager, this.config.gitCommit));
-    app.use('/bundle', bundlesRouter(this.modelEngine));
     app.get('/health', asyncMiddleware(healthCheckHandler(this.modelEngine.mongoClient, this.web3)));
     app.get('/metrics', prometheusMetricsHandler(promClient));
 
+    if (!this.role.is(Role.APOLLO)) {
+      app.use('/bundle', bundlesRouter(this.modelEngine));
+    }
+
     if (this.role.is(Role.HERMES)) {
       app.use('/accounts', accountsRouter(this.modelEngine.tokenAuthenticator, this.modelEngine, this.config));
       app.use('/assets', assetsRouter(this.modelEngine.tokenAuthenticator, this.modelEngine.identityManager, this.modelEngine, this.config));
-      app.use('/events', eventsRouter(this.modelEngine.tokenAuthenticator, this.modelEngine.identityManager, this.modelEngine));
+      app.use('/events', eventsRouter(this.modelEngine.tokenAuthenticator, this.modelEngine.identityManager, this.modelEngine, this.config));
       app.use('/token', tokenRouter(this.modelEngine.tokenAuthenticator, this.config));
+      app.use('/uploads', uploadsRouter(this.modelEngine.tokenAuthenticator, this.modelEngine));
+    }
+
+    if (this.role.is(Role.ATLAS)) {
+      app.use('/challenges', challengesRouter(this.modelEngine.tokenAuthenticator, this.modelEngine));
+      app.use('/shelterers', shelterersRouter(this.modelEngine.tokenAuthenticator, this.modelEngine));
     }
 
     app.use('*', fallbackRouter(this.config));
@@ -80,6 +92,7 @@ export default class ServerWorker extends Worker {
   async teardown() {
     clearInterval(this.collectMetricsInterval);
     promClient.register.clear();
-    this.apiServer.close();
+    // stops accepting connections and resolves once the requests in progress are answered and idle connections time out
+    await new Promise((resolve, reject) => this.apiServer.close((err) => (err ? reject(err) : resolve())));
   }
 }
@@ -0,0 +1,16 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+// Mirrors the verification done by clients holding an inclusion proof, the node itself only produces proofs
+const verifyMerkleProof = (leaf, path, root, hashNodes) => root === path.reduce(
+  (hash, sibling) => (sibling.position === 'left' ? hashNodes([sibling.hash, hash]) : hashNodes([hash, sibling.hash])),
+  leaf
+);
+
+export default verifyMerkleProof;
@@ -121,6 +121,70 @@ describe('Assets - Integrations', () => {
     });
   });
 
+  describe('creating assets in batch', () => {
+    let assets;
+
+    beforeEach(async () => {
+      assets = [
+        createFullAsset(apparatus.identityManager, {createdBy: adminAccount.address, sequenceNumber: 0}, adminAccount.secret),
+        createFullAsset(apparatus.identityManager, {createdBy: adminAccount.address, sequenceNumber: 1}, adminAccount.secret),
+        createFullAsset(apparatus.identityManager, {createdBy: otherAccountWithPermissions.address}, otherAccountWithPermissions.secret)
+      ];
+    });
+
+    it('stores all valid assets and reports the result for each', async () => {
+      const response = await apparatus.request()
+        .post('/assets/batch')
+        .send({assets});
+      expect(response.status).to.eq(200);
+      expect(response.body.createdCount).to.equal(3);
+      expect(response.body.results.map(({assetId}) => assetId)).to.deep.equal(assets.map(({assetId}) => assetId));
+      const fetched = await apparatus.request().get(`/assets/${assets[2].assetId}`);
+      expect(fetched.body.content).to.deep.equal(assets[2].content);
+    });
+
+    it('stores valid assets and reports rejected ones in bestEffort mode', async () => {
+      const notPermittedAsset = createFullAsset(apparatus.identityManager, {createdBy: otherAccount.address}, otherAccount.secret);
+      const response = await apparatus.request()
+        .post('/assets/batch')
+        .send({assets: [...assets, notPermittedAsset], mode: 'bestEffort'});
+      expect(response.status).to.eq(200);
+      expect(response.body.createdCount).to.equal(3);
+      expect(response.body.rejectedCount).to.equal(1);
+      expect(response.body.results[3].reason).to.contain('Permission denied');
+    });
+
+    it('stores nothing in atomic mode if any asset is rejected', async () => {
+      const brokenAsset = pick(assets[2], 'content.idData.timestamp');
+      const response = await apparatus.request()
+        .post('/assets/batch')
+        .send({assets: [assets[0], assets[1], brokenAsset], mode: 'atomic'});
+      expect(response.status).to.eq(200);
+      expect(response.body.createdCount).to.equal(0);
+      expect(response.body.rejectedCount).to.equal(3);
+      await expect(apparatus.request().get(`/assets/${assets[0].assetId}`))
+        .to.eventually.be.rejected
+        .and.have.property('status', 404);
+    });
+
+    it('stores all assets in atomic mode if all are valid', async () => {
+      const response = await apparatus.request()
+        .post('/assets/batch')
+        .send({assets, mode: 'atomic'});
+      expect(response.status).to.eq(200);
+      expect(response.body.createdCount).to.equal(3);
+    });
+
+    it('returns 400 for unknown mode', async () => {
+      const request = apparatus.request()
+        .post('/assets/batch')
+        .send({assets, mode: 'sometimes'});
+      await expect(request)
+        .to.eventually.be.rejected
+        .and.have.property('status', 400);
+    });
+  });
+
   describe('fetching asset', () => {
     let asset;
 
@@ -16,6 +16,7 @@ import {adminAccountWithSecret} from '../fixtures/account';
 import ServerApparatus, {apparatusScenarioProcessor} from '../helpers/server_apparatus';
 import ScenarioBuilder from '../fixtures/scenario_builder';
 import {properTxHash} from '../helpers/web3chai';
+import verifyMerkleProof from '../helpers/merkle_proofs';
 
 chai.use(properTxHash);
 chai.use(chaiHttp);
@@ -29,6 +30,7 @@ describe('Bundles - Integrations', () => {
   let scenario;
   let res;
   let entitiesIds;
+  let notBundledEventId;
 
   const mapEntitiesToIds = (value) => {
     if (value.assetId) {
@@ -61,7 +63,7 @@ describe('Bundles - Integrations', () => {
     res = await apparatus.dataModelEngine.acceptBundleCandidate(newBundle, 1, 1);
     await apparatus.dataModelEngine.uploadAcceptedBundleCandidates();
     // this additional event should not go into the bundle
-    await scenario.addEvent(0, 1, {timestamp: 3}, [{type: '4'}]);
+    notBundledEventId = (await scenario.addEvent(0, 1, {timestamp: 3}, [{type: '4'}])).eventId;
   });
 
   after(async () => {
@@ -124,6 +126,60 @@ describe('Bundles - Integrations', () => {
     });
   });
 
+  describe('getting entity inclusion proof', () => {
+    const hashNodes = (nodes) => apparatus.identityManager.calculateHash(nodes);
+
+    it('returns proof verifiable against the signed Merkle root', async () => {
+      const response = await apparatus.request()
+        .get(`/bundle/${res.bundleId}/proof/${entitiesIds[2]}`);
+      expect(response.status).to.equal(200);
+      expect(response.body.merkleRoot).to.equal(res.content.idData.entriesMerkleRoot);
+      expect(verifyMerkleProof(response.body.leaf, response.body.path, response.body.merkleRoot, hashNodes)).to.be.true;
+    });
+
+    it('return 404 if entity is not in the bundle', async () => {
+      const request = apparatus.request()
+        .get(`/bundle/${res.bundleId}/proof/0x1234`);
+      await expect(request).to.eventually.be.rejected
+        .and.have.property('status', 404);
+    });
+  });
+
+  describe('verifying entities', () => {
+    it('reports a bundled event as verified and anchored on chain', async () => {
+      const response = await apparatus.request()
+        .get(`/events/${entitiesIds[3]}/verification`);
+      expect(response.status).to.equal(200);
+      expect(response.body.eventId).to.equal(entitiesIds[3]);
+      expect(response.body.verified).to.be.true;
+      expect(response.body.checks.bundleInclusion.bundleId).to.equal(res.bundleId);
+      expect(response.body.checks.onChain.transactionHash).to.be.properTxHash;
+    });
+
+    it('reports a bundled asset as verified', async () => {
+      const response = await apparatus.request()
+        .get(`/assets/${entitiesIds[0]}/verification`);
+      expect(response.status).to.equal(200);
+      expect(response.body.verified).to.be.true;
+    });
+
+    it('reports an event that was not bundled yet as not verified', async () => {
+      const response = await apparatus.request()
+        .get(`/events/${notBundledEventId}/verification`);
+      expect(response.status).to.equal(200);
+      expect(response.body.verified).to.be.false;
+      expect(response.body.checks.entityHash.passed).to.be.true;
+      expect(response.body.checks.bundleInclusion.passed).to.be.false;
+    });
+
+    it('return 404 if event does not exist', async () => {
+      const request = apparatus.request()
+        .get(`/events/0x1234/verification`);
+      await expect(request).to.eventually.be.rejected
+        .and.have.property('status', 404);
+    });
+  });
+
   describe('getting bundle metadata', () => {
     it('works for existing bundle', async () => {
       const response = await apparatus.request()
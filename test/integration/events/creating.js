@@ -136,6 +136,69 @@ describe('Events Integrations: Create', () => {
       .and.have.property('status', 403);
   });
 
+  describe('in batch', () => {
+    let otherEvent;
+
+    beforeEach(async () => {
+      otherEvent = createFullEvent(apparatus.identityManager, {
+        createdBy: adminAccount.address,
+        assetId: asset.assetId,
+        timestamp: event.content.idData.timestamp + 1
+      }, undefined, adminAccount.secret);
+    });
+
+    it('stores all valid events and reports the result for each', async () => {
+      const response = await apparatus.request()
+        .post(`/assets/${asset.assetId}/events/batch`)
+        .send({events: [event, otherEvent]});
+      expect(response.status).to.eq(200);
+      expect(response.body).to.deep.equal({
+        results: [
+          {eventId: event.eventId, created: true},
+          {eventId: otherEvent.eventId, created: true}
+        ],
+        createdCount: 2,
+        rejectedCount: 0
+      });
+      const fetched = await apparatus.request().get(`/events/${otherEvent.eventId}`);
+      expect(fetched.body.content).to.deep.equal(otherEvent.content);
+    });
+
+    it('works without assetId in the path', async () => {
+      const response = await apparatus.request()
+        .post('/events/batch')
+        .send({events: [event, otherEvent]});
+      expect(response.status).to.eq(200);
+      expect(response.body.createdCount).to.equal(2);
+    });
+
+    it('reports rejected events and still stores the valid ones', async () => {
+      const notPermittedEvent = createFullEvent(apparatus.identityManager, {
+        createdBy: otherAccount.address,
+        assetId: asset.assetId
+      }, undefined, otherAccount.secret);
+      const brokenEvent = pick(otherEvent, 'content.idData.timestamp');
+
+      const response = await apparatus.request()
+        .post(`/assets/${asset.assetId}/events/batch`)
+        .send({events: [event, notPermittedEvent, brokenEvent]});
+      expect(response.status).to.eq(200);
+      expect(response.body.createdCount).to.equal(1);
+      expect(response.body.rejectedCount).to.equal(2);
+      expect(response.body.results[1].reason).to.contain('Permission denied');
+      expect(response.body.results[2].reason).to.contain('Invalid data');
+    });
+
+    it('returns 400 if events is not an array', async () => {
+      const request = apparatus.request()
+        .post(`/assets/${asset.assetId}/events/batch`)
+        .send({events: event});
+      await expect(request)
+        .to.eventually.be.rejected
+        .and.have.property('status', 400);
+    });
+  });
+
   afterEach(async () => {
     await apparatus.cleanDB();
     scenario.reset();
@@ -13,7 +13,15 @@ import sinon from 'sinon';
 import sinonChai from 'sinon-chai';
 import chaiAsPromised from 'chai-as-promised';
 
-import {createAssetHandler, fetchAssetHandler, createEventHandler, findAssetsHandler} from '../../src/routes/assets';
+import {
+  createAssetHandler,
+  createAssetsBatchHandler,
+  fetchAssetHandler,
+  verifyAssetHandler,
+  createEventHandler,
+  createEventsBatchHandler,
+  findAssetsHandler
+} from '../../src/routes/assets';
 import {put} from '../../src/utils/dict_utils';
 import {createAsset, createEvent} from '../fixtures/assets_events';
 import {createWeb3} from '../../src/utils/web3_tools';
@@ -40,9 +48,12 @@ describe('Assets', () => {
   beforeEach(async () => {
     mockModelEngine = {
       createAsset: sinon.stub(),
+      createAssets: sinon.stub(),
       getAsset: sinon.stub(),
+      verifyAsset: sinon.stub(),
       findAssets: sinon.stub(),
       createEvent: sinon.stub(),
+      createEvents: sinon.stub(),
       getEvent: sinon.stub()
     };
     req = httpMocks.createRequest({});
@@ -67,11 +78,47 @@ describe('Assets', () => {
     it('pushes json body into Data Model Engine, proxies result', async () => {
       await injectedHandler(req, res);
 
-      expect(mockModelEngine.createAsset).to.have.been.calledWith(inputAsset);
+      expect(mockModelEngine.createAsset).to.have.been.calledWith(inputAsset, false);
 
       expect(res._getStatusCode()).to.eq(201);
       expect(res._isJSON()).to.be.true;
     });
+
+    it('passes the priority flag from query into Data Model Engine', async () => {
+      req.query.priority = 'true';
+      await injectedHandler(req, res);
+
+      expect(mockModelEngine.createAsset).to.have.been.calledWith(inputAsset, true);
+    });
+  });
+
+  describe('creating assets in batch', () => {
+    const mockReport = {results: [{assetId: '0x1', created: true}], createdCount: 1, rejectedCount: 0};
+    let inputAssets;
+    let injectedHandler;
+
+    beforeEach(() => {
+      inputAssets = [createAsset()];
+      mockModelEngine.createAssets.resolves(mockReport);
+      injectedHandler = createAssetsBatchHandler(mockModelEngine);
+    });
+
+    it('pushes assets and mode into Data Model Engine, proxies report', async () => {
+      req.body = {assets: inputAssets, mode: 'atomic'};
+      await injectedHandler(req, res);
+
+      expect(mockModelEngine.createAssets).to.have.been.calledWith(inputAssets, 'atomic');
+
+      expect(res._getStatusCode()).to.eq(200);
+      expect(res._isJSON()).to.be.true;
+      expect(JSON.parse(res._getData())).to.deep.equal(mockReport);
+    });
+
+    it('fails if assets is not an array', async () => {
+      req.body = {assets: 'assets'};
+      await expect(injectedHandler(req, res)).to.eventually.be.rejectedWith(ValidationError);
+      expect(mockModelEngine.createAssets).to.not.have.been.called;
+    });
   });
 
   describe('fetching asset', () => {
@@ -96,6 +143,27 @@ describe('Assets', () => {
     });
   });
 
+  describe('verifying asset', () => {
+    const assetId = 'assetid';
+    const mockReport = {assetId, verified: true, checks: {}};
+    let injectedHandler;
+
+    beforeEach(() => {
+      mockModelEngine.verifyAsset.resolves(mockReport);
+      injectedHandler = verifyAssetHandler(mockModelEngine);
+    });
+
+    it('asks the model engine to verify the asset and proxies the report', async () => {
+      req.params.assetId = assetId;
+      await injectedHandler(req, res);
+
+      expect(mockModelEngine.verifyAsset).to.have.been.calledWith(assetId);
+      expect(res._getStatusCode()).to.eq(200);
+      expect(res._isJSON()).to.be.true;
+      expect(JSON.parse(res._getData())).to.deep.equal(mockReport);
+    });
+  });
+
   describe('finding assets', () => {
     let injectedHandler;
 
@@ -137,16 +205,59 @@ describe('Assets', () => {
     it('pushes json body into Data Model Engine, proxies result', async () => {
       await injectedHandler(req, res);
 
-      expect(mockModelEngine.createEvent).to.have.been.calledWith(inputEvent);
+      expect(mockModelEngine.createEvent).to.have.been.calledWith(inputEvent, false);
 
       expect(res._getStatusCode()).to.eq(201);
       expect(res._isJSON()).to.be.true;
     });
 
+    it('passes the priority flag from query into Data Model Engine', async () => {
+      req.query.priority = 'true';
+      await injectedHandler(req, res);
+
+      expect(mockModelEngine.createEvent).to.have.been.calledWith(inputEvent, true);
+    });
+
     it('fails if the path assetId differs from the one in content.idData.assetId', async () => {
       req.params.assetId = '0x3333';
       await expect(injectedHandler(req, res)).to.eventually.be.rejectedWith(ValidationError);
     });
   });
-});
 
+  describe('creating events in batch', () => {
+    const mockAssetId = '4321';
+    const mockReport = {results: [{eventId: '0x1', created: true}], createdCount: 1, rejectedCount: 0};
+    let inputEvents;
+    let injectedHandler;
+
+    beforeEach(() => {
+      inputEvents = [createEvent({assetId: mockAssetId})];
+      mockModelEngine.createEvents.resolves(mockReport);
+      req.body = {events: inputEvents};
+      injectedHandler = createEventsBatchHandler(mockModelEngine);
+    });
+
+    it('pushes events with path assetId into Data Model Engine, proxies report', async () => {
+      req.params.assetId = mockAssetId;
+      await injectedHandler(req, res);
+
+      expect(mockModelEngine.createEvents).to.have.been.calledWith(inputEvents, mockAssetId);
+
+      expect(res._getStatusCode()).to.eq(200);
+      expect(res._isJSON()).to.be.true;
+      expect(JSON.parse(res._getData())).to.deep.equal(mockReport);
+    });
+
+    it('passes undefined assetId when used without one in the path', async () => {
+      await injectedHandler(req, res);
+
+      expect(mockModelEngine.createEvents).to.have.been.calledWith(inputEvents, undefined);
+    });
+
+    it('fails if events is not an array', async () => {
+      req.body = {events: {}};
+      await expect(injectedHandler(req, res)).to.eventually.be.rejectedWith(ValidationError);
+      expect(mockModelEngine.createEvents).to.not.have.been.called;
+    });
+  });
+});
@@ -8,20 +8,25 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 */
 
 import httpMocks from 'node-mocks-http';
+import express from 'express';
 import chai from 'chai';
 import sinon from 'sinon';
 import sinonChai from 'sinon-chai';
 import chaiAsPromised from 'chai-as-promised';
+import zlib from 'zlib';
 import {put} from '../../src/utils/dict_utils';
 
 import {createBundle} from '../fixtures/assets_events';
-import {getBundleHandler} from '../../src/routes/bundles';
+import {getBundleHandler, getEntityInclusionProofHandler} from '../../src/routes/bundles';
 
 
 chai.use(sinonChai);
 chai.use(chaiAsPromised);
 const {expect} = chai;
 
+// node-mocks-http does not implement content negotiation of encodings, the express implementation is borrowed instead
+const createRequest = (options) => Object.assign(httpMocks.createRequest(options), {acceptsEncodings: express.request.acceptsEncodings});
+
 describe('Bundles', () => {
   let mockModelEngine;
   let req;
@@ -29,9 +34,10 @@ describe('Bundles', () => {
 
   beforeEach(async () => {
     mockModelEngine = {
-      getBundle: sinon.stub()
+      getBundle: sinon.stub(),
+      getEntityInclusionProof: sinon.stub()
     };
-    req = httpMocks.createRequest({});
+    req = createRequest({});
     res = httpMocks.createResponse();
   });
 
@@ -58,6 +64,47 @@ describe('Bundles', () => {
       expect(res._isJSON()).to.be.true;
       expect(returnedData).to.deep.equal(exampleBundle);
     });
+
+    it('compresses the bundle if the client accepts it', async () => {
+      req = createRequest({params: {bundleId: exampleBundleId}, headers: {'Accept-Encoding': 'gzip'}});
+
+      await injectedHandler(req, res);
+
+      expect(res._getStatusCode()).to.eq(200);
+      expect(res.get('Content-Encoding')).to.equal('gzip');
+      expect(res.get('Vary')).to.equal('Accept-Encoding');
+      expect(JSON.parse(zlib.gunzipSync(res._getData()))).to.deep.equal(exampleBundle);
+    });
+
+    it('does not compress the bundle if the client only accepts identity', async () => {
+      req = createRequest({params: {bundleId: exampleBundleId}, headers: {'Accept-Encoding': 'identity'}});
+
+      await injectedHandler(req, res);
+
+      expect(res.get('Content-Encoding')).to.be.undefined;
+      expect(JSON.parse(res._getData())).to.deep.equal(exampleBundle);
+    });
   });
-});
 
+  describe('getting entity inclusion proof', () => {
+    let injectedHandler;
+    const exampleProof = {bundleId: '0xabcdef', entityId: '0x1234', leaf: '0x1234', merkleRoot: '0x5678', path: []};
+
+    beforeEach(async () => {
+      injectedHandler = getEntityInclusionProofHandler(mockModelEngine);
+      mockModelEngine.getEntityInclusionProof.resolves(exampleProof);
+    });
+
+    it('passes requested ids to Data Model Engine and proxies result', async () => {
+      req.params.bundleId = '0xabcdef';
+      req.params.entityId = '0x1234';
+
+      await injectedHandler(req, res);
+
+      expect(mockModelEngine.getEntityInclusionProof).to.have.been.calledWith('0xabcdef', '0x1234');
+      expect(res._getStatusCode()).to.eq(200);
+      expect(res._isJSON()).to.be.true;
+      expect(JSON.parse(res._getData())).to.deep.equal(exampleProof);
+    });
+  });
+});
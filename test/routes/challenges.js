@@ -0,0 +1,48 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import httpMocks from 'node-mocks-http';
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import {getFailedChallengeHandler} from '../../src/routes/challenges';
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const {expect} = chai;
+
+describe('Challenges', () => {
+  const challengeId = '0x456';
+  const failedChallenge = {challengeId, reason: 'Bundle download failed', failedAt: 1544443200};
+  const tokenData = {createdBy: '0x123'};
+  let mockModelEngine;
+  let req;
+  let res;
+
+  beforeEach(async () => {
+    mockModelEngine = {
+      getFailedChallenge: sinon.stub().resolves(failedChallenge)
+    };
+    req = httpMocks.createRequest({});
+    res = httpMocks.createResponse();
+    req.tokenData = tokenData;
+  });
+
+  it('getting failed challenge passes requested id and token data to Data Model Engine and proxies result', async () => {
+    req.params.challengeId = challengeId;
+    await getFailedChallengeHandler(mockModelEngine)(req, res);
+
+    expect(mockModelEngine.getFailedChallenge).to.have.been.calledWith(challengeId, tokenData);
+    expect(res._getStatusCode()).to.eq(200);
+    expect(res._isJSON()).to.be.true;
+    expect(JSON.parse(res._getData())).to.deep.equal(failedChallenge);
+  });
+});
@@ -13,7 +13,7 @@ import sinon from 'sinon';
 import sinonChai from 'sinon-chai';
 import chaiAsPromised from 'chai-as-promised';
 
-import {findEventsHandler, fetchEventHandler} from '../../src/routes/events';
+import {findEventsHandler, fetchEventHandler, verifyEventHandler} from '../../src/routes/events';
 
 import {createWeb3} from '../../src/utils/web3_tools';
 import IdentityManager from '../../src/services/identity_manager';
@@ -39,7 +39,8 @@ describe('Events', () => {
   beforeEach(async () => {
     mockModelEngine = {
       findEvents: sinon.stub(),
-      getEvent: sinon.stub()
+      getEvent: sinon.stub(),
+      verifyEvent: sinon.stub()
     };
     req = httpMocks.createRequest({});
     res = httpMocks.createResponse();
@@ -106,5 +107,25 @@ describe('Events', () => {
       expect(res._isJSON()).to.be.true;
     });
   });
-});
 
+  describe('verifying event', () => {
+    const eventId = 'eventid';
+    const mockReport = {eventId, verified: false, checks: {}};
+    let injectedHandler;
+
+    beforeEach(() => {
+      mockModelEngine.verifyEvent.resolves(mockReport);
+      injectedHandler = verifyEventHandler(mockModelEngine);
+    });
+
+    it('asks the model engine to verify the event and proxies the report', async () => {
+      req.params.eventId = eventId;
+      await injectedHandler(req, res);
+
+      expect(mockModelEngine.verifyEvent).to.have.been.calledWith(eventId);
+      expect(res._getStatusCode()).to.eq(200);
+      expect(res._isJSON()).to.be.true;
+      expect(JSON.parse(res._getData())).to.deep.equal(mockReport);
+    });
+  });
+});
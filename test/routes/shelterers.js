@@ -0,0 +1,57 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import httpMocks from 'node-mocks-http';
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import {getSheltererReputationHandler, getSheltererReputationsHandler} from '../../src/routes/shelterers';
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const {expect} = chai;
+
+describe('Shelterers', () => {
+  const sheltererId = '0x789';
+  const reputation = {sheltererId, successfulDownloads: 3, attempts: 4, successRate: 0.75};
+  const tokenData = {createdBy: '0x123'};
+  let mockModelEngine;
+  let req;
+  let res;
+
+  beforeEach(async () => {
+    mockModelEngine = {
+      getSheltererReputations: sinon.stub().resolves([reputation]),
+      getSheltererReputation: sinon.stub().resolves(reputation)
+    };
+    req = httpMocks.createRequest({});
+    res = httpMocks.createResponse();
+    req.tokenData = tokenData;
+  });
+
+  it('getting reputations passes token data to Data Model Engine and proxies results with their count', async () => {
+    await getSheltererReputationsHandler(mockModelEngine)(req, res);
+
+    expect(mockModelEngine.getSheltererReputations).to.have.been.calledWith(tokenData);
+    expect(res._getStatusCode()).to.eq(200);
+    expect(res._isJSON()).to.be.true;
+    expect(JSON.parse(res._getData())).to.deep.equal({results: [reputation], resultCount: 1});
+  });
+
+  it('getting reputation passes requested id and token data to Data Model Engine and proxies result', async () => {
+    req.params.sheltererId = sheltererId;
+    await getSheltererReputationHandler(mockModelEngine)(req, res);
+
+    expect(mockModelEngine.getSheltererReputation).to.have.been.calledWith(sheltererId, tokenData);
+    expect(res._getStatusCode()).to.eq(200);
+    expect(JSON.parse(res._getData())).to.deep.equal(reputation);
+  });
+});
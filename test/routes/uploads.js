@@ -0,0 +1,58 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+
+import httpMocks from 'node-mocks-http';
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import {getFailedUploadsHandler, requeueFailedUploadHandler} from '../../src/routes/uploads';
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const {expect} = chai;
+
+describe('Uploads', () => {
+  const bundleId = '0xc0ffee';
+  const failedUpload = {bundleId, attempts: 3, reason: 'Bundle was already uploaded', deadLettered: true};
+  const tokenData = {createdBy: '0x123'};
+  let mockModelEngine;
+  let req;
+  let res;
+
+  beforeEach(async () => {
+    mockModelEngine = {
+      getFailedBundleUploads: sinon.stub().resolves([failedUpload]),
+      requeueFailedBundleUpload: sinon.stub().resolves(failedUpload)
+    };
+    req = httpMocks.createRequest({});
+    res = httpMocks.createResponse();
+    req.tokenData = tokenData;
+  });
+
+  it('getting failed uploads passes token data to Data Model Engine and proxies results with their count', async () => {
+    await getFailedUploadsHandler(mockModelEngine)(req, res);
+
+    expect(mockModelEngine.getFailedBundleUploads).to.have.been.calledWith(tokenData);
+    expect(res._getStatusCode()).to.eq(200);
+    expect(res._isJSON()).to.be.true;
+    expect(JSON.parse(res._getData())).to.deep.equal({results: [failedUpload], resultCount: 1});
+  });
+
+  it('requeueing passes requested bundle id and token data to Data Model Engine and proxies result', async () => {
+    req.params.bundleId = bundleId;
+    await requeueFailedUploadHandler(mockModelEngine)(req, res);
+
+    expect(mockModelEngine.requeueFailedBundleUpload).to.have.been.calledWith(bundleId, tokenData);
+    expect(res._getStatusCode()).to.eq(200);
+    expect(JSON.parse(res._getData())).to.deep.equal(failedUpload);
+  });
+});
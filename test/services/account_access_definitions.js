@@ -102,6 +102,11 @@ describe('Account Access Definitions', () => {
       expect(ensureHasPermissionStub).to.be.calledWith(mockAccount.address, allPermissions.createEvent);
     });
 
+    it('ensureCanPrioritiseBundling calls ensurePermission with `prioritise_bundling`', async () => {
+      await accountAccessDefinitions.ensureCanPrioritiseBundling(mockAccount.address);
+      expect(ensureHasPermissionStub).to.be.calledWith(mockAccount.address, allPermissions.prioritiseBundling);
+    });
+
     it(`throws PermissionError if new event's access level is greater than own`, async () => {
       expect(accountAccessDefinitions.ensureCanCreateEvent(mockAccount.address, 1000)).to.be.eventually.rejectedWith(PermissionError);
     });
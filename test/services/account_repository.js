@@ -61,6 +61,16 @@ describe('Account Repository', () => {
     expect(result).to.deep.equal(accountToReceive);
   });
 
+  it('finds addresses of accounts belonging to organizations', async () => {
+    await accountStore.store({...account, address: '0x1', organization: 1});
+    await accountStore.store({...account, address: '0x2', organization: 2});
+    await accountStore.store({...account, address: '0x3', organization: 3});
+    await accountStore.store({...account, address: '0x4'});
+
+    expect(await accountStore.findAddressesByOrganizations([1, 3])).to.have.members(['0x1', '0x3']);
+    expect(await accountStore.findAddressesByOrganizations([])).to.be.empty;
+  });
+
   afterEach(async () => {
     await cleanDatabase(db);
   });
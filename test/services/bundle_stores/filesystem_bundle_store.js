@@ -0,0 +1,90 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import FilesystemBundleStore from '../../../src/services/bundle_stores/filesystem_bundle_store';
+
+chai.use(chaiAsPromised);
+const {expect} = chai;
+
+describe('Filesystem bundle store', () => {
+  const data = Buffer.from('{"entries":[]}');
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bundle-store-')), 'bundles');
+    store = new FilesystemBundleStore({config: {bundleStorageDirectory: directory}});
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(directory)) {
+      fs.readdirSync(directory).forEach((fileName) => fs.unlinkSync(path.join(directory, fileName)));
+      fs.rmdirSync(directory);
+    }
+    fs.rmdirSync(path.dirname(directory));
+  });
+
+  it('keeps contents outside of the bundle document', () => {
+    expect(store.keepsContentInDocument).to.be.false;
+  });
+
+  it('stores, fetches and removes the content', async () => {
+    const location = await store.storeContent('0x1234', data);
+    expect(fs.readdirSync(directory)).to.deep.equal([location.fileName]);
+    expect(await store.fetchContent(location)).to.deep.equal(data);
+    await store.removeContent(location);
+    expect(fs.readdirSync(directory)).to.be.empty;
+  });
+
+  it('does not fail when removing a missing content', async () => {
+    await expect(store.removeContent({fileName: '0x1234.bin'})).to.be.fulfilled;
+  });
+
+  it('rejects bundle ids that could escape the directory', async () => {
+    await expect(store.storeContent('../0x1234', data)).to.be.rejectedWith('Invalid bundle id');
+  });
+
+  it('sums the sizes of stored contents', async () => {
+    expect(await store.storageSize()).to.equal(0);
+    await store.storeContent('0x1', data);
+    await store.storeContent('0x2', data);
+    expect(await store.storageSize()).to.equal(2 * data.length);
+  });
+
+  describe('with cached storage size', () => {
+    const cacheTime = 60000;
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+      store = new FilesystemBundleStore({config: {bundleStorageDirectory: directory, bundleStorageSizeCacheTime: cacheTime}});
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('reuses the computed size until the cache time passes', async () => {
+      await store.storeContent('0x1', data);
+      expect(await store.storageSize()).to.equal(data.length);
+      await store.storeContent('0x2', data);
+      clock.tick(cacheTime - 1);
+      expect(await store.storageSize()).to.equal(data.length);
+      clock.tick(1);
+      expect(await store.storageSize()).to.equal(2 * data.length);
+    });
+  });
+});
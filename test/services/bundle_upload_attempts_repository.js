@@ -0,0 +1,91 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+
+import chai from 'chai';
+import sinon from 'sinon';
+import {cleanDatabase, connectToMongo} from '../../src/utils/db_utils';
+import config from '../../config/config';
+
+import BundleUploadAttemptsRepository from '../../src/services/bundle_upload_attempts_repository';
+
+const {expect} = chai;
+
+describe('Bundle Upload Attempts Repository', () => {
+  const now = 15000000;
+  const bundleId = '0xc0ffee';
+  const otherBundleId = '0xbeef';
+  let db;
+  let client;
+  let storage;
+  let clock;
+
+  before(async () => {
+    ({db, client} = await connectToMongo(config));
+    storage = new BundleUploadAttemptsRepository(db);
+  });
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(now * 1000);
+  });
+
+  afterEach(async () => {
+    clock.restore();
+    await cleanDatabase(db);
+  });
+
+  after(async () => {
+    client.close();
+  });
+
+  it('counts recorded attempts', async () => {
+    expect(await storage.getAttemptsCount(bundleId)).to.equal(0);
+    await storage.recordFailedAttempt(bundleId, 'An error', now + 60);
+    await storage.recordFailedAttempt(bundleId, 'An error', now + 120);
+    expect(await storage.getAttemptsCount(bundleId)).to.equal(2);
+    expect(await storage.getAttemptsCount(otherBundleId)).to.equal(0);
+  });
+
+  it('postpones bundles until their retry time and dead-lettered bundles until requeued', async () => {
+    await storage.recordFailedAttempt(bundleId, 'An error', now + 60);
+    await storage.moveToDeadLetter(otherBundleId, 'Bundle was already uploaded');
+    expect(await storage.getPostponedBundleIds()).to.have.members([bundleId, otherBundleId]);
+    clock.tick(60000);
+    expect(await storage.getPostponedBundleIds()).to.deep.equal([otherBundleId]);
+  });
+
+  it('returns dead-lettered bundles', async () => {
+    await storage.recordFailedAttempt(bundleId, 'An error', now + 60);
+    await storage.moveToDeadLetter(otherBundleId, 'Bundle was already uploaded');
+    expect(await storage.getDeadLetteredBundles()).to.deep.equal([{
+      bundleId: otherBundleId,
+      attempts: 1,
+      reason: 'Bundle was already uploaded',
+      lastAttempt: now,
+      retryAt: null,
+      deadLettered: true
+    }]);
+  });
+
+  it('requeues only dead-lettered bundles', async () => {
+    await storage.recordFailedAttempt(bundleId, 'An error', now + 60);
+    await storage.moveToDeadLetter(otherBundleId, 'Bundle was already uploaded');
+    expect(await storage.requeueDeadLetteredBundle(bundleId)).to.be.null;
+    expect(await storage.requeueDeadLetteredBundle(otherBundleId)).to.include({bundleId: otherBundleId, deadLettered: true});
+    expect(await storage.getDeadLetteredBundles()).to.be.empty;
+    expect(await storage.getAttemptsCount(otherBundleId)).to.equal(0);
+  });
+
+  it('clears attempts', async () => {
+    await storage.recordFailedAttempt(bundleId, 'An error', now + 60);
+    await storage.clearAttempts(bundleId);
+    expect(await storage.getAttemptsCount(bundleId)).to.equal(0);
+    expect(await storage.getPostponedBundleIds()).to.be.empty;
+  });
+});
@@ -218,26 +218,73 @@ describe('Challenges repository', () => {
     });
   });
 
+  describe('knownShelterers', () => {
+    const bundleId = 'bundle';
+    const fromBlock = 4;
+    const events = [
+      {blockNumber: 1, returnValues: {sheltererId: 'shelterer1', bundleId, challengeId: 'challenge1', count: 2}},
+      {blockNumber: 2, returnValues: {sheltererId: 'shelterer2', bundleId: 'otherBundle', challengeId: 'challenge2', count: 1}},
+      {blockNumber: 3, returnValues: {sheltererId: 'shelterer3', bundleId, challengeId: 'challenge3', count: 1}}
+    ];
+    const resolvedEvents = [
+      {blockNumber: 4, returnValues: {challengeId: 'challenge1', resolverId: 'resolver1'}},
+      {blockNumber: 5, returnValues: {challengeId: 'challenge2', resolverId: 'resolver2'}},
+      {blockNumber: 6, returnValues: {challengeId: 'challenge3', resolverId: 'shelterer1'}}
+    ];
+
+    beforeEach(() => {
+      challengeWrapperMock = {
+        challenges: sinon.stub().resolves(events),
+        resolvedChallenges: sinon.stub().resolves(resolvedEvents),
+        earliestMeaningfulBlock: sinon.stub().resolves(fromBlock)
+      };
+      configWrapperMock = {
+        challengeDuration: sinon.stub().resolves(5)
+      };
+      challengesRepository = new ChallengesRepository(challengeWrapperMock, configWrapperMock);
+    });
+
+    it('returns unique challenged shelterers and resolvers of the bundle', async () => {
+      expect(await challengesRepository.knownShelterers(bundleId)).to.deep.equal(['shelterer1', 'shelterer3', 'resolver1']);
+      expect(challengeWrapperMock.earliestMeaningfulBlock).to.be.calledWith(5);
+      expect(challengeWrapperMock.challenges).to.be.calledWith(fromBlock);
+      expect(challengeWrapperMock.resolvedChallenges).to.be.calledWith(fromBlock);
+    });
+  });
+
   describe('resolveChallenge', () => {
     const challengeId = '0x123';
+    const resolveMethod = {};
+    let challengesContractMock;
+    let transactionSenderMock;
 
     beforeEach(() => {
+      challengesContractMock = {
+        methods: {
+          resolve: sinon.stub().returns(resolveMethod)
+        }
+      };
       challengeWrapperMock = {
-        resolve: sinon.stub(),
-        canResolve: sinon.stub().resolves(true)
+        contract: sinon.stub().resolves(challengesContractMock),
+        canResolve: sinon.stub().resolves(true),
+        defaultAddress: ownAddress
+      };
+      transactionSenderMock = {
+        send: sinon.stub().resolves()
       };
-      challengesRepository = new ChallengesRepository(challengeWrapperMock);
+      challengesRepository = new ChallengesRepository(challengeWrapperMock, {}, transactionSenderMock);
     });
 
-    it('calls contract method with correct arguments', async () => {
+    it('sends the resolve transaction with correct arguments', async () => {
       await challengesRepository.resolveChallenge(challengeId);
-      expect(challengeWrapperMock.resolve).to.be.calledOnceWith(challengeId);
+      expect(challengesContractMock.methods.resolve).to.be.calledOnceWith(challengeId);
+      expect(transactionSenderMock.send).to.be.calledOnceWith(challengesContractMock, resolveMethod, {from: ownAddress});
     });
 
     it('throws error if cannot resolve challenge', async () => {
       challengeWrapperMock.canResolve.resolves(false);
       await expect(challengesRepository.resolveChallenge(challengeId)).to.be.eventually.rejected;
-      expect(challengeWrapperMock.resolve).to.be.not.called;
+      expect(transactionSenderMock.send).to.be.not.called;
     });
   });
 });
@@ -13,10 +13,11 @@ import sinonChai from 'sinon-chai';
 import chaiAsPromised from 'chai-as-promised';
 import {pick, put} from '../../src/utils/dict_utils';
 
-import DataModelEngine from '../../src/services/data_model_engine';
-import {NotFoundError, PermissionError, ValidationError} from '../../src/errors/errors';
+import DataModelEngine, {BatchMode} from '../../src/services/data_model_engine';
+import {SheltererFailure} from '../../src/services/shelterer_reputation_repository';
+import {NotFoundError, PermanentUploadError, PermissionError, ValidationError} from '../../src/errors/errors';
 
-import {createAsset, createBundle, createEvent} from '../fixtures/assets_events';
+import {createAsset, createBundle, createEvent, createFullAsset, createFullBundle, createFullEvent} from '../fixtures/assets_events';
 import {account, accountWithSecret, addAccountRequest, adminAccount, adminAccountWithSecret} from '../fixtures/account';
 
 import {createWeb3} from '../../src/utils/web3_tools';
@@ -368,7 +369,8 @@ describe('Data Model Engine', () => {
         getAsset: sinon.stub()
       };
       mockAccountAccessDefinitions = {
-        ensureCanCreateAsset: sinon.stub()
+        ensureCanCreateAsset: sinon.stub(),
+        ensureCanPrioritiseBundling: sinon.stub()
       };
 
       modelEngine = new DataModelEngine({
@@ -387,6 +389,7 @@ describe('Data Model Engine', () => {
       mockEntityRepository.storeAsset.resolves();
       mockEntityRepository.getAsset.resolves(null);
       mockAccountAccessDefinitions.ensureCanCreateAsset.resolves();
+      mockAccountAccessDefinitions.ensureCanPrioritiseBundling.resolves();
     };
 
     describe('positive case', () => {
@@ -417,7 +420,31 @@ describe('Data Model Engine', () => {
       });
 
       it('stores the asset in the repository', () => {
-        expect(mockEntityRepository.storeAsset).to.have.been.calledWith(mockAsset);
+        expect(mockEntityRepository.storeAsset).to.have.been.calledWith(mockAsset, false);
+      });
+    });
+
+    describe('with priority', () => {
+      beforeEach(() => {
+        restoreDefaultBehaviour();
+        resetHistory(mockAccountAccessDefinitions);
+      });
+
+      it('checks if creator has `prioritise_bundling` permission and stores the asset as priority', async () => {
+        await modelEngine.createAsset(mockAsset, true);
+        expect(mockAccountAccessDefinitions.ensureCanPrioritiseBundling).to.have.been.calledWith(mockAsset.content.idData.createdBy);
+        expect(mockEntityRepository.storeAsset).to.have.been.calledWith(mockAsset, true);
+      });
+
+      it('throws if creator has no permission for prioritising bundling', async () => {
+        mockAccountAccessDefinitions.ensureCanPrioritiseBundling.rejects(new PermissionError());
+        await expect(modelEngine.createAsset(mockAsset, true)).to.be.rejectedWith(PermissionError);
+        expect(mockEntityRepository.storeAsset).to.have.been.not.called;
+      });
+
+      it('does not check the permission for regular assets', async () => {
+        await modelEngine.createAsset(mockAsset);
+        expect(mockAccountAccessDefinitions.ensureCanPrioritiseBundling).to.have.been.not.called;
       });
     });
 
@@ -444,6 +471,146 @@ describe('Data Model Engine', () => {
     });
   });
 
+  describe('Creating assets in batch', () => {
+    let mockEntityBuilder;
+    let mockEntityRepository;
+    let mockAccountAccessDefinitions;
+    let mockMongoClient;
+    let mockSession;
+    let modelEngine;
+    let assets;
+
+    beforeEach(() => {
+      mockEntityBuilder = {
+        validateAsset: sinon.stub(),
+        setBundle: sinon.stub(),
+        setEntityUploadTimestamp: sinon.stub()
+      };
+      mockEntityRepository = {
+        storeAssets: sinon.stub(),
+        storeAssetsOrNone: sinon.stub(),
+        findExistingAssetIds: sinon.stub()
+      };
+      mockAccountAccessDefinitions = {
+        ensureCanCreateAsset: sinon.stub()
+      };
+      mockSession = {
+        startTransaction: sinon.stub(),
+        commitTransaction: sinon.stub(),
+        abortTransaction: sinon.stub(),
+        inTransaction: sinon.stub(),
+        endSession: sinon.stub()
+      };
+      mockMongoClient = {
+        startSession: sinon.stub()
+      };
+
+      modelEngine = new DataModelEngine({
+        entityBuilder: mockEntityBuilder,
+        entityRepository: mockEntityRepository,
+        accountAccessDefinitions: mockAccountAccessDefinitions,
+        mongoClient: mockMongoClient
+      });
+
+      assets = [
+        put(createAsset({createdBy: '0xAAA'}), 'assetId', '0x1'),
+        put(createAsset({createdBy: '0xAAA'}), 'assetId', '0x2'),
+        put(createAsset({createdBy: '0xBBB'}), 'assetId', '0x3')
+      ];
+
+      mockEntityBuilder.validateAsset.returns();
+      mockEntityBuilder.setBundle.returnsArg(0);
+      mockEntityBuilder.setEntityUploadTimestamp.returnsArg(0);
+      mockEntityRepository.storeAssets.resolves();
+      mockEntityRepository.storeAssetsOrNone.resolves();
+      mockEntityRepository.findExistingAssetIds.resolves([]);
+      mockAccountAccessDefinitions.ensureCanCreateAsset.resolves();
+      mockMongoClient.startSession.returns(mockSession);
+      mockSession.commitTransaction.resolves();
+      mockSession.abortTransaction.resolves();
+      mockSession.inTransaction.returns(true);
+    });
+
+    it('validates every asset and stores them with a single call', async () => {
+      const report = await modelEngine.createAssets(assets);
+      assets.forEach((asset) => expect(mockEntityBuilder.validateAsset).to.have.been.calledWith(asset));
+      expect(mockEntityRepository.storeAssets).to.have.been.calledOnceWith(assets);
+      expect(report).to.deep.equal({
+        results: [
+          {assetId: '0x1', created: true},
+          {assetId: '0x2', created: true},
+          {assetId: '0x3', created: true}
+        ],
+        createdCount: 3,
+        rejectedCount: 0
+      });
+    });
+
+    it('checks permissions once per distinct creator', async () => {
+      await modelEngine.createAssets(assets);
+      expect(mockAccountAccessDefinitions.ensureCanCreateAsset).to.have.been.calledTwice;
+      expect(mockAccountAccessDefinitions.ensureCanCreateAsset).to.have.been.calledWith('0xAAA');
+      expect(mockAccountAccessDefinitions.ensureCanCreateAsset).to.have.been.calledWith('0xBBB');
+    });
+
+    it('throws on unknown mode', async () => {
+      await expect(modelEngine.createAssets(assets, 'sometimes')).to.be.rejectedWith(ValidationError);
+    });
+
+    describe('in bestEffort mode', () => {
+      it('stores valid assets and reports the rejected ones', async () => {
+        mockAccountAccessDefinitions.ensureCanCreateAsset.withArgs('0xBBB').rejects(new PermissionError('no permission'));
+        mockEntityRepository.findExistingAssetIds.resolves(['0x2']);
+        const report = await modelEngine.createAssets(assets, BatchMode.BEST_EFFORT);
+        expect(mockEntityRepository.storeAssets).to.have.been.calledWith([assets[0]]);
+        expect(report.results[1].reason).to.contain('already exists');
+        expect(report.results[2].reason).to.contain('Permission denied');
+        expect(report.createdCount).to.equal(1);
+        expect(report.rejectedCount).to.equal(2);
+      });
+
+      it('reports assets duplicated within the batch', async () => {
+        const report = await modelEngine.createAssets([...assets, assets[1]]);
+        expect(report.results[3].created).to.be.false;
+        expect(report.results[3].reason).to.contain('duplicated in the batch');
+      });
+    });
+
+    describe('in atomic mode', () => {
+      it('stores nothing if any of the assets is rejected', async () => {
+        mockEntityBuilder.validateAsset.withArgs(assets[2]).throws(new ValidationError('an error'));
+        const report = await modelEngine.createAssets(assets, BatchMode.ATOMIC);
+        expect(mockEntityRepository.storeAssets).to.not.have.been.called;
+        expect(report.createdCount).to.equal(0);
+        expect(report.rejectedCount).to.equal(3);
+        expect(report.results[0].reason).to.contain('other assets in the atomic batch were rejected');
+        expect(report.results[2].reason).to.equal('Invalid data: an error');
+      });
+
+      it('stores assets in a transaction when transactions are enabled', async () => {
+        modelEngine.mongoTransactionsEnabled = true;
+        await modelEngine.createAssets(assets, BatchMode.ATOMIC);
+        expect(mockEntityRepository.storeAssets).to.have.been.calledWith(assets, mockSession);
+        expect(mockSession.commitTransaction).to.have.been.called;
+      });
+
+      it('aborts the transaction if storing fails', async () => {
+        modelEngine.mongoTransactionsEnabled = true;
+        mockEntityRepository.storeAssets.rejects(new Error('db error'));
+        await expect(modelEngine.createAssets(assets, BatchMode.ATOMIC)).to.be.rejectedWith('db error');
+        expect(mockSession.abortTransaction).to.have.been.called;
+      });
+
+      it('stores assets with a rollback on failure when transactions are disabled', async () => {
+        mockEntityRepository.storeAssetsOrNone.rejects(new Error('db error'));
+        await expect(modelEngine.createAssets(assets, BatchMode.ATOMIC)).to.be.rejectedWith('db error');
+        expect(mockMongoClient.startSession).to.not.have.been.called;
+        expect(mockEntityRepository.storeAssetsOrNone).to.have.been.calledWith(assets);
+        expect(mockEntityRepository.storeAssets).to.not.have.been.called;
+      });
+    });
+  });
+
   describe('Getting an asset by id', () => {
     let mockEntityRepository;
     let modelEngine;
@@ -651,7 +818,8 @@ describe('Data Model Engine', () => {
         getEvent: sinon.stub()
       };
       mockAccountAccessDefinitions = {
-        ensureCanCreateEvent: sinon.stub()
+        ensureCanCreateEvent: sinon.stub(),
+        ensureCanPrioritiseBundling: sinon.stub()
       };
 
       modelEngine = new DataModelEngine({
@@ -671,6 +839,7 @@ describe('Data Model Engine', () => {
       mockEntityRepository.getAsset.resolves(mockAsset);
       mockEntityRepository.getEvent.resolves(null);
       mockAccountAccessDefinitions.ensureCanCreateEvent.resolves();
+      mockAccountAccessDefinitions.ensureCanPrioritiseBundling.resolves();
     };
 
     describe('positive case', () => {
@@ -705,7 +874,26 @@ describe('Data Model Engine', () => {
       });
 
       it('stores the asset in the repository', () => {
-        expect(mockEntityRepository.storeEvent).to.have.been.calledWith(mockEvent);
+        expect(mockEntityRepository.storeEvent).to.have.been.calledWith(mockEvent, false);
+      });
+    });
+
+    describe('with priority', () => {
+      beforeEach(() => {
+        restoreDefaultBehaviour();
+        resetHistory(mockAccountAccessDefinitions);
+      });
+
+      it('checks if creator has `prioritise_bundling` permission and stores the event as priority', async () => {
+        await modelEngine.createEvent(mockEvent, true);
+        expect(mockAccountAccessDefinitions.ensureCanPrioritiseBundling).to.have.been.calledWith(mockEvent.content.idData.createdBy);
+        expect(mockEntityRepository.storeEvent).to.have.been.calledWith(mockEvent, true);
+      });
+
+      it('throws if creator has no permission for prioritising bundling', async () => {
+        mockAccountAccessDefinitions.ensureCanPrioritiseBundling.rejects(new PermissionError());
+        await expect(modelEngine.createEvent(mockEvent, true)).to.be.rejectedWith(PermissionError);
+        expect(mockEntityRepository.storeEvent).to.have.been.not.called;
       });
     });
 
@@ -739,6 +927,129 @@ describe('Data Model Engine', () => {
     });
   });
 
+  describe('Creating events in batch', () => {
+    let mockEntityBuilder;
+    let mockEntityRepository;
+    let mockAccountAccessDefinitions;
+    let modelEngine;
+    let events;
+
+    beforeEach(() => {
+      mockEntityBuilder = {
+        validateEvent: sinon.stub(),
+        setBundle: sinon.stub(),
+        setEntityUploadTimestamp: sinon.stub()
+      };
+      mockEntityRepository = {
+        storeEvents: sinon.stub(),
+        findExistingAssetIds: sinon.stub(),
+        findExistingEventIds: sinon.stub()
+      };
+      mockAccountAccessDefinitions = {
+        ensureCanCreateEvent: sinon.stub()
+      };
+
+      modelEngine = new DataModelEngine({
+        entityBuilder: mockEntityBuilder,
+        entityRepository: mockEntityRepository,
+        accountAccessDefinitions: mockAccountAccessDefinitions
+      });
+
+      events = [
+        put(createEvent({assetId: '0x1'}), 'eventId', '0xa'),
+        put(createEvent({assetId: '0x1'}), 'eventId', '0xb'),
+        put(createEvent({assetId: '0x2'}), 'eventId', '0xc')
+      ];
+
+      mockEntityBuilder.validateEvent.returns();
+      mockEntityBuilder.setBundle.returnsArg(0);
+      mockEntityBuilder.setEntityUploadTimestamp.returnsArg(0);
+      mockEntityRepository.storeEvents.resolves();
+      mockEntityRepository.findExistingAssetIds.resolves(['0x1', '0x2']);
+      mockEntityRepository.findExistingEventIds.resolves([]);
+      mockAccountAccessDefinitions.ensureCanCreateEvent.resolves();
+    });
+
+    it('validates every event and stores them together', async () => {
+      const report = await modelEngine.createEvents(events);
+      events.forEach((event) => expect(mockEntityBuilder.validateEvent).to.have.been.calledWith(event));
+      expect(mockEntityRepository.storeEvents).to.have.been.calledOnceWith(events);
+      expect(report).to.deep.equal({
+        results: [
+          {eventId: '0xa', created: true},
+          {eventId: '0xb', created: true},
+          {eventId: '0xc', created: true}
+        ],
+        createdCount: 3,
+        rejectedCount: 0
+      });
+    });
+
+    it('checks permissions once per creator and access level', async () => {
+      await modelEngine.createEvents(events);
+      expect(mockAccountAccessDefinitions.ensureCanCreateEvent).to.have.been.calledOnce;
+    });
+
+    it('looks up the target assets and existing events with single queries', async () => {
+      await modelEngine.createEvents(events);
+      expect(mockEntityRepository.findExistingAssetIds).to.have.been.calledOnceWith(['0x1', '0x2']);
+      expect(mockEntityRepository.findExistingEventIds).to.have.been.calledOnceWith(['0xa', '0xb', '0xc']);
+    });
+
+    it('reports events failing validation and stores the rest', async () => {
+      mockEntityBuilder.validateEvent.withArgs(events[1]).throws(new ValidationError('an error'));
+      const report = await modelEngine.createEvents(events);
+      expect(report.results[1]).to.deep.equal({eventId: '0xb', created: false, reason: 'Invalid data: an error'});
+      expect(report.createdCount).to.equal(2);
+      expect(report.rejectedCount).to.equal(1);
+      expect(mockEntityRepository.storeEvents).to.have.been.calledWith([events[0], events[2]]);
+    });
+
+    it('reports events whose creator lacks permission', async () => {
+      mockAccountAccessDefinitions.ensureCanCreateEvent.rejects(new PermissionError('no permission'));
+      const report = await modelEngine.createEvents(events);
+      expect(report.results.every(({created}) => created === false)).to.be.true;
+      expect(report.rejectedCount).to.equal(3);
+      expect(mockEntityRepository.storeEvents).to.have.been.calledWith([]);
+    });
+
+    it('reports events targeting non-existing assets', async () => {
+      mockEntityRepository.findExistingAssetIds.resolves(['0x1']);
+      const report = await modelEngine.createEvents(events);
+      expect(report.results[2].created).to.be.false;
+      expect(report.results[2].reason).to.contain(`Target asset with id=0x2 doesn't exist`);
+    });
+
+    it('reports already existing events', async () => {
+      mockEntityRepository.findExistingEventIds.resolves(['0xa']);
+      const report = await modelEngine.createEvents(events);
+      expect(report.results[0].created).to.be.false;
+      expect(report.results[0].reason).to.contain('already exists');
+    });
+
+    it('reports events duplicated within the batch', async () => {
+      const report = await modelEngine.createEvents([...events, events[0]]);
+      expect(report.results[3].created).to.be.false;
+      expect(report.results[3].reason).to.contain('duplicated in the batch');
+    });
+
+    it('reports events not matching the assetId when one is provided', async () => {
+      const report = await modelEngine.createEvents(events, '0x1');
+      expect(report.results.map(({created}) => created)).to.deep.equal([true, true, false]);
+    });
+
+    it('reports items which are not objects', async () => {
+      const report = await modelEngine.createEvents([null, 'event']);
+      expect(report.rejectedCount).to.equal(2);
+      expect(mockEntityBuilder.validateEvent).to.not.have.been.called;
+    });
+
+    it('rethrows unexpected errors', async () => {
+      mockEntityRepository.findExistingAssetIds.rejects(new Error('db error'));
+      await expect(modelEngine.createEvents(events)).to.be.rejectedWith('db error');
+    });
+  });
+
   describe('Getting an event by id', () => {
     let mockEntityRepository;
     let mockAccountAccessDefinitions;
@@ -779,6 +1090,165 @@ describe('Data Model Engine', () => {
     });
   });
 
+  describe('Verifying entities', () => {
+    let mockEntityRepository;
+    let mockEntityBuilder;
+    let mockUploadRepository;
+    let modelEngine;
+
+    let fullAsset;
+    let fullEvent;
+    let bundle;
+    let storedAsset;
+    let storedEvent;
+
+    const chainData = {transactionHash: '0xc0ffee', blockNumber: '13'};
+
+    before(() => {
+      fullAsset = createFullAsset(identityManager);
+      fullEvent = createFullEvent(identityManager, {assetId: fullAsset.assetId, accessLevel: 1});
+      bundle = createFullBundle(identityManager, {}, [fullAsset, pick(fullEvent, 'content.data')]);
+      storedAsset = put(fullAsset, 'metadata.bundleId', bundle.bundleId);
+      storedEvent = put(fullEvent, 'metadata.bundleId', bundle.bundleId);
+    });
+
+    beforeEach(() => {
+      mockEntityRepository = {
+        getAsset: sinon.stub().resolves(storedAsset),
+        getEvent: sinon.stub().resolves(storedEvent),
+        getBundle: sinon.stub().resolves(bundle)
+      };
+      mockEntityBuilder = {
+        validateBundle: sinon.stub()
+      };
+      mockUploadRepository = {
+        getBundleChainData: sinon.stub().resolves(chainData)
+      };
+      modelEngine = new DataModelEngine({
+        identityManager,
+        entityBuilder: mockEntityBuilder,
+        entityRepository: mockEntityRepository,
+        uploadRepository: mockUploadRepository
+      });
+    });
+
+    it('reports all checks as passed for a bundled event registered on chain', async () => {
+      const report = await modelEngine.verifyEvent(fullEvent.eventId);
+      expect(report).to.deep.equal({
+        eventId: fullEvent.eventId,
+        verified: true,
+        checks: {
+          entityHash: {passed: true},
+          dataHash: {passed: true},
+          signature: {passed: true},
+          bundleInclusion: {passed: true, bundleId: bundle.bundleId},
+          bundleIntegrity: {passed: true, bundleId: bundle.bundleId},
+          onChain: {passed: true, ...chainData}
+        }
+      });
+      expect(mockEntityBuilder.validateBundle).to.have.been.calledWith(bundle);
+      expect(mockUploadRepository.getBundleChainData).to.have.been.calledWith(bundle.bundleId);
+    });
+
+    it('fetches the event without hiding its data', async () => {
+      await modelEngine.verifyEvent(fullEvent.eventId);
+      expect(mockEntityRepository.getEvent).to.have.been.calledWith(fullEvent.eventId, Number.MAX_SAFE_INTEGER);
+    });
+
+    it('throws NotFoundError when the event does not exist', async () => {
+      mockEntityRepository.getEvent.resolves(null);
+      await expect(modelEngine.verifyEvent(fullEvent.eventId)).to.be.rejectedWith(NotFoundError);
+    });
+
+    it('fails the hash checks when the event data was tampered with', async () => {
+      mockEntityRepository.getEvent.resolves(put(storedEvent, 'content.data', [{type: 'ambrosus.event.tampered'}]));
+      const {verified, checks} = await modelEngine.verifyEvent(fullEvent.eventId);
+      expect(verified).to.be.false;
+      expect(checks.entityHash.passed).to.be.false;
+      expect(checks.dataHash.passed).to.be.false;
+      expect(checks.signature.passed).to.be.true;
+    });
+
+    it('fails the signature check when the signature does not match the creator', async () => {
+      mockEntityRepository.getEvent.resolves(put(storedEvent, 'content.idData.createdBy', adminAccount.address));
+      const {checks} = await modelEngine.verifyEvent(fullEvent.eventId);
+      expect(checks.signature).to.deep.equal({passed: false, reason: 'Authentication failed: Signature doesn\'t match'});
+    });
+
+    it('fails the bundle checks when the event has not been bundled yet', async () => {
+      mockEntityRepository.getEvent.resolves(put(storedEvent, 'metadata.bundleId', null));
+      const {verified, checks} = await modelEngine.verifyEvent(fullEvent.eventId);
+      expect(verified).to.be.false;
+      const notBundled = {passed: false, reason: 'Entity has not been bundled yet'};
+      expect(checks.bundleInclusion).to.deep.equal(notBundled);
+      expect(checks.bundleIntegrity).to.deep.equal(notBundled);
+      expect(checks.onChain).to.deep.equal(notBundled);
+      expect(mockEntityRepository.getBundle).to.not.have.been.called;
+    });
+
+    it('fails the bundle checks when the bundle is not stored', async () => {
+      mockEntityRepository.getBundle.resolves(null);
+      const {checks} = await modelEngine.verifyEvent(fullEvent.eventId);
+      expect(checks.bundleInclusion.passed).to.be.false;
+      expect(checks.bundleIntegrity.passed).to.be.false;
+      expect(checks.onChain.passed).to.be.false;
+    });
+
+    it('fails the inclusion check when the bundle has no matching entry', async () => {
+      mockEntityRepository.getBundle.resolves(put(bundle, 'content.entries', [fullAsset]));
+      const {verified, checks} = await modelEngine.verifyEvent(fullEvent.eventId);
+      expect(verified).to.be.false;
+      expect(checks.bundleInclusion.passed).to.be.false;
+    });
+
+    it('fails the inclusion check when the bundle entry differs from the stored event', async () => {
+      const otherEvent = createFullEvent(identityManager, {assetId: fullAsset.assetId, timestamp: 1});
+      mockEntityRepository.getBundle.resolves(put(bundle, 'content.entries', [{...otherEvent, eventId: fullEvent.eventId}]));
+      const {checks} = await modelEngine.verifyEvent(fullEvent.eventId);
+      expect(checks.bundleInclusion.passed).to.be.false;
+    });
+
+    it('fails the integrity check when the bundle is invalid', async () => {
+      mockEntityBuilder.validateBundle.throws(new ValidationError('entriesHash value doesn\'t match the entries hash'));
+      const {verified, checks} = await modelEngine.verifyEvent(fullEvent.eventId);
+      expect(verified).to.be.false;
+      expect(checks.bundleIntegrity).to.deep.equal({passed: false, reason: 'Invalid data: entriesHash value doesn\'t match the entries hash'});
+    });
+
+    it('fails the on chain check when the bundle is not registered', async () => {
+      mockUploadRepository.getBundleChainData.resolves(null);
+      const {verified, checks} = await modelEngine.verifyEvent(fullEvent.eventId);
+      expect(verified).to.be.false;
+      expect(checks.onChain.passed).to.be.false;
+    });
+
+    it('rethrows unexpected errors', async () => {
+      mockUploadRepository.getBundleChainData.rejects(new Error('Connection lost'));
+      await expect(modelEngine.verifyEvent(fullEvent.eventId)).to.be.rejectedWith('Connection lost');
+    });
+
+    it('reports all checks as passed for a bundled asset registered on chain', async () => {
+      const report = await modelEngine.verifyAsset(fullAsset.assetId);
+      expect(report).to.deep.equal({
+        assetId: fullAsset.assetId,
+        verified: true,
+        checks: {
+          entityHash: {passed: true},
+          signature: {passed: true},
+          bundleInclusion: {passed: true, bundleId: bundle.bundleId},
+          bundleIntegrity: {passed: true, bundleId: bundle.bundleId},
+          onChain: {passed: true, ...chainData}
+        }
+      });
+      expect(mockEntityRepository.getAsset).to.have.been.calledWith(fullAsset.assetId);
+    });
+
+    it('throws NotFoundError when the asset does not exist', async () => {
+      mockEntityRepository.getAsset.resolves(null);
+      await expect(modelEngine.verifyAsset(fullAsset.assetId)).to.be.rejectedWith(NotFoundError);
+    });
+  });
+
   describe('Finding events', () => {
     let mockFindEventQueryObjectFactory;
     let mockFindEventQueryObject;
@@ -903,6 +1373,42 @@ describe('Data Model Engine', () => {
     });
   });
 
+  describe('Getting an entity inclusion proof', () => {
+    let mockEntityRepository;
+    let mockEntityBuilder;
+    let modelEngine;
+
+    const exampleBundleId = '0xabcdef';
+    const exampleEntityId = '0x123456';
+    const exampleBundle = put(createBundle(), 'bundleId', exampleBundleId);
+    const exampleProof = {bundleId: exampleBundleId, entityId: exampleEntityId, path: []};
+
+    beforeEach(async () => {
+      mockEntityRepository = {
+        getBundle: sinon.stub().resolves(exampleBundle)
+      };
+      mockEntityBuilder = {
+        entryInclusionProof: sinon.stub().returns(exampleProof)
+      };
+
+      modelEngine = new DataModelEngine({
+        entityBuilder: mockEntityBuilder,
+        entityRepository: mockEntityRepository
+      });
+    });
+
+    it('creates the proof for the stored bundle with Entity Builder', async () => {
+      await expect(modelEngine.getEntityInclusionProof(exampleBundleId, exampleEntityId)).to.eventually.equal(exampleProof);
+      expect(mockEntityRepository.getBundle).to.have.been.calledWith(exampleBundleId);
+      expect(mockEntityBuilder.entryInclusionProof).to.have.been.calledWith(exampleBundle, exampleEntityId);
+    });
+
+    it('throws NotFoundError when bundle with requested id does not exist', async () => {
+      mockEntityRepository.getBundle.resolves(null);
+      await expect(modelEngine.getEntityInclusionProof(exampleBundleId, exampleEntityId)).to.be.rejectedWith(NotFoundError);
+    });
+  });
+
   describe('Preparing bundle candidate', () => {
     let mockEntityRepository;
     let mockEntityBuilder;
@@ -1000,6 +1506,58 @@ describe('Data Model Engine', () => {
     });
   });
 
+  describe('Bundle retention classes', () => {
+    let mockAccountRepository;
+    let mockEntityRepository;
+    let modelEngine;
+
+    beforeEach(() => {
+      mockAccountRepository = {
+        findAddressesByOrganizations: sinon.stub()
+      };
+      mockAccountRepository.findAddressesByOrganizations.withArgs([1, 3]).resolves(['0x1', '0x3']);
+      mockAccountRepository.findAddressesByOrganizations.withArgs([2]).resolves(['0x2']);
+      mockAccountRepository.findAddressesByOrganizations.withArgs([4]).resolves([]);
+      mockEntityRepository = {
+        fetchEntitiesForBundling: sinon.stub().resolves({assets: [], events: []})
+      };
+      modelEngine = new DataModelEngine({
+        accountRepository: mockAccountRepository,
+        entityRepository: mockEntityRepository,
+        identityManager: {nodePrivateKey: sinon.stub().resolves('0x123')},
+        entityBuilder: {assembleBundle: sinon.stub().returns({})},
+        uploadRepository: {bundleItemsCountLimit: sinon.stub().resolves(10)}
+      });
+    });
+
+    it('returns only the default class if no organization policies are configured', async () => {
+      expect(await modelEngine.bundleRetentionClasses(1, {})).to.deep.equal([{storagePeriods: 1, excludedCreators: []}]);
+      expect(mockAccountRepository.findAddressesByOrganizations).to.be.not.called;
+    });
+
+    it('groups organizations by storage periods and excludes their members from the default class', async () => {
+      expect(await modelEngine.bundleRetentionClasses(1, {1: 5, 2: 2, 3: 5, 5: 1})).to.deep.equal([
+        {storagePeriods: 2, creators: ['0x2']},
+        {storagePeriods: 5, creators: ['0x1', '0x3']},
+        {storagePeriods: 1, excludedCreators: ['0x2', '0x1', '0x3']}
+      ]);
+    });
+
+    it('skips classes without members', async () => {
+      expect(await modelEngine.bundleRetentionClasses(1, {4: 3})).to.deep.equal([{storagePeriods: 1, excludedCreators: []}]);
+    });
+
+    it('prepares bundle candidate only from entities of the retention class creators', async () => {
+      await modelEngine.prepareBundleCandidate(7, {storagePeriods: 5, creators: ['0x1', '0x3']});
+      expect(mockEntityRepository.fetchEntitiesForBundling).to.have.been.calledWith(7, 10, {creators: ['0x1', '0x3'], excludedCreators: undefined, priorityOnly: undefined});
+    });
+
+    it('prepares bundle candidate only from priority entities if requested', async () => {
+      await modelEngine.prepareBundleCandidate(7, {storagePeriods: 1, excludedCreators: [], priorityOnly: true});
+      expect(mockEntityRepository.fetchEntitiesForBundling).to.have.been.calledWith(7, 10, {creators: undefined, excludedCreators: [], priorityOnly: true});
+    });
+  });
+
   describe('Accepting bundle candidate', () => {
     let mockEntityRepository;
     let modelEngine;
@@ -1099,11 +1657,27 @@ describe('Data Model Engine', () => {
     });
   });
 
+  describe('Rejecting abandoned bundle candidates', () => {
+    it('discards bundling in the entity repository', async () => {
+      const mockEntityRepository = {
+        discardAbandonedBundling: sinon.stub().resolves()
+      };
+      const modelEngine = new DataModelEngine({entityRepository: mockEntityRepository});
+      await modelEngine.rejectAbandonedBundleCandidates();
+      expect(mockEntityRepository.discardAbandonedBundling).to.have.been.calledOnce;
+    });
+  });
+
   describe('Upload accepted bundle candidates', () => {
     let mockEntityRepository;
     let mockUploadRepository;
+    let mockBundleUploadAttemptsRepository;
     let modelEngine;
+    let clock;
+    const now = 15000000;
     const blockNumber = 10;
+    const uploadRetryPolicy = {initialDelay: 60, maxDelay: 200, maxAttempts: 5};
+    const nodeAddress = '0xAAA';
     const txHash = '0xc9087b7510e98183f705fe99ddb6964f3b845878d8a801cf6b110975599b6009';
 
     beforeEach(() => {
@@ -1126,15 +1700,33 @@ describe('Data Model Engine', () => {
       };
 
       mockUploadRepository = {
-        uploadBundle: sinon.stub()
+        uploadBundle: sinon.stub(),
+        bundleUploader: sinon.stub().resolves(null),
+        getBundleChainData: sinon.stub().resolves(null)
       };
       mockUploadRepository.uploadBundle.withArgs('bundle1', 2).resolves({blockNumber, transactionHash: txHash});
       mockUploadRepository.uploadBundle.withArgs('bundle3', 6).rejects(new Error('An error'));
 
+      mockBundleUploadAttemptsRepository = {
+        getPostponedBundleIds: sinon.stub().resolves([]),
+        getAttemptsCount: sinon.stub().resolves(0),
+        recordFailedAttempt: sinon.stub().resolves(),
+        moveToDeadLetter: sinon.stub().resolves(),
+        clearAttempts: sinon.stub().resolves()
+      };
+
       modelEngine = new DataModelEngine({
+        identityManager: {nodeAddress: sinon.stub().returns(nodeAddress)},
         entityRepository: mockEntityRepository,
-        uploadRepository: mockUploadRepository
+        uploadRepository: mockUploadRepository,
+        bundleUploadAttemptsRepository: mockBundleUploadAttemptsRepository,
+        uploadRetryPolicy
       });
+      clock = sinon.useFakeTimers(now * 1000);
+    });
+
+    afterEach(() => {
+      clock.restore();
     });
 
     it('asks the entity repository for waiting candidates', async () => {
@@ -1157,8 +1749,190 @@ describe('Data Model Engine', () => {
     it('returns a summary', async () => {
       const result = await modelEngine.uploadAcceptedBundleCandidates();
       expect(result.ok).to.deep.equal(['bundle1']);
+      expect(result.reconciled).to.be.empty;
       expect(result.failed.bundle3.message).to.equal('An error');
       expect(result.failed.bundle3.stack).to.exist;
+      expect(result.deadLettered).to.be.empty;
+    });
+
+    it('skips postponed candidates', async () => {
+      mockBundleUploadAttemptsRepository.getPostponedBundleIds.resolves(['bundle3']);
+      await modelEngine.uploadAcceptedBundleCandidates();
+      expect(mockUploadRepository.uploadBundle).to.have.been.calledOnceWith('bundle1', 2);
+    });
+
+    it('clears upload attempts of uploaded candidates', async () => {
+      await modelEngine.uploadAcceptedBundleCandidates();
+      expect(mockBundleUploadAttemptsRepository.clearAttempts).to.have.been.calledOnceWith('bundle1');
+    });
+
+    it('postpones the next attempt with exponential backoff after a transient error', async () => {
+      mockBundleUploadAttemptsRepository.getAttemptsCount.resolves(1);
+      await modelEngine.uploadAcceptedBundleCandidates();
+      expect(mockBundleUploadAttemptsRepository.recordFailedAttempt).to.have.been.calledOnceWith('bundle3', 'An error', now + 120);
+      expect(mockBundleUploadAttemptsRepository.moveToDeadLetter).to.not.have.been.called;
+    });
+
+    it('limits the backoff delay', async () => {
+      mockBundleUploadAttemptsRepository.getAttemptsCount.resolves(3);
+      await modelEngine.uploadAcceptedBundleCandidates();
+      expect(mockBundleUploadAttemptsRepository.recordFailedAttempt).to.have.been.calledOnceWith('bundle3', 'An error', now + 200);
+    });
+
+    it('moves the candidate to dead-letter after a permanent error', async () => {
+      mockUploadRepository.uploadBundle.withArgs('bundle3', 6).rejects(new PermanentUploadError('Bundle was already uploaded'));
+      const result = await modelEngine.uploadAcceptedBundleCandidates();
+      expect(mockBundleUploadAttemptsRepository.moveToDeadLetter).to.have.been.calledOnceWith('bundle3', 'Bundle was already uploaded');
+      expect(mockBundleUploadAttemptsRepository.recordFailedAttempt).to.not.have.been.called;
+      expect(result.deadLettered).to.deep.equal(['bundle3']);
+    });
+
+    it('reconciles a failed candidate which has been uploaded by this node in an earlier attempt', async () => {
+      mockUploadRepository.uploadBundle.withArgs('bundle3', 6).rejects(new PermanentUploadError('Bundle was already uploaded'));
+      mockUploadRepository.bundleUploader.withArgs('bundle3').resolves(nodeAddress);
+      mockUploadRepository.getBundleChainData.withArgs('bundle3').resolves({blockNumber, transactionHash: txHash});
+      const result = await modelEngine.uploadAcceptedBundleCandidates();
+      expect(mockEntityRepository.storeBundleProofMetadata).to.have.been.calledWith('bundle3', blockNumber, txHash);
+      expect(mockBundleUploadAttemptsRepository.clearAttempts).to.have.been.calledWith('bundle3');
+      expect(mockBundleUploadAttemptsRepository.moveToDeadLetter).to.not.have.been.called;
+      expect(result.reconciled).to.deep.equal(['bundle3']);
+      expect(result.failed).to.be.empty;
+      expect(result.deadLettered).to.be.empty;
+    });
+
+    it('records the failure if the reconciliation fails', async () => {
+      mockUploadRepository.bundleUploader.rejects(new Error('Connection lost'));
+      const result = await modelEngine.uploadAcceptedBundleCandidates();
+      expect(result.failed.bundle3.message).to.equal('An error');
+      expect(mockBundleUploadAttemptsRepository.recordFailedAttempt).to.have.been.calledOnceWith('bundle3', 'An error', now + 60);
+    });
+
+    it('moves the candidate to dead-letter after too many attempts', async () => {
+      mockBundleUploadAttemptsRepository.getAttemptsCount.resolves(4);
+      const result = await modelEngine.uploadAcceptedBundleCandidates();
+      expect(mockBundleUploadAttemptsRepository.moveToDeadLetter).to.have.been.calledOnceWith('bundle3', 'An error');
+      expect(result.deadLettered).to.deep.equal(['bundle3']);
+    });
+
+    it('calls the hook before each upload', async () => {
+      const beforeEachUpload = sinon.stub().resolves();
+      await modelEngine.uploadAcceptedBundleCandidates(beforeEachUpload);
+      expect(beforeEachUpload).to.have.been.calledTwice;
+      expect(beforeEachUpload.firstCall).to.have.been.calledWith('bundle1');
+      expect(beforeEachUpload.firstCall).to.have.been.calledBefore(mockUploadRepository.uploadBundle.firstCall);
+      expect(beforeEachUpload.secondCall).to.have.been.calledWith('bundle3');
+    });
+
+    it('aborts the remaining uploads if the hook throws', async () => {
+      const beforeEachUpload = sinon.stub().resolves();
+      beforeEachUpload.withArgs('bundle3').rejects(new Error('Lock lost'));
+      await expect(modelEngine.uploadAcceptedBundleCandidates(beforeEachUpload)).to.be.rejectedWith('Lock lost');
+      expect(mockUploadRepository.uploadBundle).to.have.been.calledOnceWith('bundle1', 2);
+      expect(mockBundleUploadAttemptsRepository.recordFailedAttempt).to.not.have.been.called;
+    });
+  });
+
+  describe('Reconciling uploaded bundles', () => {
+    const nodeAddress = '0xAAA';
+    const blockNumber = 10;
+    const txHash = '0xc9087b7510e98183f705fe99ddb6964f3b845878d8a801cf6b110975599b6009';
+    let mockEntityRepository;
+    let mockUploadRepository;
+    let mockBundleUploadAttemptsRepository;
+    let mockIdentityManager;
+    let modelEngine;
+
+    beforeEach(() => {
+      mockEntityRepository = {
+        findBundlesWaitingForUpload: sinon.stub().resolves([{bundleId: 'bundle1'}, {bundleId: 'bundle2'}, {bundleId: 'bundle3'}]),
+        storeBundleProofMetadata: sinon.stub().resolves()
+      };
+      mockUploadRepository = {
+        bundleUploader: sinon.stub().resolves(null),
+        getBundleChainData: sinon.stub().resolves({blockNumber, transactionHash: txHash})
+      };
+      mockUploadRepository.bundleUploader.withArgs('bundle1').resolves('0xaaa');
+      mockUploadRepository.bundleUploader.withArgs('bundle2').resolves('0xBBB');
+      mockBundleUploadAttemptsRepository = {
+        clearAttempts: sinon.stub().resolves()
+      };
+      mockIdentityManager = {
+        nodeAddress: sinon.stub().returns(nodeAddress)
+      };
+      modelEngine = new DataModelEngine({
+        identityManager: mockIdentityManager,
+        entityRepository: mockEntityRepository,
+        uploadRepository: mockUploadRepository,
+        bundleUploadAttemptsRepository: mockBundleUploadAttemptsRepository
+      });
+    });
+
+    it('backfills proof metadata of bundles uploaded by this node', async () => {
+      const result = await modelEngine.reconcileUploadedBundles();
+      expect(mockUploadRepository.getBundleChainData).to.have.been.calledOnceWith('bundle1');
+      expect(mockEntityRepository.storeBundleProofMetadata).to.have.been.calledOnceWith('bundle1', blockNumber, txHash);
+      expect(mockBundleUploadAttemptsRepository.clearAttempts).to.have.been.calledOnceWith('bundle1');
+      expect(result).to.deep.equal({reconciled: ['bundle1'], failed: {}});
+    });
+
+    it('skips bundles without chain data', async () => {
+      mockUploadRepository.getBundleChainData.resolves(null);
+      const result = await modelEngine.reconcileUploadedBundles();
+      expect(mockEntityRepository.storeBundleProofMetadata).to.not.have.been.called;
+      expect(result.reconciled).to.be.empty;
+    });
+
+    it('reports failures and continues with other bundles', async () => {
+      mockUploadRepository.bundleUploader.withArgs('bundle1').rejects(new Error('Connection lost'));
+      mockUploadRepository.bundleUploader.withArgs('bundle3').resolves(nodeAddress);
+      const result = await modelEngine.reconcileUploadedBundles();
+      expect(result.reconciled).to.deep.equal(['bundle3']);
+      expect(result.failed.bundle1.message).to.equal('Connection lost');
+    });
+  });
+
+  describe('Managing failed bundle uploads', () => {
+    const bundleId = '0xc0ffee';
+    const failedUpload = {bundleId, attempts: 3, reason: 'Bundle was already uploaded', deadLettered: true};
+    const tokenData = {createdBy: adminAccount.address};
+    let mockAccountAccessDefinitions;
+    let mockBundleUploadAttemptsRepository;
+    let modelEngine;
+
+    beforeEach(() => {
+      mockAccountAccessDefinitions = {
+        ensureHasPermission: sinon.stub().resolves()
+      };
+      mockBundleUploadAttemptsRepository = {
+        getDeadLetteredBundles: sinon.stub().resolves([failedUpload]),
+        requeueDeadLetteredBundle: sinon.stub().resolves(failedUpload)
+      };
+      modelEngine = new DataModelEngine({
+        accountAccessDefinitions: mockAccountAccessDefinitions,
+        bundleUploadAttemptsRepository: mockBundleUploadAttemptsRepository
+      });
+    });
+
+    it('returns dead-lettered uploads', async () => {
+      expect(await modelEngine.getFailedBundleUploads(tokenData)).to.deep.equal([failedUpload]);
+      expect(mockAccountAccessDefinitions.ensureHasPermission).to.be.calledOnceWith(adminAccount.address, allPermissions.superAccount);
+    });
+
+    it('requeues a dead-lettered upload', async () => {
+      expect(await modelEngine.requeueFailedBundleUpload(bundleId, tokenData)).to.deep.equal(failedUpload);
+      expect(mockBundleUploadAttemptsRepository.requeueDeadLetteredBundle).to.be.calledOnceWith(bundleId);
+    });
+
+    it('throws NotFoundError when requeueing a bundle without failed upload', async () => {
+      mockBundleUploadAttemptsRepository.requeueDeadLetteredBundle.resolves(null);
+      await expect(modelEngine.requeueFailedBundleUpload(bundleId, tokenData)).to.be.rejectedWith(NotFoundError);
+    });
+
+    it('throws PermissionError if the sender is not a super account', async () => {
+      mockAccountAccessDefinitions.ensureHasPermission.rejects(new PermissionError());
+      await expect(modelEngine.getFailedBundleUploads(tokenData)).to.be.rejectedWith(PermissionError);
+      await expect(modelEngine.requeueFailedBundleUpload(bundleId, tokenData)).to.be.rejectedWith(PermissionError);
+      expect(mockBundleUploadAttemptsRepository.requeueDeadLetteredBundle).to.be.not.called;
     });
   });
 
@@ -1166,12 +1940,16 @@ describe('Data Model Engine', () => {
     const bundleId = '0x123';
     const sheltererId = '0x789';
     const nodeUrl = '0.0.0.0';
-    const downloadedBundle = createBundle();
+    const downloadedBundle = put(createBundle(), 'bundleId', bundleId);
+    const ownAddress = '0xAAA';
     let mockEntityRepository;
     let mockEntityDownloader;
     let mockEntityBuilder;
     let mockRolesRepository;
     let mockUploadRepository;
+    let mockSheltererReputationRepository;
+    let mockChallengesRepository;
+    let mockIdentityManager;
     let modelEngine;
 
     beforeEach(() => {
@@ -1183,8 +1961,22 @@ describe('Data Model Engine', () => {
         nodeUrl: sinon.stub().resolves(nodeUrl)
       };
 
+      mockSheltererReputationRepository = {
+        recordSuccessfulDownload: sinon.stub().resolves(),
+        recordFailedDownload: sinon.stub().resolves()
+      };
+
       mockUploadRepository = {
-        verifyBundle: sinon.stub().resolves()
+        verifyBundle: sinon.stub().resolves(),
+        bundleUploader: sinon.stub().resolves(null)
+      };
+
+      mockChallengesRepository = {
+        knownShelterers: sinon.stub().resolves([])
+      };
+
+      mockIdentityManager = {
+        nodeAddress: sinon.stub().returns(ownAddress)
       };
 
       mockEntityDownloader = {
@@ -1200,7 +1992,10 @@ describe('Data Model Engine', () => {
         entityDownloader: mockEntityDownloader,
         entityBuilder: mockEntityBuilder,
         rolesRepository: mockRolesRepository,
-        uploadRepository: mockUploadRepository
+        uploadRepository: mockUploadRepository,
+        sheltererReputationRepository: mockSheltererReputationRepository,
+        challengesRepository: mockChallengesRepository,
+        identityManager: mockIdentityManager
       });
     });
 
@@ -1229,6 +2024,130 @@ describe('Data Model Engine', () => {
       await expect(modelEngine.downloadBundle(bundleId, sheltererId)).to.be.rejected;
       expect(mockEntityRepository.storeBundle).to.be.not.called;
     });
+
+    it('does not store bundle with a different id than requested', async () => {
+      mockEntityDownloader.downloadBundle.resolves(put(downloadedBundle, 'bundleId', '0x456'));
+      await expect(modelEngine.downloadBundle(bundleId, sheltererId)).to.be.rejectedWith(ValidationError);
+      expect(mockEntityRepository.storeBundle).to.be.not.called;
+      expect(mockSheltererReputationRepository.recordFailedDownload).to.be.calledOnceWith(sheltererId, SheltererFailure.VALIDATION);
+    });
+
+    describe('from alternative shelterers', () => {
+      const uploaderId = '0xBBB';
+      const alternativeSheltererId = '0xCCC';
+      const alternativeNodeUrl = '1.1.1.1';
+      const uploaderNodeUrl = '2.2.2.2';
+      const primaryError = new Error('Shelterer is offline');
+
+      beforeEach(() => {
+        mockUploadRepository.bundleUploader.resolves(uploaderId);
+        mockChallengesRepository.knownShelterers.resolves([sheltererId, alternativeSheltererId, ownAddress.toLowerCase(), uploaderId]);
+        mockRolesRepository.nodeUrl.withArgs(alternativeSheltererId).resolves(alternativeNodeUrl);
+        mockRolesRepository.nodeUrl.withArgs(uploaderId).resolves(uploaderNodeUrl);
+        mockEntityDownloader.downloadBundle.withArgs(nodeUrl).rejects(primaryError);
+      });
+
+      it('lists other known shelterers and the uploader, without the challenged shelterer and this node', async () => {
+        expect(await modelEngine.alternativeShelterers(bundleId, sheltererId)).to.deep.equal([uploaderId, alternativeSheltererId]);
+        expect(mockUploadRepository.bundleUploader).to.be.calledWith(bundleId);
+        expect(mockChallengesRepository.knownShelterers).to.be.calledWith(bundleId);
+      });
+
+      it('downloads the bundle from an alternative shelterer if the challenged one fails', async () => {
+        expect(await modelEngine.downloadBundle(bundleId, sheltererId)).to.equal(downloadedBundle);
+        expect(mockEntityDownloader.downloadBundle).to.be.calledWith(uploaderNodeUrl, bundleId);
+        expect(mockEntityRepository.storeBundle).to.be.calledOnceWith(downloadedBundle);
+        expect(mockSheltererReputationRepository.recordFailedDownload).to.be.calledOnceWith(sheltererId, SheltererFailure.DOWNLOAD);
+        expect(mockSheltererReputationRepository.recordSuccessfulDownload).to.be.calledOnceWith(uploaderId);
+      });
+
+      it('tries next alternative if the bundle from previous one is invalid', async () => {
+        mockEntityDownloader.downloadBundle.withArgs(uploaderNodeUrl).resolves(put(downloadedBundle, 'bundleId', '0x456'));
+        expect(await modelEngine.downloadBundle(bundleId, sheltererId)).to.equal(downloadedBundle);
+        expect(mockEntityDownloader.downloadBundle).to.be.calledWith(alternativeNodeUrl, bundleId);
+        expect(mockSheltererReputationRepository.recordSuccessfulDownload).to.be.calledOnceWith(alternativeSheltererId);
+      });
+
+      it('throws the error of the challenged shelterer if all alternatives fail', async () => {
+        mockEntityDownloader.downloadBundle.withArgs(uploaderNodeUrl).rejects(new Error('Other error'));
+        mockEntityDownloader.downloadBundle.withArgs(alternativeNodeUrl).rejects(new Error('Other error'));
+        await expect(modelEngine.downloadBundle(bundleId, sheltererId)).to.be.rejectedWith(primaryError);
+        expect(mockEntityRepository.storeBundle).to.be.not.called;
+      });
+
+      it('throws the error of the challenged shelterer if the alternatives cannot be found', async () => {
+        mockChallengesRepository.knownShelterers.rejects(new Error('Database error'));
+        await expect(modelEngine.downloadBundle(bundleId, sheltererId)).to.be.rejectedWith(primaryError);
+      });
+    });
+
+    it('records successful download with its latency in the shelterer reputation', async () => {
+      await modelEngine.downloadBundle(bundleId, sheltererId);
+      expect(mockSheltererReputationRepository.recordSuccessfulDownload).to.be.calledOnceWith(sheltererId, sinon.match.number);
+      expect(mockSheltererReputationRepository.recordFailedDownload).to.be.not.called;
+    });
+
+    it('records failed download in the shelterer reputation', async () => {
+      mockEntityDownloader.downloadBundle.rejects(new Error('Received code 500'));
+      await expect(modelEngine.downloadBundle(bundleId, sheltererId)).to.be.rejected;
+      expect(mockSheltererReputationRepository.recordFailedDownload).to.be.calledOnceWith(sheltererId, SheltererFailure.DOWNLOAD);
+    });
+
+    it('records empty download as failed in the shelterer reputation', async () => {
+      mockEntityDownloader.downloadBundle.resolves(null);
+      await expect(modelEngine.downloadBundle(bundleId, sheltererId)).to.be.rejected;
+      expect(mockSheltererReputationRepository.recordFailedDownload).to.be.calledOnceWith(sheltererId, SheltererFailure.DOWNLOAD);
+    });
+
+    it('records timeout in the shelterer reputation', async () => {
+      const timeoutError = new Error('Timeout');
+      timeoutError.code = 'ETIMEDOUT';
+      mockEntityDownloader.downloadBundle.rejects(timeoutError);
+      await expect(modelEngine.downloadBundle(bundleId, sheltererId)).to.be.rejected;
+      expect(mockSheltererReputationRepository.recordFailedDownload).to.be.calledOnceWith(sheltererId, SheltererFailure.TIMEOUT);
+    });
+
+    it('records invalid bundle in the shelterer reputation', async () => {
+      mockEntityBuilder.validateBundle.throws(new ValidationError('bundleId value doesn\'t match the content hash'));
+      await expect(modelEngine.downloadBundle(bundleId, sheltererId)).to.be.rejected;
+      expect(mockSheltererReputationRepository.recordFailedDownload).to.be.calledOnceWith(sheltererId, SheltererFailure.VALIDATION);
+    });
+
+    it('does not blame the shelterer if the bundle could not be verified against chain for other reasons', async () => {
+      mockUploadRepository.verifyBundle.rejects(new Error('Connection lost'));
+      await expect(modelEngine.downloadBundle(bundleId, sheltererId)).to.be.rejected;
+      expect(mockSheltererReputationRepository.recordFailedDownload).to.be.not.called;
+      expect(mockSheltererReputationRepository.recordSuccessfulDownload).to.be.not.called;
+    });
+  });
+
+  describe('Downloading bundle metadata', () => {
+    const bundleId = '0x123';
+    const sheltererId = '0x789';
+    const nodeUrl = '0.0.0.0';
+    const metadata = {bundleId, storagePeriods: 3};
+    let mockEntityDownloader;
+    let mockRolesRepository;
+    let modelEngine;
+
+    beforeEach(() => {
+      mockRolesRepository = {
+        nodeUrl: sinon.stub().resolves(nodeUrl)
+      };
+      mockEntityDownloader = {
+        downloadBundleMetadata: sinon.stub().resolves(metadata)
+      };
+      modelEngine = new DataModelEngine({
+        entityDownloader: mockEntityDownloader,
+        rolesRepository: mockRolesRepository
+      });
+    });
+
+    it('downloads the metadata from the shelterer', async () => {
+      expect(await modelEngine.downloadBundleMetadata(bundleId, sheltererId)).to.equal(metadata);
+      expect(mockRolesRepository.nodeUrl).to.be.calledWith(sheltererId);
+      expect(mockEntityDownloader.downloadBundleMetadata).to.be.calledWith(nodeUrl, bundleId);
+    });
   });
 
   describe('Update sheltering expiration date', () => {
@@ -1260,6 +2179,160 @@ describe('Data Model Engine', () => {
     });
   });
 
+  describe('Cleaning up expired bundles', () => {
+    let mockEntityRepository;
+    let mockUploadRepository;
+    let modelEngine;
+    let clock;
+
+    const now = 15000000000;
+
+    before(() => {
+      clock = sinon.useFakeTimers(now * 1000);
+    });
+
+    after(() => {
+      clock.restore();
+    });
+
+    beforeEach(() => {
+      mockEntityRepository = {
+        getExpiredBundleIds: sinon.stub().resolves(['notSheltered', 'expired', 'prolonged', 'failing']),
+        deleteBundles: sinon.stub().resolves(),
+        storeBundleShelteringExpirationDate: sinon.stub().resolves()
+      };
+      mockUploadRepository = {
+        isSheltering: sinon.stub(),
+        expirationDate: sinon.stub()
+      };
+      mockUploadRepository.isSheltering.withArgs('notSheltered').resolves(false);
+      mockUploadRepository.isSheltering.withArgs('expired').resolves(true);
+      mockUploadRepository.isSheltering.withArgs('prolonged').resolves(true);
+      mockUploadRepository.isSheltering.withArgs('failing').rejects(new Error('Connection lost'));
+      mockUploadRepository.expirationDate.withArgs('expired').resolves(now - 1);
+      mockUploadRepository.expirationDate.withArgs('prolonged').resolves(now + 100);
+      modelEngine = new DataModelEngine({
+        entityRepository: mockEntityRepository,
+        uploadRepository: mockUploadRepository
+      });
+    });
+
+    it('removes bundles which are not sheltered anymore', async () => {
+      await modelEngine.cleanupExpiredBundles();
+      expect(mockEntityRepository.deleteBundles).to.have.been.calledOnceWith(['notSheltered', 'expired']);
+    });
+
+    it('stores the new expiration date of bundles which are still sheltered', async () => {
+      await modelEngine.cleanupExpiredBundles();
+      expect(mockEntityRepository.storeBundleShelteringExpirationDate).to.have.been.calledOnceWith('prolonged', now + 100);
+    });
+
+    it('returns a summary', async () => {
+      const summary = await modelEngine.cleanupExpiredBundles();
+      expect(summary.removed).to.deep.equal(['notSheltered', 'expired']);
+      expect(summary.kept).to.deep.equal(['prolonged']);
+      expect(summary.failed.failing.message).to.equal('Connection lost');
+    });
+
+    it('does not call deleteBundles when nothing has to be removed', async () => {
+      mockEntityRepository.getExpiredBundleIds.resolves(['prolonged']);
+      await modelEngine.cleanupExpiredBundles();
+      expect(mockEntityRepository.deleteBundles).to.not.have.been.called;
+    });
+
+    it('passes the grace period of recently stored bundles to the repository', async () => {
+      await modelEngine.cleanupExpiredBundles(false, 3600);
+      expect(mockEntityRepository.getExpiredBundleIds).to.have.been.calledOnceWith(3600);
+    });
+
+    it('does not modify the repository in dry run mode', async () => {
+      const summary = await modelEngine.cleanupExpiredBundles(true);
+      expect(summary.removed).to.deep.equal(['notSheltered', 'expired']);
+      expect(mockEntityRepository.deleteBundles).to.not.have.been.called;
+      expect(mockEntityRepository.storeBundleShelteringExpirationDate).to.not.have.been.called;
+    });
+  });
+
+  describe('Getting shelterer reputations', () => {
+    const sheltererId = '0x789';
+    const reputation = {sheltererId, successfulDownloads: 3, attempts: 4, successRate: 0.75};
+    const tokenData = {createdBy: adminAccount.address};
+    let mockAccountAccessDefinitions;
+    let mockSheltererReputationRepository;
+    let modelEngine;
+
+    beforeEach(() => {
+      mockAccountAccessDefinitions = {
+        ensureHasPermission: sinon.stub().resolves()
+      };
+      mockSheltererReputationRepository = {
+        getReputations: sinon.stub().resolves([reputation]),
+        getReputation: sinon.stub().resolves(reputation)
+      };
+      modelEngine = new DataModelEngine({
+        accountAccessDefinitions: mockAccountAccessDefinitions,
+        sheltererReputationRepository: mockSheltererReputationRepository
+      });
+    });
+
+    it('returns reputations of all shelterers', async () => {
+      expect(await modelEngine.getSheltererReputations(tokenData)).to.deep.equal([reputation]);
+      expect(mockAccountAccessDefinitions.ensureHasPermission).to.be.calledOnceWith(adminAccount.address, allPermissions.superAccount);
+    });
+
+    it('returns reputation of a single shelterer', async () => {
+      expect(await modelEngine.getSheltererReputation(sheltererId, tokenData)).to.deep.equal(reputation);
+      expect(mockSheltererReputationRepository.getReputation).to.be.calledOnceWith(sheltererId);
+    });
+
+    it('throws PermissionError if the sender is not a super account', async () => {
+      mockAccountAccessDefinitions.ensureHasPermission.rejects(new PermissionError());
+      await expect(modelEngine.getSheltererReputations(tokenData)).to.be.rejectedWith(PermissionError);
+      await expect(modelEngine.getSheltererReputation(sheltererId, tokenData)).to.be.rejectedWith(PermissionError);
+      expect(mockSheltererReputationRepository.getReputations).to.be.not.called;
+      expect(mockSheltererReputationRepository.getReputation).to.be.not.called;
+    });
+  });
+
+  describe('Getting failed challenges', () => {
+    const challengeId = '0x456';
+    const failedChallenge = {challengeId, reason: 'Bundle download failed', failedAt: 1544443200};
+    const tokenData = {createdBy: adminAccount.address};
+    let mockAccountAccessDefinitions;
+    let mockFailedChallengesCache;
+    let modelEngine;
+
+    beforeEach(() => {
+      mockAccountAccessDefinitions = {
+        ensureHasPermission: sinon.stub().resolves()
+      };
+      mockFailedChallengesCache = {
+        getFailedChallenge: sinon.stub().resolves(failedChallenge)
+      };
+      modelEngine = new DataModelEngine({
+        accountAccessDefinitions: mockAccountAccessDefinitions,
+        failedChallengesCache: mockFailedChallengesCache
+      });
+    });
+
+    it('returns the failed challenge with its reason', async () => {
+      expect(await modelEngine.getFailedChallenge(challengeId, tokenData)).to.deep.equal(failedChallenge);
+      expect(mockAccountAccessDefinitions.ensureHasPermission).to.be.calledOnceWith(adminAccount.address, allPermissions.superAccount);
+      expect(mockFailedChallengesCache.getFailedChallenge).to.be.calledOnceWith(challengeId);
+    });
+
+    it('throws NotFoundError if the challenge has not failed', async () => {
+      mockFailedChallengesCache.getFailedChallenge.resolves(null);
+      await expect(modelEngine.getFailedChallenge(challengeId, tokenData)).to.be.rejectedWith(NotFoundError);
+    });
+
+    it('throws PermissionError if the sender is not a super account', async () => {
+      mockAccountAccessDefinitions.ensureHasPermission.rejects(new PermissionError());
+      await expect(modelEngine.getFailedChallenge(challengeId, tokenData)).to.be.rejectedWith(PermissionError);
+      expect(mockFailedChallengesCache.getFailedChallenge).to.be.not.called;
+    });
+  });
+
   describe('Getting worker logs', () => {
     let modelEngine;
     let mockWorkerLogRepository;
@@ -13,16 +13,17 @@ import sinonChai from 'sinon-chai';
 
 import {pick, put} from '../../src/utils/dict_utils';
 import {createWeb3} from '../../src/utils/web3_tools';
-import {JsonValidationError, ValidationError} from '../../src/errors/errors';
+import {JsonValidationError, NotFoundError, ValidationError} from '../../src/errors/errors';
 
 import IdentityManager from '../../src/services/identity_manager';
-import EntityBuilder from '../../src/services/entity_builder';
+import EntityBuilder, {MERKLE_BUNDLE_VERSION} from '../../src/services/entity_builder';
 
 import {adminAccountWithSecret} from '../fixtures/account';
 import {createFullAsset, createFullEvent, createFullBundle} from '../fixtures/assets_events';
 
 import ScenarioBuilder from '../fixtures/scenario_builder';
 import {getTimestamp} from '../../src/utils/time_utils';
+import verifyMerkleProof from '../helpers/merkle_proofs';
 
 chai.use(sinonChai);
 const {expect} = chai;
@@ -305,6 +306,64 @@ describe('Entity Builder', () => {
     });
   });
 
+  describe('Merkle bundles', () => {
+    let entityBuilder;
+    let merkleBundle;
+    const hashNodes = (nodes) => identityManager.calculateHash(nodes);
+
+    before(() => {
+      entityBuilder = new EntityBuilder(identityManager, oneDayInSeconds);
+      const otherAsset = createFullAsset(identityManager, {sequenceNumber: 1});
+      const otherEvent = createFullEvent(identityManager, {assetId: otherAsset.assetId});
+      const [assets, events] = [[exampleAsset, otherAsset], [exampleEvent, otherEvent]]
+        .map((entities) => entities.map((entity) => entityBuilder.setBundle(entity, null)));
+      merkleBundle = entityBuilder.assembleBundle(assets, events, getTimestamp(), adminAccountWithSecret.secret);
+    });
+
+    it('validates bundle in the Merkle format', () => {
+      expect(() => entityBuilder.validateBundle(merkleBundle)).to.not.throw();
+    });
+
+    it('still validates bundle in the legacy format', () => {
+      expect(() => entityBuilder.validateBundle(exampleBundle)).to.not.throw();
+    });
+
+    it('throws if the Merkle root does not match the entries', () => {
+      const brokenBundle = put(merkleBundle, 'content.idData.entriesMerkleRoot', '0x1234');
+      expect(() => entityBuilder.validateBundle(brokenBundle)).to.throw(ValidationError);
+    });
+
+    it('throws if the Merkle root is missing', () => {
+      const brokenBundle = pick(merkleBundle, 'content.idData.entriesMerkleRoot');
+      expect(() => entityBuilder.validateBundle(brokenBundle)).to.throw(ValidationError);
+    });
+
+    it('throws for unsupported bundle version', () => {
+      const brokenBundle = put(merkleBundle, 'content.idData.version', MERKLE_BUNDLE_VERSION + 1);
+      expect(() => entityBuilder.validateBundle(brokenBundle)).to.throw(ValidationError);
+    });
+
+    it('creates inclusion proofs verifiable against the Merkle root', () => {
+      for (const entry of merkleBundle.content.entries) {
+        const entityId = entry.assetId || entry.eventId;
+        const proof = entityBuilder.entryInclusionProof(merkleBundle, entityId);
+        expect(proof.bundleId).to.equal(merkleBundle.bundleId);
+        expect(proof.entityId).to.equal(entityId);
+        expect(proof.leaf).to.equal(identityManager.calculateHash(entry));
+        expect(proof.merkleRoot).to.equal(merkleBundle.content.idData.entriesMerkleRoot);
+        expect(verifyMerkleProof(proof.leaf, proof.path, proof.merkleRoot, hashNodes)).to.be.true;
+      }
+    });
+
+    it('throws when creating inclusion proof for entity not in the bundle', () => {
+      expect(() => entityBuilder.entryInclusionProof(merkleBundle, '0x1234')).to.throw(NotFoundError);
+    });
+
+    it('throws when creating inclusion proof for legacy bundle', () => {
+      expect(() => entityBuilder.entryInclusionProof(exampleBundle, exampleAsset.assetId)).to.throw(ValidationError);
+    });
+  });
+
   describe('Manipulating bundle id in metadata', () => {
     let entityBuilder;
 
@@ -371,6 +430,7 @@ describe('Entity Builder', () => {
     const mockHash1 = 'mockHash1';
     const mockHash2 = 'mockHash2';
     const mockSignature = 'mockSignature';
+    const mockMerkleRoot = 'mockMerkleRoot';
     let inAssetsStripped;
     let inEventsStripped;
     let inEventsStubbed;
@@ -410,6 +470,7 @@ describe('Entity Builder', () => {
       mockIdentityManager.sign.returns(mockSignature);
       sinon.stub(entityBuilder, 'removeBundle');
       sinon.stub(entityBuilder, 'prepareEventForBundlePublication');
+      sinon.stub(entityBuilder, 'calculateEntriesMerkleRoot').returns(mockMerkleRoot);
       entityBuilder.removeBundle.callsFake(stripFunc);
       entityBuilder.prepareEventForBundlePublication.callsFake(prepFunc);
 
@@ -419,6 +480,7 @@ describe('Entity Builder', () => {
     after(() => {
       entityBuilder.removeBundle.restore();
       entityBuilder.prepareEventForBundlePublication.restore();
+      entityBuilder.calculateEntriesMerkleRoot.restore();
     });
 
     it('strips the bundleId metadata link using the removeBundle method', () => {
@@ -449,6 +511,15 @@ describe('Entity Builder', () => {
       expect(ret.content.idData.entriesHash).to.be.equal(mockHash1);
     });
 
+    it('calculates the Merkle root of entries and puts it into idData', () => {
+      expect(entityBuilder.calculateEntriesMerkleRoot).to.have.been.calledWith(ret.content.entries);
+      expect(ret.content.idData.entriesMerkleRoot).to.be.equal(mockMerkleRoot);
+    });
+
+    it('marks the bundle with the Merkle bundle version', () => {
+      expect(ret.content.idData.version).to.be.equal(MERKLE_BUNDLE_VERSION);
+    });
+
     it('orders the identity manager to sign the the idData part', () => {
       expect(mockIdentityManager.sign).to.have.been.calledWith(inSecret, ret.content.idData);
       expect(ret.content.signature).to.be.equal(mockSignature);
@@ -25,7 +25,7 @@ describe('Entity downloader', () => {
 
   before(async () => {
     mockHttpsClient = {
-      performHTTPSGet : sinon.stub(),
+      performBoundedHTTPSGet : sinon.stub(),
       validateIncomingStatusCode : sinon.stub()
     };
     entityDownloader = new EntityDownloader(mockHttpsClient);
@@ -39,21 +39,35 @@ describe('Entity downloader', () => {
 
     it('returns downloaded bundle', async () => {
       const OKStatusCode = 200;
-      mockHttpsClient.performHTTPSGet.resolves({statusCode : OKStatusCode, body : processedBundle});
+      mockHttpsClient.performBoundedHTTPSGet.resolves({statusCode : OKStatusCode, body : processedBundle});
       mockHttpsClient.validateIncomingStatusCode.resolves();
       const res = await expect(entityDownloader.downloadBundle(exampleVendorId, exampleBundleId)).to.be.fulfilled;
-      expect(mockHttpsClient.performHTTPSGet).to.have.been.calledWith(exampleVendorId, examplePath);
+      expect(mockHttpsClient.performBoundedHTTPSGet).to.have.been.calledWith(exampleVendorId, examplePath);
       expect(mockHttpsClient.validateIncomingStatusCode).to.have.been.calledWith(OKStatusCode);
       expect(res).to.deep.equal(processedBundle);
     });
 
     it(`throws if download wasn't successful`, async () => {
       const failureStatusCode = 500;
-      mockHttpsClient.performHTTPSGet.resolves({statusCode : failureStatusCode});
+      mockHttpsClient.performBoundedHTTPSGet.resolves({statusCode : failureStatusCode});
       mockHttpsClient.validateIncomingStatusCode.throws(new Error());
       await expect(entityDownloader.downloadBundle(exampleVendorId, exampleBundleId)).to.be.rejectedWith(Error);
-      expect(mockHttpsClient.performHTTPSGet).to.have.been.calledWith(exampleVendorId, examplePath);
+      expect(mockHttpsClient.performBoundedHTTPSGet).to.have.been.calledWith(exampleVendorId, examplePath);
       expect(mockHttpsClient.validateIncomingStatusCode).to.have.been.calledWith(failureStatusCode);
     });
   });
+
+  describe('download bundle metadata', () => {
+    const exampleVendorId = '0x123';
+    const exampleBundleId = '0x321';
+    const examplePath = `/bundle/${exampleBundleId}/info`;
+    const metadata = {bundleId: exampleBundleId, storagePeriods: 2};
+
+    it('returns downloaded metadata', async () => {
+      mockHttpsClient.performBoundedHTTPSGet.resolves({statusCode : 200, body : metadata});
+      mockHttpsClient.validateIncomingStatusCode.resolves();
+      expect(await entityDownloader.downloadBundleMetadata(exampleVendorId, exampleBundleId)).to.deep.equal(metadata);
+      expect(mockHttpsClient.performBoundedHTTPSGet).to.have.been.calledWith(exampleVendorId, examplePath);
+    });
+  });
 });
@@ -20,6 +20,7 @@ import {adminAccountWithSecret} from '../fixtures/account';
 import config from '../../config/config';
 
 import EntityRepository from '../../src/services/entity_repository';
+import GridFsBundleStore from '../../src/services/bundle_stores/gridfs_bundle_store';
 import {getTimestamp} from '../../src/utils/time_utils';
 
 const {expect} = chai;
@@ -56,6 +57,36 @@ describe('Entity Repository', () => {
       const otherAssetId = '0x33333';
       await expect(storage.getAsset(otherAssetId)).to.eventually.be.equal(null);
     });
+
+    it('finds which of the given assetIds exist', async () => {
+      await expect(storage.findExistingAssetIds(['0x33333', exampleAssetId])).to.eventually.deep.equal([exampleAssetId]);
+    });
+
+    it('stores many assets at once', async () => {
+      const otherAssets = [put(createAsset(), 'assetId', '0x1'), put(createAsset(), 'assetId', '0x2')];
+      await storage.storeAssets(otherAssets);
+      await expect(storage.getAsset('0x2')).to.eventually.be.deep.equal(otherAssets[1]);
+    });
+
+    it('stores all or none of the assets', async () => {
+      const otherAssets = [put(createAsset(), 'assetId', '0x3'), put(createAsset(), 'assetId', '0x4')];
+      await storage.storeAssetsOrNone(otherAssets);
+      await expect(storage.findExistingAssetIds(['0x3', '0x4'])).to.eventually.have.members(['0x3', '0x4']);
+    });
+
+    it('removes only the assets it inserted when storing all assets fails', async () => {
+      const uniqueIndex = await db.collection('assets').createIndex({assetId: 1}, {unique: true});
+      try {
+        const concurrentAsset = put(createAsset(), 'assetId', '0x6');
+        await storage.storeAsset(concurrentAsset);
+        const batch = [put(createAsset(), 'assetId', '0x5'), put(createAsset({timestamp: 1}), 'assetId', '0x6')];
+        await expect(storage.storeAssetsOrNone(batch)).to.be.rejected;
+        await expect(storage.findExistingAssetIds(['0x5'])).to.eventually.deep.equal([]);
+        await expect(storage.getAsset('0x6')).to.eventually.deep.equal(concurrentAsset);
+      } finally {
+        await db.collection('assets').dropIndex(uniqueIndex);
+      }
+    });
   });
 
   describe('Events', () => {
@@ -82,6 +113,22 @@ describe('Entity Repository', () => {
       const otherEventId = '0x33333';
       await expect(storage.getEvent(otherEventId)).to.eventually.be.equal(null);
     });
+
+    it('stores many events at once', async () => {
+      const otherEvent = put(createEvent(), 'eventId', '0x654321');
+      await storage.storeEvents([exampleEvent, otherEvent]);
+      await expect(storage.getEvent(exampleEventId)).to.eventually.be.deep.equal(exampleEvent);
+      await expect(storage.getEvent('0x654321')).to.eventually.be.deep.equal(otherEvent);
+    });
+
+    it('does nothing when storing an empty list of events', async () => {
+      await expect(storage.storeEvents([])).to.be.fulfilled;
+    });
+
+    it('finds which of the given eventIds exist', async () => {
+      await storage.storeEvent(exampleEvent);
+      await expect(storage.findExistingEventIds(['0x33333', exampleEventId])).to.eventually.deep.equal([exampleEventId]);
+    });
   });
 
 
@@ -119,6 +166,69 @@ describe('Entity Repository', () => {
       await expect(storage.getBundle(otherBundleId)).to.eventually.be.equal(null);
     });
 
+    it('stores bundle content compressed and decompresses it on read if compression is enabled', async () => {
+      const compressingStorage = new EntityRepository(db, 'gzip');
+      const exampleBundleId = '0xcompressed';
+      const exampleBundle = put(createBundle(), 'bundleId', exampleBundleId);
+      await compressingStorage.storeBundle(exampleBundle, storagePeriods);
+
+      const storedBundle = await db.collection('bundles').findOne({bundleId: exampleBundleId});
+      expect(storedBundle.content).to.be.undefined;
+      expect(storedBundle.contentLocation.encoding).to.equal('gzip');
+
+      await expect(compressingStorage.getBundle(exampleBundleId)).to.eventually.deep.equal(put(exampleBundle, 'metadata.storagePeriods', storagePeriods));
+      await expect(storage.getBundle(exampleBundleId)).to.eventually.deep.equal(put(exampleBundle, 'metadata.storagePeriods', storagePeriods));
+    });
+
+    describe('with bundle store keeping contents outside of the bundles collection', () => {
+      const exampleBundleId = '0xgridfs';
+      const exampleBundle = put(createBundle(), 'bundleId', exampleBundleId);
+      let gridFsStorage;
+
+      beforeEach(async () => {
+        gridFsStorage = new EntityRepository(db, null, new GridFsBundleStore({db}));
+        await gridFsStorage.storeBundle(exampleBundle, storagePeriods);
+      });
+
+      afterEach(async () => {
+        await cleanDatabase(db);
+      });
+
+      it('keeps only the metadata in the bundles collection', async () => {
+        const storedBundle = await db.collection('bundles').findOne({bundleId: exampleBundleId});
+        expect(storedBundle.content).to.be.undefined;
+        expect(await db.collection('bundleContents.files').countDocuments({_id: storedBundle.contentLocation.fileId})).to.equal(1);
+      });
+
+      it('db round trip works', async () => {
+        await expect(gridFsStorage.getBundle(exampleBundleId)).to.eventually.deep.equal(put(exampleBundle, 'metadata.storagePeriods', storagePeriods));
+      });
+
+      it('db round trip works with compression', async () => {
+        const compressingStorage = new EntityRepository(db, 'gzip', new GridFsBundleStore({db}));
+        const compressedBundle = put(exampleBundle, 'bundleId', '0xgridfscompressed');
+        await compressingStorage.storeBundle(compressedBundle, storagePeriods);
+        await expect(compressingStorage.getBundle('0xgridfscompressed')).to.eventually.deep.equal(put(compressedBundle, 'metadata.storagePeriods', storagePeriods));
+      });
+
+      it('removes the content file when deleting the bundle', async () => {
+        await gridFsStorage.deleteBundles([exampleBundleId]);
+        expect(await gridFsStorage.getBundle(exampleBundleId)).to.be.null;
+        expect(await db.collection('bundleContents.files').countDocuments()).to.equal(0);
+        expect(await db.collection('bundleContents.chunks').countDocuments()).to.equal(0);
+      });
+
+      it('counts the content files into bundles storage size', async () => {
+        const {size: bundlesCollectionSize} = await db.collection('bundles').stats();
+        expect(await gridFsStorage.bundlesStorageSize()).to.be.above(bundlesCollectionSize);
+      });
+
+      it('does not limit the bundle size in bytes', async () => {
+        expect(gridFsStorage.bundleSizeInBytesLimit()).to.equal(Infinity);
+        expect(storage.bundleSizeInBytesLimit()).to.be.below(16 * 1024 * 1024);
+      });
+    });
+
     describe('discardEntitiesForBundling', () => {
       const exampleEntities = [...Array(10).keys()].map((inx) => ({
         id: inx,
@@ -343,10 +453,28 @@ describe('Entity Repository', () => {
 
     it('should take the size limit into consideration', async () => {
       const mongoSizeOfFirstEvent = mongoObjectSize(nonBundledEvents[0]);
-      const ret2 = await expect(storage.fetchEntitiesForBundling('otherId', bundleItemsCountLimit, mongoSizeOfFirstEvent + 1)).to.be.fulfilled;
+      const ret2 = await expect(storage.fetchEntitiesForBundling('otherId', bundleItemsCountLimit, {}, mongoSizeOfFirstEvent + 1)).to.be.fulfilled;
       expect(ret2.assets).to.be.empty;
       expect(ret2.events).to.have.deep.members([nonBundledEvents[0]]);
     });
+
+    it('should only include entities of requested creators', async () => {
+      const excludedRet = await storage.fetchEntitiesForBundling('otherId', bundleItemsCountLimit, {excludedCreators: [adminAccountWithSecret.address]});
+      expect(excludedRet.assets).to.be.empty;
+      expect(excludedRet.events).to.be.empty;
+      const otherCreatorRet = await storage.fetchEntitiesForBundling('otherId', bundleItemsCountLimit, {creators: ['0x1234']});
+      expect(otherCreatorRet.events).to.be.empty;
+      const includedRet = await storage.fetchEntitiesForBundling('otherId', bundleItemsCountLimit, {creators: [adminAccountWithSecret.address]});
+      expect(includedRet.events).to.have.deep.members([nonBundledEvents[0], nonBundledEvents[2]]);
+    });
+
+    it('should only include priority entities if requested', async () => {
+      const priorityEvent = put(await scenario.addEvent(0, 0, {timestamp: 40}), 'metadata.bundleId', null);
+      await storage.storeEvent(priorityEvent, true);
+      const ret2 = await storage.fetchEntitiesForBundling('otherId', bundleItemsCountLimit, {priorityOnly: true});
+      expect(ret2.assets).to.be.empty;
+      expect(ret2.events).to.deep.equal([priorityEvent]);
+    });
   });
 
   describe('Bundle process (aborted)', () => {
@@ -403,6 +531,13 @@ describe('Entity Repository', () => {
     it('should return to state from before bundling initialisation', async () => {
       expect(await storage.fetchEntitiesForBundling(bundleStubId, bundleItemsCountLimit)).to.be.deep.equal(ret);
     });
+
+    it('should release entities of abandoned bundling', async () => {
+      await storage.fetchEntitiesForBundling('abandonedId', bundleItemsCountLimit);
+      await storage.discardAbandonedBundling();
+      expect(await storage.fetchEntitiesForBundling('otherId', bundleItemsCountLimit)).to.be.deep.equal(ret);
+      await storage.discardBundling('otherId');
+    });
   });
 
   describe('Bundle cleanup process', () => {
@@ -476,6 +611,33 @@ describe('Entity Repository', () => {
       });
     });
 
+    describe('Get expired bundles with a grace period', () => {
+      const gracePeriod = 100;
+      const storedAt = 1000;
+      let clock;
+
+      beforeEach(async () => {
+        clock = sinon.useFakeTimers(storedAt * 1000);
+        await storage.storeBundle(put(createBundle(), 'bundleId', 'recentlyStored'));
+        await db.collection('bundles').insertOne(put(createBundle(), 'bundleId', 'storedBeforeTracking'));
+      });
+
+      afterEach(async () => {
+        await cleanDatabase(db);
+        clock.restore();
+      });
+
+      it('skips bundles without holdUntil stored within the grace period', async () => {
+        clock.tick(gracePeriod * 1000);
+        expect(await storage.getExpiredBundleIds(gracePeriod)).to.deep.equal(['storedBeforeTracking']);
+      });
+
+      it('returns bundles without holdUntil stored before the grace period', async () => {
+        clock.tick((gracePeriod + 1) * 1000);
+        expect(await storage.getExpiredBundleIds(gracePeriod)).to.have.members(['recentlyStored', 'storedBeforeTracking']);
+      });
+    });
+
     describe('Deleting bundles', () => {
       const bundleIds = ['bundle1', 'bundle2', 'bundle3'];
 
@@ -494,6 +656,14 @@ describe('Entity Repository', () => {
         expect(await storage.getBundle('bundle1')).to.be.null;
         expect(await storage.getBundle('bundle3')).to.be.null;
       });
+
+      it('bundlesStorageSize decreases after bundles are deleted', async () => {
+        const sizeBefore = await storage.bundlesStorageSize();
+        await storage.deleteBundles(['bundle1', 'bundle3']);
+        const sizeAfter = await storage.bundlesStorageSize();
+        expect(sizeBefore).to.be.above(0);
+        expect(sizeAfter).to.be.below(sizeBefore);
+      });
     });
   });
 });
@@ -10,10 +10,14 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 import chai from 'chai';
 import FailedChallengesCache from '../../src/services/failed_challenges_cache';
 import sinon from 'sinon';
+import {cleanDatabase, connectToMongo} from '../../src/utils/db_utils';
+import config from '../../config/config';
 
 const {expect} = chai;
 
 describe('Failed challenges cache', () => {
+  let db;
+  let client;
   let failedChallengesCache;
   let clock;
   const ttl = 5;
@@ -21,60 +25,81 @@ describe('Failed challenges cache', () => {
   const challengeId1 = 'cid1';
   const challengeId2 = 'cid2';
 
+  before(async () => {
+    ({db, client} = await connectToMongo(config));
+    failedChallengesCache = new FailedChallengesCache(db);
+  });
+
   beforeEach(() => {
     clock = sinon.useFakeTimers(now * 1000);
-    failedChallengesCache = new FailedChallengesCache();
   });
 
-  afterEach(() => {
+  afterEach(async () => {
     clock.restore();
+    await cleanDatabase(db);
   });
 
-  it('failed challenges list should be empty at the beginning', () => {
-    expect(failedChallengesCache.failedChallengesEndTime).to.deep.equal({});
+  after(async () => {
+    client.close();
   });
 
-  it('rememberFailedChallenge should set current timestamp to challengeId', () => {
-    failedChallengesCache.rememberFailedChallenge(challengeId1, ttl);
+  it('rememberFailedChallenge stores the expiration date and the failure reason', async () => {
+    await failedChallengesCache.rememberFailedChallenge(challengeId1, ttl, 'Download failed');
     clock.tick(3000);
-    failedChallengesCache.rememberFailedChallenge(challengeId2, ttl);
-    expect(failedChallengesCache.failedChallengesEndTime).to.deep.equal({
-      [challengeId1]: now + ttl,
-      [challengeId2]: now + ttl + 3
+    await failedChallengesCache.rememberFailedChallenge(challengeId2, ttl);
+    expect(await failedChallengesCache.getFailedChallenge(challengeId1)).to.deep.equal({
+      challengeId: challengeId1,
+      reason: 'Download failed',
+      failedAt: now,
+      expiresAt: new Date((now + ttl) * 1000)
+    });
+    expect(await failedChallengesCache.getFailedChallenge(challengeId2)).to.include({
+      reason: null,
+      failedAt: now + 3
     });
   });
 
+  it('rememberFailedChallenge overrides the previous failure of the same challenge', async () => {
+    await failedChallengesCache.rememberFailedChallenge(challengeId1, ttl, 'First reason');
+    await failedChallengesCache.rememberFailedChallenge(challengeId1, ttl, 'Second reason');
+    expect(await db.collection('failedChallenges').countDocuments({challengeId: challengeId1})).to.equal(1);
+    expect((await failedChallengesCache.getFailedChallenge(challengeId1)).reason).to.equal('Second reason');
+  });
+
   describe('didChallengeFailRecently', () => {
-    it('returns false when challenge is not saved as failed', () => {
-      expect(failedChallengesCache.didChallengeFailRecently(challengeId1)).to.be.false;
+    it('returns false when challenge is not saved as failed', async () => {
+      expect(await failedChallengesCache.didChallengeFailRecently(challengeId1)).to.be.false;
     });
 
     it('returns true when challenge has been saved as failed and ttl has not passed', async () => {
-      failedChallengesCache.rememberFailedChallenge(challengeId1, ttl);
-      expect(failedChallengesCache.didChallengeFailRecently(challengeId1)).to.be.true;
+      await failedChallengesCache.rememberFailedChallenge(challengeId1, ttl);
+      expect(await failedChallengesCache.didChallengeFailRecently(challengeId1)).to.be.true;
     });
 
     it('returns false when challenge has been saved as failed but ttl has passed', async () => {
-      failedChallengesCache.rememberFailedChallenge(challengeId1, ttl);
+      await failedChallengesCache.rememberFailedChallenge(challengeId1, ttl);
       clock.tick(ttl * 1000);
-      expect(failedChallengesCache.didChallengeFailRecently(challengeId1)).to.be.false;
+      expect(await failedChallengesCache.didChallengeFailRecently(challengeId1)).to.be.false;
     });
 
-    it('removes challenge from cache when ttl has passed', async () => {
-      failedChallengesCache.rememberFailedChallenge(challengeId1, ttl);
-      clock.tick(ttl * 1000);
-      failedChallengesCache.didChallengeFailRecently(challengeId1);
-      expect(failedChallengesCache.failedChallengesEndTime).to.deep.equal({});
+    it('shares failed challenges between cache instances', async () => {
+      await failedChallengesCache.rememberFailedChallenge(challengeId1, ttl);
+      expect(await new FailedChallengesCache(db).didChallengeFailRecently(challengeId1)).to.be.true;
     });
   });
 
   it('clearOutdatedChallenges removes all outdated challenges', async () => {
-    failedChallengesCache.rememberFailedChallenge(challengeId1, ttl);
-    failedChallengesCache.rememberFailedChallenge(challengeId2, ttl + 1);
+    await failedChallengesCache.rememberFailedChallenge(challengeId1, ttl);
+    await failedChallengesCache.rememberFailedChallenge(challengeId2, ttl + 1);
     clock.tick(ttl * 1000);
-    failedChallengesCache.clearOutdatedChallenges();
-    expect(failedChallengesCache.failedChallengesEndTime).to.deep.equal({
-      [challengeId2]: now + ttl + 1
-    });
+    await failedChallengesCache.clearOutdatedChallenges();
+    expect(await failedChallengesCache.getFailedChallenge(challengeId1)).to.be.null;
+    expect(await failedChallengesCache.getFailedChallenge(challengeId2)).to.not.be.null;
+  });
+
+  it('creates a TTL index on the expiration date', async () => {
+    await failedChallengesCache.rememberFailedChallenge(challengeId1, ttl);
+    const ttlIndex = (await db.collection('failedChallenges').indexes()).find(({key}) => key.expiresAt === 1);
+    expect(ttlIndex.expireAfterSeconds).to.equal(0);
   });
 });
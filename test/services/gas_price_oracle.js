@@ -0,0 +1,79 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+
+import chai from 'chai';
+import sinon from 'sinon';
+import Web3 from 'web3';
+import GasPriceOracle from '../../src/services/gas_price_oracle';
+
+const {expect} = chai;
+
+describe('Gas Price Oracle', () => {
+  const gwei = (value) => Web3.utils.toWei(value.toString(), 'gwei');
+  const blockWithPrices = (...prices) => ({transactions: prices.map((price) => ({gasPrice: gwei(price)}))});
+  let web3Mock;
+  let oracle;
+
+  beforeEach(() => {
+    web3Mock = {
+      utils: Web3.utils,
+      eth: {
+        getBlockNumber: sinon.stub().resolves(10),
+        getBlock: sinon.stub().resolves(blockWithPrices())
+      }
+    };
+    web3Mock.eth.getBlock.withArgs(10, true).resolves(blockWithPrices(4, 30));
+    web3Mock.eth.getBlock.withArgs(9, true).resolves(blockWithPrices(8));
+    web3Mock.eth.getBlock.withArgs(8, true).resolves(blockWithPrices(10, 12));
+  });
+
+  it('throws on unknown strategy', () => {
+    expect(() => new GasPriceOracle(web3Mock, 'cheapest', 5, 50, 3, 20)).to.throw('Unknown gas price strategy: cheapest');
+  });
+
+  it('throws if the gas price bump is too small for the replacement to be accepted', () => {
+    expect(() => new GasPriceOracle(web3Mock, 'fixed', 5, 50, 3, 9)).to.throw('Gas price bump has to be at least 10%, got: 9');
+  });
+
+  it('returns the default gas price with fixed strategy', async () => {
+    oracle = new GasPriceOracle(web3Mock, 'fixed', 5, 50, 3, 20);
+    expect(await oracle.gasPrice()).to.equal(gwei(5));
+    expect(web3Mock.eth.getBlock).to.not.have.been.called;
+  });
+
+  it('returns the median of gas prices from recent blocks with median strategy', async () => {
+    oracle = new GasPriceOracle(web3Mock, 'median', 5, 50, 3, 20);
+    expect(await oracle.gasPrice()).to.equal(gwei(10));
+    expect(web3Mock.eth.getBlock).to.have.been.calledThrice;
+  });
+
+  it('averages the two middle gas prices for even number of transactions', async () => {
+    oracle = new GasPriceOracle(web3Mock, 'median', 5, 50, 2, 20);
+    expect(await oracle.gasPrice()).to.equal(gwei(8));
+  });
+
+  it('falls back to the default gas price if there were no recent transactions', async () => {
+    web3Mock.eth.getBlockNumber.resolves(20);
+    oracle = new GasPriceOracle(web3Mock, 'median', 5, 50, 3, 20);
+    expect(await oracle.gasPrice()).to.equal(gwei(5));
+  });
+
+  it('does not exceed the ceiling', async () => {
+    oracle = new GasPriceOracle(web3Mock, 'median', 5, 9, 3, 20);
+    expect(await oracle.gasPrice()).to.equal(gwei(9));
+  });
+
+  it('bumps the gas price up to the ceiling', () => {
+    oracle = new GasPriceOracle(web3Mock, 'fixed', 5, 11, 3, 20);
+    expect(oracle.bumpedGasPrice(gwei(5))).to.equal(gwei(6));
+    expect(oracle.bumpedGasPrice(gwei(10))).to.equal(gwei(11));
+    expect(oracle.bumpedGasPrice(gwei(11))).to.be.null;
+  });
+});
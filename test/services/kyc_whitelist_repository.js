@@ -0,0 +1,48 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+
+import chai from 'chai';
+import sinonChai from 'sinon-chai';
+import sinon from 'sinon';
+import KycWhitelistRepository from '../../src/services/kyc_whitelist_repository';
+import {Role} from '../../src/services/roles_repository';
+
+chai.use(sinonChai);
+const {expect} = chai;
+
+describe('KYC whitelist repository', () => {
+  const address = '0xc0ffee';
+  let kycWhitelistWrapperMock;
+  let kycWhitelistRepository;
+
+  beforeEach(() => {
+    kycWhitelistWrapperMock = {
+      isWhitelisted: sinon.stub().resolves(true),
+      hasRoleAssigned: sinon.stub().resolves(false),
+      getRequiredDeposit: sinon.stub().resolves('1000')
+    };
+    kycWhitelistRepository = new KycWhitelistRepository(kycWhitelistWrapperMock);
+  });
+
+  it('isWhitelisted calls wrappers method with correct arguments', async () => {
+    expect(await kycWhitelistRepository.isWhitelisted(address)).to.be.true;
+    expect(kycWhitelistWrapperMock.isWhitelisted).to.be.calledWith(address);
+  });
+
+  it('hasRoleAssigned passes the role index to the wrapper', async () => {
+    expect(await kycWhitelistRepository.hasRoleAssigned(address, Role.HERMES)).to.be.false;
+    expect(kycWhitelistWrapperMock.hasRoleAssigned).to.be.calledWith(address, 2);
+  });
+
+  it('requiredDeposit calls wrappers method with correct arguments', async () => {
+    expect(await kycWhitelistRepository.requiredDeposit(address)).to.equal('1000');
+    expect(kycWhitelistWrapperMock.getRequiredDeposit).to.be.calledWith(address);
+  });
+});
@@ -0,0 +1,158 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+
+import chai from 'chai';
+import sinonChai from 'sinon-chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import NodeOnboarding from '../../src/services/node_onboarding';
+import {Role} from '../../src/services/roles_repository';
+import {ValidationError} from '../../src/errors/errors';
+
+chai.use(chaiAsPromised);
+chai.use(sinonChai);
+const {expect} = chai;
+
+describe('Node onboarding', () => {
+  const address = '0xc0ffee';
+  const url = 'https://node.ambrosus.com';
+  let web3Mock;
+  let rolesRepositoryMock;
+  let kycWhitelistRepositoryMock;
+  let nodeOnboarding;
+
+  beforeEach(() => {
+    web3Mock = {
+      eth: {
+        defaultAccount: address,
+        getBalance: sinon.stub().resolves('20000')
+      }
+    };
+    rolesRepositoryMock = {
+      onboardedRole: sinon.stub().resolves(Role.NONE),
+      canOnboard: sinon.stub().resolves(true),
+      onboardAsAtlas: sinon.stub().resolves(),
+      onboardAsHermes: sinon.stub().resolves(),
+      retire: sinon.stub().resolves(),
+      setNodeUrl: sinon.stub().resolves()
+    };
+    kycWhitelistRepositoryMock = {
+      isWhitelisted: sinon.stub().resolves(true),
+      hasRoleAssigned: sinon.stub().resolves(true),
+      requiredDeposit: sinon.stub().resolves('10000')
+    };
+    nodeOnboarding = new NodeOnboarding(web3Mock, rolesRepositoryMock, kycWhitelistRepositoryMock);
+  });
+
+  describe('status', () => {
+    it('reports role, whitelisting, required stake and balance of the node', async () => {
+      rolesRepositoryMock.onboardedRole.resolves(Role.ATLAS);
+      expect(await nodeOnboarding.status()).to.deep.equal({
+        address,
+        role: 'ATLAS',
+        whitelisted: true,
+        requiredStake: '10000',
+        balance: '20000'
+      });
+    });
+  });
+
+  describe('onboard', () => {
+    it('onboards as atlas', async () => {
+      expect(await nodeOnboarding.onboard(Role.ATLAS, url)).to.deep.equal({address, role: 'ATLAS', url, stake: '10000'});
+      expect(kycWhitelistRepositoryMock.hasRoleAssigned).to.be.calledWith(address, Role.ATLAS);
+      expect(rolesRepositoryMock.canOnboard).to.be.calledWith(address, Role.ATLAS, '10000');
+      expect(rolesRepositoryMock.onboardAsAtlas).to.be.calledOnceWith(address, url, '10000');
+      expect(rolesRepositoryMock.onboardAsHermes).to.be.not.called;
+    });
+
+    it('onboards as hermes without a stake', async () => {
+      web3Mock.eth.getBalance.resolves('0');
+      expect(await nodeOnboarding.onboard(Role.HERMES, url)).to.deep.equal({address, role: 'HERMES', url, stake: '0'});
+      expect(rolesRepositoryMock.canOnboard).to.be.calledWith(address, Role.HERMES, '0');
+      expect(rolesRepositoryMock.onboardAsHermes).to.be.calledOnceWith(address, url);
+      expect(rolesRepositoryMock.onboardAsAtlas).to.be.not.called;
+    });
+
+    it('throws if role cannot be onboarded', async () => {
+      await expect(nodeOnboarding.onboard(Role.APOLLO, url)).to.be.rejectedWith(ValidationError, 'Onboarding as APOLLO is not supported. Expected one of: ATLAS, HERMES');
+    });
+
+    it('throws if url is missing or invalid', async () => {
+      await expect(nodeOnboarding.onboard(Role.ATLAS, undefined)).to.be.rejectedWith(ValidationError);
+      await expect(nodeOnboarding.onboard(Role.ATLAS, 'localhost:9876')).to.be.rejectedWith(ValidationError);
+      expect(rolesRepositoryMock.onboardAsAtlas).to.be.not.called;
+    });
+
+    it('throws if node is already onboarded', async () => {
+      rolesRepositoryMock.onboardedRole.resolves(Role.HERMES);
+      await expect(nodeOnboarding.onboard(Role.ATLAS, url)).to.be.rejectedWith(`Node ${address} is already onboarded as HERMES`);
+    });
+
+    it('throws if node is not whitelisted', async () => {
+      kycWhitelistRepositoryMock.isWhitelisted.resolves(false);
+      await expect(nodeOnboarding.onboard(Role.ATLAS, url)).to.be.rejectedWith(`Node ${address} is not whitelisted`);
+      expect(rolesRepositoryMock.onboardAsAtlas).to.be.not.called;
+    });
+
+    it('throws if node is whitelisted with another role', async () => {
+      kycWhitelistRepositoryMock.hasRoleAssigned.resolves(false);
+      await expect(nodeOnboarding.onboard(Role.ATLAS, url)).to.be.rejectedWith(`Node ${address} is not whitelisted as ATLAS`);
+      expect(rolesRepositoryMock.onboardAsAtlas).to.be.not.called;
+    });
+
+    it('throws if the contracts do not allow onboarding with the required stake', async () => {
+      rolesRepositoryMock.canOnboard.resolves(false);
+      await expect(nodeOnboarding.onboard(Role.ATLAS, url)).to.be.rejectedWith(`Node ${address} cannot be onboarded as ATLAS with a stake of 10000`);
+      expect(rolesRepositoryMock.onboardAsAtlas).to.be.not.called;
+    });
+
+    it('throws if balance does not cover the required stake', async () => {
+      web3Mock.eth.getBalance.resolves('9999');
+      await expect(nodeOnboarding.onboard(Role.ATLAS, url)).to.be.rejectedWith('Onboarding as ATLAS requires a stake of 10000');
+      expect(rolesRepositoryMock.onboardAsAtlas).to.be.not.called;
+    });
+  });
+
+  describe('retire', () => {
+    it('retires from the current role', async () => {
+      rolesRepositoryMock.onboardedRole.resolves(Role.ATLAS);
+      expect(await nodeOnboarding.retire()).to.deep.equal({address, role: 'ATLAS'});
+      expect(rolesRepositoryMock.retire).to.be.calledOnceWith(address, sinon.match((role) => role.is(Role.ATLAS)));
+    });
+
+    it('throws if node is not onboarded', async () => {
+      await expect(nodeOnboarding.retire()).to.be.rejectedWith(`Node ${address} is not onboarded`);
+      expect(rolesRepositoryMock.retire).to.be.not.called;
+    });
+  });
+
+  describe('updateUrl', () => {
+    beforeEach(() => {
+      rolesRepositoryMock.onboardedRole.resolves(Role.HERMES);
+    });
+
+    it('changes the url of the node', async () => {
+      expect(await nodeOnboarding.updateUrl(url)).to.deep.equal({address, role: 'HERMES', url});
+      expect(rolesRepositoryMock.setNodeUrl).to.be.calledOnceWith(address, url);
+    });
+
+    it('throws if url is invalid', async () => {
+      await expect(nodeOnboarding.updateUrl('not a url')).to.be.rejectedWith(ValidationError);
+      expect(rolesRepositoryMock.setNodeUrl).to.be.not.called;
+    });
+
+    it('throws if node role has no url', async () => {
+      rolesRepositoryMock.onboardedRole.resolves(Role.APOLLO);
+      await expect(nodeOnboarding.updateUrl(url)).to.be.rejectedWith('only ATLAS and HERMES nodes have a URL');
+      expect(rolesRepositoryMock.setNodeUrl).to.be.not.called;
+    });
+  });
+});
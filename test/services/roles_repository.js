@@ -11,7 +11,7 @@ import chai from 'chai';
 import sinonChai from 'sinon-chai';
 import chaiAsPromised from 'chai-as-promised';
 import sinon from 'sinon';
-import RolesRepository from '../../src/services/roles_repository';
+import RolesRepository, {Role} from '../../src/services/roles_repository';
 
 chai.use(chaiAsPromised);
 chai.use(sinonChai);
@@ -97,6 +97,12 @@ describe('Roles repository', () => {
       expect(configWrapperMock.atlas1Stake).to.be.calledOnce;
       expect(rolesWrapperMock.onboardAsAtlas).to.be.calledWith(address, stake, url);
     });
+
+    it('sends the provided stake instead of the default one', async () => {
+      await rolesRepository.onboardAsAtlas(address, url, '300');
+      expect(configWrapperMock.atlas1Stake).to.be.not.called;
+      expect(rolesWrapperMock.onboardAsAtlas).to.be.calledWith(address, '300', url);
+    });
   });
 
   describe('onboardAsHermes', () => {
@@ -114,4 +120,88 @@ describe('Roles repository', () => {
       expect(rolesWrapperMock.onboardAsHermes).to.be.calledWith(address, url);
     });
   });
+
+  describe('canOnboard', () => {
+    let canOnboardCallMock;
+
+    beforeEach(async () => {
+      canOnboardCallMock = sinon.stub().resolves(true);
+      rolesWrapperMock = {
+        contract: sinon.stub().resolves({
+          methods: {
+            canOnboard: sinon.stub().returns({call: canOnboardCallMock})
+          }
+        })
+      };
+      rolesRepository = new RolesRepository(rolesWrapperMock);
+    });
+
+    it('asks the contract with the role index and the stake', async () => {
+      expect(await rolesRepository.canOnboard(address, Role.ATLAS, '100')).to.be.true;
+      const rolesContract = await rolesWrapperMock.contract();
+      expect(rolesContract.methods.canOnboard).to.be.calledWith(address, 1, '100');
+    });
+  });
+
+  describe('retire', () => {
+    const receipt = {transactionHash: '0x123'};
+    let rolesContractMock;
+
+    beforeEach(async () => {
+      rolesContractMock = {
+        methods: {
+          retireAtlas: sinon.stub().returns('retireAtlasMethod'),
+          retireHermes: sinon.stub().returns('retireHermesMethod'),
+          retireApollo: sinon.stub().returns('retireApolloMethod')
+        }
+      };
+      rolesWrapperMock = {
+        contract: sinon.stub().resolves(rolesContractMock),
+        processTransaction: sinon.stub().resolves(receipt)
+      };
+      rolesRepository = new RolesRepository(rolesWrapperMock, configWrapperMock);
+    });
+
+    it('sends the retire transaction matching the role', async () => {
+      expect(await rolesRepository.retire(address, Role.ATLAS)).to.equal(receipt);
+      expect(rolesWrapperMock.processTransaction).to.be.calledWith('retireAtlasMethod', {from: address});
+      await rolesRepository.retire(address, Role.HERMES);
+      expect(rolesWrapperMock.processTransaction).to.be.calledWith('retireHermesMethod', {from: address});
+      await rolesRepository.retire(address, Role.APOLLO);
+      expect(rolesWrapperMock.processTransaction).to.be.calledWith('retireApolloMethod', {from: address});
+    });
+
+    it('throws if node has no role', async () => {
+      await expect(rolesRepository.retire(address, Role.NONE)).to.be.rejectedWith('Cannot retire a node with NONE role');
+      expect(rolesWrapperMock.processTransaction).to.be.not.called;
+    });
+  });
+
+  describe('setNodeUrl', () => {
+    const url = 'https://google.com';
+
+    beforeEach(async () => {
+      rolesWrapperMock = {
+        setNodeUrl: sinon.stub().resolves()
+      };
+      rolesRepository = new RolesRepository(rolesWrapperMock, configWrapperMock);
+    });
+
+    it('calls wrappers methods with correct arguments', async () => {
+      await rolesRepository.setNodeUrl(address, url);
+      expect(rolesWrapperMock.setNodeUrl).to.be.calledWith(address, url);
+    });
+  });
+});
+
+describe('Role', () => {
+  it('is created from a case insensitive name', () => {
+    expect(Role.fromName('atlas').is(Role.ATLAS)).to.be.true;
+    expect(Role.fromName('HERMES').is(Role.HERMES)).to.be.true;
+    expect(Role.fromName('Apollo').is(Role.APOLLO)).to.be.true;
+  });
+
+  it('throws on unknown name', () => {
+    expect(() => Role.fromName('validator')).to.throw('Unknown role: validator');
+  });
 });
@@ -0,0 +1,101 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import {cleanDatabase, connectToMongo} from '../../src/utils/db_utils';
+import config from '../../config/config';
+
+import SheltererReputationRepository, {SheltererFailure} from '../../src/services/shelterer_reputation_repository';
+
+const {expect} = chai;
+chai.use(chaiAsPromised);
+
+describe('Shelterer Reputation Repository', () => {
+  const now = 15000000;
+  const sheltererId = '0x789';
+  const otherSheltererId = '0x123';
+  let db;
+  let client;
+  let storage;
+  let clock;
+
+  before(async () => {
+    ({db, client} = await connectToMongo(config));
+    storage = new SheltererReputationRepository(db);
+  });
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(now * 1000);
+  });
+
+  afterEach(async () => {
+    clock.restore();
+    await cleanDatabase(db);
+  });
+
+  after(async () => {
+    client.close();
+  });
+
+  it('returns empty statistics for unknown shelterer', async () => {
+    expect(await storage.getReputation(sheltererId)).to.deep.equal({
+      sheltererId,
+      successfulDownloads: 0,
+      downloadFailures: 0,
+      validationFailures: 0,
+      timeouts: 0,
+      totalLatency: 0,
+      attempts: 0,
+      successRate: null,
+      averageLatency: null
+    });
+  });
+
+  it('computes statistics from recorded downloads', async () => {
+    await storage.recordSuccessfulDownload(sheltererId, 100);
+    await storage.recordSuccessfulDownload(sheltererId, 300);
+    await storage.recordFailedDownload(sheltererId, SheltererFailure.DOWNLOAD);
+    await storage.recordFailedDownload(sheltererId, SheltererFailure.VALIDATION);
+    await storage.recordFailedDownload(sheltererId, SheltererFailure.TIMEOUT);
+    await storage.recordFailedDownload(sheltererId, SheltererFailure.TIMEOUT);
+
+    expect(await storage.getReputation(sheltererId)).to.deep.equal({
+      sheltererId,
+      successfulDownloads: 2,
+      downloadFailures: 1,
+      validationFailures: 1,
+      timeouts: 2,
+      totalLatency: 400,
+      lastDownloadAttempt: now,
+      attempts: 6,
+      successRate: 2 / 6,
+      averageLatency: 200
+    });
+  });
+
+  it('throws when recording an unknown failure', async () => {
+    await expect(storage.recordFailedDownload(sheltererId, 'unknownFailure')).to.be.rejected;
+  });
+
+  it('returns reputations of all or only of requested shelterers', async () => {
+    await storage.recordSuccessfulDownload(sheltererId, 100);
+    await storage.recordFailedDownload(otherSheltererId, SheltererFailure.DOWNLOAD);
+
+    const allReputations = await storage.getReputations();
+    expect(allReputations.map((reputation) => reputation.sheltererId)).to.deep.equal([otherSheltererId, sheltererId]);
+    expect(allReputations[0].successRate).to.equal(0);
+    expect(allReputations[1].successRate).to.equal(1);
+
+    const requestedReputations = await storage.getReputations([sheltererId]);
+    expect(requestedReputations).to.have.length(1);
+    expect(requestedReputations[0].sheltererId).to.equal(sheltererId);
+  });
+});
@@ -0,0 +1,122 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import chaiAsPromised from 'chai-as-promised';
+import TransactionSender from '../../src/services/transaction_sender';
+import {DEFAULT_GAS} from '../../src/utils/web3_tools';
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const {expect} = chai;
+
+describe('Transaction Sender', () => {
+  const from = '0xdeadface';
+  const contractAddress = '0xc0ffee';
+  const nonce = 7;
+  const receipt = {transactionHash: '0x1', blockNumber: 10, status: true};
+  let web3Mock;
+  let gasPriceOracleMock;
+  let contractMock;
+  let methodMock;
+  let sender;
+
+  const promiEvent = (transactionHash) => {
+    const result = Promise.resolve(receipt);
+    result.once = (event, callback) => {
+      callback(transactionHash);
+      return result;
+    };
+    return result;
+  };
+
+  beforeEach(() => {
+    web3Mock = {
+      eth: {
+        getTransactionCount: sinon.stub().resolves(nonce),
+        sendTransaction: sinon.stub(),
+        getTransactionReceipt: sinon.stub().resolves(null),
+        getTransaction: sinon.stub().resolves(null)
+      }
+    };
+    web3Mock.eth.sendTransaction.onFirstCall().returns(promiEvent('0x1'));
+    web3Mock.eth.sendTransaction.onSecondCall().returns(promiEvent('0x2'));
+    gasPriceOracleMock = {
+      gasPrice: sinon.stub().resolves('100'),
+      bumpedGasPrice: sinon.stub().returns('120')
+    };
+    contractMock = {options: {address: contractAddress}};
+    methodMock = {encodeABI: sinon.stub().returns('0xabcd')};
+    sender = new TransactionSender(web3Mock, gasPriceOracleMock, 10, 1);
+  });
+
+  it('sends the transaction with the gas price from the oracle', async () => {
+    web3Mock.eth.getTransactionReceipt.withArgs('0x1').resolves(receipt);
+    expect(await sender.send(contractMock, methodMock, {from, value: '5'})).to.equal(receipt);
+    expect(web3Mock.eth.getTransactionCount).to.have.been.calledOnceWith(from, 'pending');
+    expect(web3Mock.eth.sendTransaction).to.have.been.calledOnceWith({
+      from,
+      to: contractAddress,
+      value: '5',
+      data: '0xabcd',
+      gas: DEFAULT_GAS,
+      nonce,
+      gasPrice: '100'
+    });
+  });
+
+  it('replaces a stuck transaction using the same nonce and a bumped gas price', async () => {
+    web3Mock.eth.getTransactionReceipt.withArgs('0x2').resolves(receipt);
+    expect(await sender.send(contractMock, methodMock, {from})).to.equal(receipt);
+    expect(gasPriceOracleMock.bumpedGasPrice).to.have.been.calledOnceWith('100');
+    expect(web3Mock.eth.sendTransaction).to.have.been.calledTwice;
+    expect(web3Mock.eth.sendTransaction.secondCall.args[0]).to.include({nonce, gasPrice: '120'});
+  });
+
+  const rejectedPromiEvent = (message) => () => {
+    const result = Promise.reject(new Error(message));
+    result.once = () => result;
+    return result;
+  };
+
+  it('keeps waiting for the replaced transaction if the replacement was refused because it has been mined', async () => {
+    web3Mock.eth.sendTransaction.onSecondCall().callsFake(rejectedPromiEvent('nonce too low'));
+    web3Mock.eth.getTransactionReceipt.callsFake(async (transactionHash) => (transactionHash === '0x1' && web3Mock.eth.sendTransaction.calledTwice ? receipt : null));
+    expect(await sender.send(contractMock, methodMock, {from})).to.equal(receipt);
+  });
+
+  it('throws when the replacement was refused for another reason', async () => {
+    web3Mock.eth.sendTransaction.onSecondCall().callsFake(rejectedPromiEvent('replacement transaction underpriced'));
+    await expect(sender.send(contractMock, methodMock, {from})).to.be.rejectedWith('replacement transaction underpriced');
+  });
+
+  it('keeps waiting for the pending transaction when the gas price cannot be bumped any more', async () => {
+    gasPriceOracleMock.bumpedGasPrice.returns(null);
+    web3Mock.eth.getTransaction.withArgs('0x1').resolves({hash: '0x1'});
+    // mined only after several rounds of waiting
+    const receiptRequests = web3Mock.eth.getTransactionReceipt.withArgs('0x1');
+    receiptRequests.onCall(30).resolves(receipt);
+    expect(await sender.send(contractMock, methodMock, {from})).to.equal(receipt);
+    expect(web3Mock.eth.sendTransaction).to.have.been.calledOnce;
+    expect(web3Mock.eth.getTransaction).to.have.been.calledWith('0x1');
+  });
+
+  it('throws when the gas price cannot be bumped any more and the transactions were dropped', async () => {
+    gasPriceOracleMock.bumpedGasPrice.returns(null);
+    await expect(sender.send(contractMock, methodMock, {from})).to.be.rejectedWith('Transaction 0x1 was not mined with the maximum gas price');
+  });
+
+  it('throws when the transaction was reverted', async () => {
+    web3Mock.eth.getTransactionReceipt.withArgs('0x1').resolves({...receipt, status: false});
+    await expect(sender.send(contractMock, methodMock, {from})).to.be.rejectedWith('Transaction 0x1 has been reverted');
+  });
+});
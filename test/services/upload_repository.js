@@ -13,7 +13,7 @@ import UploadRepository from '../../src/services/upload_repository';
 import sinonChai from 'sinon-chai';
 import chaiAsPromised from 'chai-as-promised';
 import {createBundle} from '../fixtures/assets_events';
-import {ValidationError} from '../../src/errors/errors';
+import {PermanentUploadError, ValidationError} from '../../src/errors/errors';
 
 chai.use(sinonChai);
 chai.use(chaiAsPromised);
@@ -29,16 +29,28 @@ describe('Upload repository', () => {
   let uploadRepository;
   let identityManagerMock;
   let web3Mock;
+  let uploadsWrapperMock;
+  let transactionSenderMock;
 
   describe('Upload bundle', async () => {
     const storagePeriods = 3;
     const fee = '100';
     const tooSmallBalance = '99';
     const exampleAddress = '0xdeadface';
+    const registerBundleMethod = {};
+    const uploadsContractMock = {
+      methods: {
+        registerBundle: sinon.stub().returns(registerBundleMethod)
+      }
+    };
 
     beforeEach(async () => {
-      uploadsActionsMock = {
-        uploadBundle: sinon.stub()
+      uploadsActionsMock = {};
+      uploadsWrapperMock = {
+        contract: sinon.stub().resolves(uploadsContractMock)
+      };
+      transactionSenderMock = {
+        send: sinon.stub().resolves({blockNumber: 10, transactionHash: '0x1', status: true})
       };
       rolesWrapperMock = {
         onboardedRole: sinon.stub().resolves('2')
@@ -57,7 +69,7 @@ describe('Upload repository', () => {
           getBalance: sinon.stub().resolves(fee)
         }
       };
-      uploadRepository = new UploadRepository(web3Mock, identityManagerMock, uploadsActionsMock, shelteringWrapperMock, rolesWrapperMock, feesWrapperMock);
+      uploadRepository = new UploadRepository(web3Mock, identityManagerMock, uploadsActionsMock, shelteringWrapperMock, rolesWrapperMock, feesWrapperMock, {}, '0', uploadsWrapperMock, transactionSenderMock);
     });
 
     it('calls wrappers methods with correct arguments', async () => {
@@ -67,12 +79,18 @@ describe('Upload repository', () => {
       expect(rolesWrapperMock.onboardedRole).to.be.calledOnceWith(exampleAddress);
       expect(identityManagerMock.nodeAddress).to.have.been.called;
       expect(shelteringWrapperMock.getBundleUploader).to.have.been.calledOnceWith(bundleId);
-      expect(uploadsActionsMock.uploadBundle).to.be.calledOnceWith(bundleId, storagePeriods);
+      expect(uploadsContractMock.methods.registerBundle).to.be.calledWith(bundleId, storagePeriods);
+      expect(transactionSenderMock.send).to.be.calledOnceWith(uploadsContractMock, registerBundleMethod, {from: exampleAddress, value: fee});
+    });
+
+    it('returns the proof of the upload', async () => {
+      expect(await uploadRepository.uploadBundle(bundleId, storagePeriods)).to.deep.equal({blockNumber: 10, transactionHash: '0x1'});
     });
 
     it('throws if not enough funds', async () => {
       web3Mock.eth.getBalance.resolves(tooSmallBalance);
       await expect(uploadRepository.uploadBundle(bundleId, storagePeriods)).to.be.eventually.rejected;
+      expect(transactionSenderMock.send).to.be.not.called;
     });
 
     it('throws if not onboarded as hermes', async () => {
@@ -82,7 +100,7 @@ describe('Upload repository', () => {
 
     it('throws if bundle was already uploaded', async () => {
       shelteringWrapperMock.getBundleUploader.resolves('0x1234');
-      await expect(uploadRepository.uploadBundle(bundleId, storagePeriods)).to.be.eventually.rejected;
+      await expect(uploadRepository.uploadBundle(bundleId, storagePeriods)).to.be.eventually.rejectedWith(PermanentUploadError);
     });
   });
 
@@ -102,6 +120,22 @@ describe('Upload repository', () => {
     });
   });
 
+  describe('feeForUpload', async () => {
+    const fee = '100';
+
+    beforeEach(async () => {
+      feesWrapperMock = {
+        feeForUpload: sinon.stub().resolves(fee)
+      };
+      uploadRepository = new UploadRepository({}, {}, {}, {}, {}, feesWrapperMock);
+    });
+
+    it('calls wrappers methods with correct arguments', async () => {
+      expect(await uploadRepository.feeForUpload(3)).to.equal(fee);
+      expect(feesWrapperMock.feeForUpload).to.be.calledOnceWith(3);
+    });
+  });
+
   describe('isSheltering', async () => {
     beforeEach(async () => {
       shelteringWrapperMock = {
@@ -130,6 +164,32 @@ describe('Upload repository', () => {
       expect(await uploadRepository.expirationDate(bundleId)).to.equal(expirationDate);
       expect(shelteringWrapperMock.shelteringExpirationDate).to.be.calledOnceWith(bundleId);
     });
+
+    it('parses the expiration date returned as a string by the contract', async () => {
+      shelteringWrapperMock.shelteringExpirationDate.resolves('123');
+      expect(await uploadRepository.expirationDate(bundleId)).to.equal(expirationDate);
+    });
+  });
+
+  describe('bundleUploader', async () => {
+    const uploader = '0x1234';
+
+    beforeEach(async () => {
+      shelteringWrapperMock = {
+        getBundleUploader: sinon.stub().resolves(uploader)
+      };
+      uploadRepository = new UploadRepository({}, {}, {}, shelteringWrapperMock);
+    });
+
+    it('returns the address of the uploader', async () => {
+      expect(await uploadRepository.bundleUploader(bundleId)).to.equal(uploader);
+      expect(shelteringWrapperMock.getBundleUploader).to.be.calledOnceWith(bundleId);
+    });
+
+    it('returns null if bundle was not uploaded', async () => {
+      shelteringWrapperMock.getBundleUploader.resolves('0x0000000000000000000000000000000000000000');
+      expect(await uploadRepository.bundleUploader(bundleId)).to.be.null;
+    });
   });
 
   describe('bundleItemsCountLimit', async () => {
@@ -156,8 +216,11 @@ describe('Upload repository', () => {
       configWrapperMock = {
         bundleSizeLimit: sinon.stub()
       };
+      shelteringWrapperMock = {
+        getBundleUploader: sinon.stub().resolves('0x1234')
+      };
 
-      uploadRepository = new UploadRepository({}, {}, {}, {}, {}, {}, configWrapperMock);
+      uploadRepository = new UploadRepository({}, {}, {}, shelteringWrapperMock, {}, {}, configWrapperMock);
     });
 
     it('passes for proper bundle', async () => {
@@ -169,5 +232,12 @@ describe('Upload repository', () => {
       configWrapperMock.bundleSizeLimit.resolves(2);
       await expect(uploadRepository.verifyBundle(downloadedBundle)).to.be.rejectedWith(ValidationError, 'Bundle size surpasses the limit');
     });
+
+    it('throws if downloaded bundle was not uploaded to the blockchain', async () => {
+      configWrapperMock.bundleSizeLimit.resolves(5);
+      shelteringWrapperMock.getBundleUploader.resolves('0x0');
+      await expect(uploadRepository.verifyBundle(downloadedBundle)).to.be.rejectedWith(ValidationError, 'Bundle is not registered on chain');
+      expect(shelteringWrapperMock.getBundleUploader).to.be.calledOnceWith(downloadedBundle.bundleId);
+    });
   });
 });
@@ -9,10 +9,12 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 
 import chai from 'chai';
 import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
 import {cleanDatabase, connectToMongo} from '../../src/utils/db_utils';
 import config from '../../config/config';
 
 import WorkerTaskTrackingRepository from '../../src/services/worker_task_tracking_repository';
+import {WorkInProgressError} from '../../src/errors/errors';
 
 const {expect} = chai;
 chai.use(chaiAsPromised);
@@ -68,4 +70,45 @@ describe('Worker Log Repository', () => {
     await expect(storage.finishWork(fakeTaskId)).to.be.fulfilled;
     await expect(storage.tryToBeginWork(exampleTaskType)).to.be.rejectedWith('Work of this type is currently in progress');
   });
+
+  describe('with lease', () => {
+    const leaseDuration = 1000;
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({now: 15000000000, toFake: ['Date']});
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('does not allow to begin task before the lease expires', async () => {
+      await storage.tryToBeginWork(exampleTaskType, leaseDuration);
+      clock.tick(leaseDuration - 1);
+      await expect(storage.tryToBeginWork(exampleTaskType, leaseDuration)).to.be.rejectedWith(WorkInProgressError);
+    });
+
+    it('takes over the task after the lease expires', async () => {
+      const workId = await storage.tryToBeginWork(exampleTaskType, leaseDuration);
+      clock.tick(leaseDuration);
+      const takenOverWorkId = await expect(storage.tryToBeginWork(exampleTaskType, leaseDuration)).to.be.fulfilled;
+      expect(takenOverWorkId).to.not.deep.equal(workId);
+      await expect(storage.refreshWork(workId, leaseDuration)).to.be.rejectedWith('The lease of the work has been lost');
+    });
+
+    it('refreshing extends the lease', async () => {
+      const workId = await storage.tryToBeginWork(exampleTaskType, leaseDuration);
+      clock.tick(leaseDuration - 1);
+      await storage.refreshWork(workId, leaseDuration);
+      clock.tick(leaseDuration - 1);
+      await expect(storage.tryToBeginWork(exampleTaskType, leaseDuration)).to.be.rejectedWith(WorkInProgressError);
+    });
+
+    it('task without lease never expires', async () => {
+      await storage.tryToBeginWork(exampleTaskType);
+      clock.tick(leaseDuration * 1000);
+      await expect(storage.tryToBeginWork(exampleTaskType, leaseDuration)).to.be.rejectedWith(WorkInProgressError);
+    });
+  });
 });
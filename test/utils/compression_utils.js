@@ -0,0 +1,38 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import {compress, decompress, supportedEncodings} from '../../src/utils/compression_utils';
+
+chai.use(chaiAsPromised);
+const {expect} = chai;
+
+describe('Compression utils', () => {
+  const data = JSON.stringify({content: 'abc'.repeat(100)});
+
+  it('supports at least gzip and deflate, in order of preference', () => {
+    expect(supportedEncodings).to.include.members(['gzip', 'deflate']);
+    expect(supportedEncodings.indexOf('gzip')).to.be.below(supportedEncodings.indexOf('deflate'));
+  });
+
+  it('decompresses what was compressed', async () => {
+    for (const encoding of supportedEncodings) {
+      const compressed = await compress(data, encoding);
+      expect(compressed.length).to.be.below(data.length);
+      expect((await decompress(compressed, encoding)).toString()).to.equal(data);
+    }
+  });
+
+  it('throws on unsupported encoding', async () => {
+    await expect(compress(data, 'lzma')).to.be.rejectedWith('Unsupported encoding: lzma');
+    await expect(decompress(data, 'lzma')).to.be.rejectedWith('Unsupported encoding: lzma');
+  });
+});
@@ -7,8 +7,15 @@ This Source Code Form is subject to the terms of the Mozilla Public License, v.
 This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
 */
 
-import {expect} from 'chai';
-import {createMongoUrl, mongoObjectSize} from '../../src/utils/db_utils';
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import chaiAsPromised from 'chai-as-promised';
+import {createMongoUrl, mongoObjectSize, runInTransaction} from '../../src/utils/db_utils';
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const {expect} = chai;
 
 describe('createMongoUrl', () => {
   it('parses config with credentials and replica set', () => {
@@ -57,3 +64,38 @@ describe('mongoObjectSize', () => {
     expect(mongoObjectSize({foo: 1, bar: 3})).to.equal(23);
   });
 });
+
+describe('runInTransaction', () => {
+  let mockSession;
+  let mockClient;
+
+  beforeEach(() => {
+    mockSession = {
+      startTransaction: sinon.stub(),
+      commitTransaction: sinon.stub().resolves(),
+      abortTransaction: sinon.stub().resolves(),
+      inTransaction: sinon.stub().returns(true),
+      endSession: sinon.stub()
+    };
+    mockClient = {
+      startSession: sinon.stub().returns(mockSession)
+    };
+  });
+
+  it('runs callback with session inside a transaction and commits', async () => {
+    const callback = sinon.stub().resolves();
+    await runInTransaction(mockClient, callback);
+    expect(mockSession.startTransaction).to.have.been.calledBefore(callback);
+    expect(callback).to.have.been.calledWith(mockSession);
+    expect(mockSession.commitTransaction).to.have.been.calledAfter(callback);
+    expect(mockSession.endSession).to.have.been.called;
+  });
+
+  it('aborts the transaction and rethrows if callback fails', async () => {
+    const callback = sinon.stub().rejects(new Error('failed'));
+    await expect(runInTransaction(mockClient, callback)).to.be.rejectedWith('failed');
+    expect(mockSession.commitTransaction).to.not.have.been.called;
+    expect(mockSession.abortTransaction).to.have.been.called;
+    expect(mockSession.endSession).to.have.been.called;
+  });
+});
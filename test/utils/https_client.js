@@ -10,6 +10,9 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 import chai from 'chai';
 import sinonChai from 'sinon-chai';
 import chaiAsPromised from 'chai-as-promised';
+import http from 'http';
+import crypto from 'crypto';
+import zlib from 'zlib';
 
 import HttpsClient from '../../src/utils/https_client';
 import {NotFoundError, PermissionError, ValidationError, AuthenticationError} from '../../src/errors/errors';
@@ -52,4 +55,87 @@ describe('Https client', () => {
       expect(() => httpsClient.validateIncomingStatusCode(500, url)).to.throw(Error);
     });
   });
+
+  describe('bounded get', () => {
+    const body = {content: 'x'.repeat(100)};
+    const serializedBody = JSON.stringify(body);
+    let server;
+    let serverUrl;
+    let handler;
+
+    before(async () => {
+      server = http.createServer((req, res) => handler(req, res));
+      await new Promise((resolve) => server.listen(0, 'localhost', resolve));
+      serverUrl = `http://localhost:${server.address().port}`;
+    });
+
+    beforeEach(async () => {
+      httpsClient = new HttpsClient(1000, 500, 500);
+      handler = (req, res) => res.end(serializedBody);
+    });
+
+    after(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it('returns parsed body with status code', async () => {
+      handler = (req, res) => {
+        res.statusCode = 404;
+        res.end(serializedBody);
+      };
+      expect(await httpsClient.performBoundedHTTPSGet(serverUrl, '/bundle/1')).to.deep.equal({body, statusCode: 404});
+    });
+
+    it('accepts gzip and deflate encoded responses', async () => {
+      handler = (req, res) => {
+        res.setHeader('Content-Encoding', 'gzip');
+        res.end(zlib.gzipSync(serializedBody));
+      };
+      expect((await httpsClient.performBoundedHTTPSGet(serverUrl, '/bundle/1')).body).to.deep.equal(body);
+      handler = (req, res) => {
+        res.setHeader('Content-Encoding', 'deflate');
+        res.end(zlib.deflateSync(serializedBody));
+      };
+      expect((await httpsClient.performBoundedHTTPSGet(serverUrl, '/bundle/1')).body).to.deep.equal(body);
+    });
+
+    it('rejects when the declared content length exceeds the limit', async () => {
+      handler = (req, res) => {
+        res.setHeader('Content-Length', 2000);
+        res.write('{');
+      };
+      await expect(httpsClient.performBoundedHTTPSGet(serverUrl, '/bundle/1')).to.be.rejected
+        .and.eventually.have.property('code', 'EBODYTOOLARGE');
+    });
+
+    it('rejects when the decompressed body exceeds the limit', async () => {
+      handler = (req, res) => {
+        res.setHeader('Content-Encoding', 'gzip');
+        res.end(zlib.gzipSync(JSON.stringify({content: 'x'.repeat(5000)})));
+      };
+      await expect(httpsClient.performBoundedHTTPSGet(serverUrl, '/bundle/1')).to.be.rejected
+        .and.eventually.have.property('code', 'EBODYTOOLARGE');
+    });
+
+    it('rejects with a timeout error when the server stops sending data', async () => {
+      handler = (req, res) => res.write('{');
+      await expect(httpsClient.performBoundedHTTPSGet(serverUrl, '/bundle/1')).to.be.rejected
+        .and.eventually.have.property('code', 'ETIMEDOUT');
+    });
+
+    it('rejects when the connection is closed in the middle of a compressed body', async () => {
+      const compressedBody = zlib.gzipSync(JSON.stringify({content: crypto.randomBytes(300).toString('hex')}));
+      handler = (req, res) => {
+        res.setHeader('Content-Encoding', 'gzip');
+        res.write(compressedBody.slice(0, compressedBody.length / 2), () => res.destroy());
+      };
+      await expect(httpsClient.performBoundedHTTPSGet(serverUrl, '/bundle/1')).to.be.rejected
+        .and.eventually.have.property('code', 'ECONNRESET');
+    });
+
+    it('rejects when the body is not a valid JSON', async () => {
+      handler = (req, res) => res.end('not a json');
+      await expect(httpsClient.performBoundedHTTPSGet(serverUrl, '/bundle/1')).to.be.rejectedWith(SyntaxError);
+    });
+  });
 });
@@ -0,0 +1,83 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import {expect} from 'chai';
+import {calculateMerkleProof, calculateMerkleRoot} from '../../src/utils/merkle_tree';
+import verifyMerkleProof from '../helpers/merkle_proofs';
+
+describe('Merkle tree', () => {
+  const hashNodes = (nodes) => `(${nodes.join('+')})`;
+
+  describe('calculateMerkleRoot', () => {
+    it('hashes an empty list for no leaves', () => {
+      expect(calculateMerkleRoot([], hashNodes)).to.equal('()');
+    });
+
+    it('returns the leaf itself for a single leaf', () => {
+      expect(calculateMerkleRoot(['a'], hashNodes)).to.equal('a');
+    });
+
+    it('hashes pairs of nodes level by level', () => {
+      expect(calculateMerkleRoot(['a', 'b', 'c', 'd'], hashNodes)).to.equal('((a+b)+(c+d))');
+    });
+
+    it('promotes a node without sibling to the next level', () => {
+      expect(calculateMerkleRoot(['a', 'b', 'c'], hashNodes)).to.equal('((a+b)+c)');
+      expect(calculateMerkleRoot(['a', 'b', 'c', 'd', 'e'], hashNodes)).to.equal('(((a+b)+(c+d))+e)');
+    });
+  });
+
+  describe('calculateMerkleProof', () => {
+    it('returns siblings on the way to the root', () => {
+      expect(calculateMerkleProof(['a', 'b', 'c', 'd'], 2, hashNodes)).to.deep.equal([
+        {hash: 'd', position: 'right'},
+        {hash: '(a+b)', position: 'left'}
+      ]);
+    });
+
+    it('skips levels where the node has no sibling', () => {
+      expect(calculateMerkleProof(['a', 'b', 'c'], 2, hashNodes)).to.deep.equal([
+        {hash: '(a+b)', position: 'left'}
+      ]);
+    });
+
+    it('returns empty path for a single leaf', () => {
+      expect(calculateMerkleProof(['a'], 0, hashNodes)).to.deep.equal([]);
+    });
+  });
+
+  describe('verifyMerkleProof', () => {
+    const leavesOfSize = (size) => [...Array(size).keys()].map((inx) => `leaf${inx}`);
+
+    it('accepts proofs for every leaf of trees of different sizes', () => {
+      for (let size = 1; size <= 9; size++) {
+        const leaves = leavesOfSize(size);
+        const root = calculateMerkleRoot(leaves, hashNodes);
+        leaves.forEach((leaf, inx) => {
+          const path = calculateMerkleProof(leaves, inx, hashNodes);
+          expect(verifyMerkleProof(leaf, path, root, hashNodes)).to.be.true;
+        });
+      }
+    });
+
+    it('rejects proof for a different leaf', () => {
+      const leaves = leavesOfSize(5);
+      const root = calculateMerkleRoot(leaves, hashNodes);
+      const path = calculateMerkleProof(leaves, 1, hashNodes);
+      expect(verifyMerkleProof('leaf2', path, root, hashNodes)).to.be.false;
+    });
+
+    it('rejects tampered path', () => {
+      const leaves = leavesOfSize(4);
+      const root = calculateMerkleRoot(leaves, hashNodes);
+      const [first, second] = calculateMerkleProof(leaves, 0, hashNodes);
+      expect(verifyMerkleProof('leaf0', [{...first, position: 'left'}, second], root, hashNodes)).to.be.false;
+    });
+  });
+});
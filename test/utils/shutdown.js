@@ -0,0 +1,77 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import chaiAsPromised from 'chai-as-promised';
+import {shutdown, ShutdownExitCode} from '../../src/utils/shutdown';
+
+chai.use(sinonChai);
+chai.use(chaiAsPromised);
+const {expect} = chai;
+
+describe('Shutdown', () => {
+  const timeout = 1000;
+  let workers;
+  let mongoClientMock;
+  let loggerMock;
+
+  const createWorkerMock = (started = true) => ({
+    started,
+    stop: sinon.stub().resolves()
+  });
+
+  beforeEach(() => {
+    workers = [createWorkerMock(), createWorkerMock()];
+    mongoClientMock = {
+      close: sinon.stub().resolves()
+    };
+    loggerMock = {
+      info: sinon.stub(),
+      error: sinon.stub()
+    };
+  });
+
+  it('stops started workers and closes the mongo client', async () => {
+    const notStartedWorker = createWorkerMock(false);
+    expect(await shutdown([...workers, notStartedWorker], mongoClientMock, loggerMock, timeout)).to.equal(ShutdownExitCode.SUCCESS);
+    expect(workers[0].stop).to.have.been.calledOnce;
+    expect(workers[1].stop).to.have.been.calledOnce;
+    expect(notStartedWorker.stop).to.not.have.been.called;
+    expect(mongoClientMock.close).to.have.been.calledAfter(workers[1].stop);
+  });
+
+  it('returns failure exit code if a worker fails to stop', async () => {
+    workers[1].stop.rejects(new Error('Oops'));
+    expect(await shutdown(workers, mongoClientMock, loggerMock, timeout)).to.equal(ShutdownExitCode.FAILURE);
+    expect(loggerMock.error).to.have.been.calledOnce;
+  });
+
+  describe('when work in progress takes too long', () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('returns timeout exit code without waiting any longer', async () => {
+      workers[0].stop.returns(new Promise(() => {}));
+      const result = shutdown(workers, mongoClientMock, loggerMock, timeout);
+      clock.tick(timeout);
+      expect(await result).to.equal(ShutdownExitCode.TIMEOUT);
+      expect(mongoClientMock.close).to.not.have.been.called;
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import ApolloWorker from '../../src/workers/apollo_worker';
+import {Role} from '../../src/services/roles_repository';
+
+chai.use(sinonChai);
+const {expect} = chai;
+
+describe('Apollo Worker', () => {
+  const interval = 1000;
+  const inspectedBlocksCount = 3;
+  const nodeAddress = '0xAbCd';
+  const otherAddress = '0x1234';
+  let mockWeb3;
+  let mockRolesRepository;
+  let mockWorkerLogRepository;
+  let mockLogger;
+  let apolloWorker;
+
+  beforeEach(() => {
+    const blocks = {
+      8: {miner: otherAddress},
+      9: {miner: '0xabcd'},
+      10: {miner: nodeAddress}
+    };
+    mockWeb3 = {
+      eth: {
+        defaultAccount: nodeAddress,
+        getBlockNumber: sinon.stub().resolves(10),
+        getBlock: sinon.stub().callsFake(async (blockNumber) => blocks[blockNumber]),
+        getBalance: sinon.stub().resolves('1000'),
+        isSyncing: sinon.stub().resolves(false)
+      }
+    };
+    mockRolesRepository = {
+      onboardedRole: sinon.stub().resolves(Role.APOLLO)
+    };
+    mockWorkerLogRepository = {
+      storeLog: sinon.stub()
+    };
+    mockLogger = {
+      info: sinon.stub(),
+      error: sinon.stub()
+    };
+    apolloWorker = new ApolloWorker(mockWeb3, mockRolesRepository, mockWorkerLogRepository, interval, inspectedBlocksCount, mockLogger);
+  });
+
+  it('uses the provided interval', () => {
+    expect(apolloWorker.interval).to.equal(interval);
+  });
+
+  it('checks the role of the node account', async () => {
+    await apolloWorker.periodicWork();
+    expect(mockRolesRepository.onboardedRole).to.have.been.calledOnceWith(nodeAddress);
+  });
+
+  it('logs the status of the node', async () => {
+    await apolloWorker.periodicWork();
+    expect(mockWorkerLogRepository.storeLog).to.have.been.calledOnceWith(sinon.match({
+      message: 'Apollo status',
+      latestBlockNumber: 10,
+      syncing: false,
+      balance: '1000',
+      sealedBlocksCount: 2
+    }));
+  });
+
+  it('inspects only the configured number of latest blocks', async () => {
+    await apolloWorker.periodicWork();
+    expect(mockWeb3.eth.getBlock).to.have.been.calledThrice;
+    expect(mockWeb3.eth.getBlock).to.have.been.calledWith(8);
+    expect(mockWeb3.eth.getBlock).to.have.been.calledWith(10);
+  });
+
+  it('does not inspect blocks before the genesis block', async () => {
+    mockWeb3.eth.getBlockNumber.resolves(1);
+    await apolloWorker.periodicWork();
+    expect(mockWeb3.eth.getBlock).to.have.been.calledTwice;
+    expect(mockWeb3.eth.getBlock).to.have.been.calledWith(0);
+    expect(mockWorkerLogRepository.storeLog).to.have.been.calledWith(sinon.match({sealedBlocksCount: 0}));
+  });
+
+  it('reports syncing when the client is behind the highest block', async () => {
+    mockWeb3.eth.isSyncing.resolves({currentBlock: 5, highestBlock: 10});
+    await apolloWorker.periodicWork();
+    expect(mockWorkerLogRepository.storeLog).to.have.been.calledWith(sinon.match({syncing: true}));
+  });
+
+  it('only logs a warning when the node is no longer onboarded as apollo', async () => {
+    mockRolesRepository.onboardedRole.resolves(Role.NONE);
+    await apolloWorker.periodicWork();
+    expect(mockWorkerLogRepository.storeLog).to.have.been.calledOnceWith(sinon.match({message: 'Node is no longer onboarded as APOLLO', role: 'NONE'}));
+    expect(mockWeb3.eth.getBlockNumber).to.not.have.been.called;
+  });
+});
@@ -0,0 +1,147 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import Web3 from 'web3';
+import EconomicStrategy from '../../../src/workers/atlas_strategies/economic_strategy';
+import AtlasChallengeParticipationStrategy from '../../../src/workers/atlas_strategies/atlas_challenge_resolution_strategy';
+import {createBundle} from '../../fixtures/assets_events';
+
+chai.use(sinonChai);
+const {expect} = chai;
+
+describe('Economic strategy', () => {
+  const config = {
+    economicStrategyMaxStoragePeriods: 4,
+    economicStrategyDiskBudget: 1000000,
+    economicStrategyMaxBundleSize: 10000,
+    economicStrategyMinRewardToCostRatio: 1.5,
+    economicStrategyResolutionGas: 200000,
+    economicStrategyMinSheltererSuccessRate: 0.5,
+    economicStrategyMinSheltererAttempts: 5,
+    defaultGasPrice: 5
+  };
+  // resolution costs 5 gwei * 200000 gas = 10^15 wei, so the reward has to be at least 1.5 * 10^15 wei
+  const uploadFee = '4000000000000000';
+  const challenge = {challengeId: '0xc0ffee', bundleId: '0xbeef', sheltererId: '0x123', count: '2'};
+
+  const web3 = {utils: Web3.utils};
+  let mockDataModelEngine;
+  let mockUploadRepository;
+  let mockEntityRepository;
+  let mockSheltererReputationRepository;
+  let strategy;
+
+  beforeEach(() => {
+    mockDataModelEngine = {
+      downloadBundleMetadata: sinon.stub().resolves({bundleId: challenge.bundleId, storagePeriods: 2})
+    };
+    mockUploadRepository = {
+      feeForUpload: sinon.stub().resolves(uploadFee)
+    };
+    mockEntityRepository = {
+      bundlesStorageSize: sinon.stub().resolves(1000)
+    };
+    mockSheltererReputationRepository = {
+      getReputation: sinon.stub().resolves({sheltererId: challenge.sheltererId, attempts: 10, successRate: 0.9}),
+      getReputations: sinon.stub().resolves([])
+    };
+    strategy = new EconomicStrategy({
+      config,
+      web3,
+      dataModelEngine: mockDataModelEngine,
+      uploadRepository: mockUploadRepository,
+      entityRepository: mockEntityRepository,
+      sheltererReputationRepository: mockSheltererReputationRepository
+    });
+  });
+
+  it('is an Atlas challenge participation strategy', () => {
+    expect(strategy).to.be.instanceOf(AtlasChallengeParticipationStrategy);
+  });
+
+  describe('shouldFetchBundle', () => {
+    it('returns true when the reward outweighs the resolution cost', async () => {
+      expect(await strategy.shouldFetchBundle(challenge)).to.be.true;
+      expect(mockDataModelEngine.downloadBundleMetadata).to.have.been.calledWith(challenge.bundleId, challenge.sheltererId);
+      expect(mockUploadRepository.feeForUpload).to.have.been.calledWith(2);
+    });
+
+    it('returns false when the reward share is too small', async () => {
+      expect(await strategy.shouldFetchBundle({...challenge, count: '3'})).to.be.false;
+    });
+
+    it('returns false when the bundle has to be stored for too many periods', async () => {
+      mockDataModelEngine.downloadBundleMetadata.resolves({bundleId: challenge.bundleId, storagePeriods: 5});
+      expect(await strategy.shouldFetchBundle(challenge)).to.be.false;
+      expect(mockUploadRepository.feeForUpload).to.not.have.been.called;
+    });
+
+    it('returns false when the storage periods of the bundle are unknown', async () => {
+      mockDataModelEngine.downloadBundleMetadata.resolves({bundleId: challenge.bundleId});
+      expect(await strategy.shouldFetchBundle(challenge)).to.be.false;
+    });
+
+    it('returns false without asking the shelterer when the shelterer is unreliable', async () => {
+      mockSheltererReputationRepository.getReputation.resolves({sheltererId: challenge.sheltererId, attempts: 10, successRate: 0.4});
+      expect(await strategy.shouldFetchBundle(challenge)).to.be.false;
+      expect(mockSheltererReputationRepository.getReputation).to.have.been.calledWith(challenge.sheltererId);
+      expect(mockDataModelEngine.downloadBundleMetadata).to.not.have.been.called;
+    });
+
+    it('gives shelterers with few download attempts the benefit of the doubt', async () => {
+      mockSheltererReputationRepository.getReputation.resolves({sheltererId: challenge.sheltererId, attempts: 4, successRate: 0});
+      expect(await strategy.shouldFetchBundle(challenge)).to.be.true;
+    });
+
+    it('returns false without asking the shelterer when the disk budget is used up', async () => {
+      mockEntityRepository.bundlesStorageSize.resolves(config.economicStrategyDiskBudget);
+      expect(await strategy.shouldFetchBundle(challenge)).to.be.false;
+      expect(mockDataModelEngine.downloadBundleMetadata).to.not.have.been.called;
+    });
+  });
+
+  describe('prioritiseChallenges', () => {
+    const challengeFromReliable = {challengeId: '1', sheltererId: 'reliable', blockNumber: 3};
+    const challengeFromUnreliable = {challengeId: '2', sheltererId: 'unreliable', blockNumber: 1};
+    const challengeFromUnknown = {challengeId: '3', sheltererId: 'unknown', blockNumber: 2};
+    const olderChallengeFromReliable = {challengeId: '4', sheltererId: 'reliable', blockNumber: 2};
+
+    beforeEach(() => {
+      mockSheltererReputationRepository.getReputations.resolves([
+        {sheltererId: 'reliable', attempts: 10, successRate: 0.9},
+        {sheltererId: 'unreliable', attempts: 10, successRate: 0.2}
+      ]);
+    });
+
+    it('orders challenges by success rate of the shelterers and then by block number', async () => {
+      expect(await strategy.prioritiseChallenges([challengeFromUnreliable, challengeFromReliable, challengeFromUnknown, olderChallengeFromReliable]))
+        .to.deep.equal([challengeFromUnknown, olderChallengeFromReliable, challengeFromReliable, challengeFromUnreliable]);
+      expect(mockSheltererReputationRepository.getReputations).to.have.been.calledWith(['unreliable', 'reliable', 'unknown']);
+    });
+  });
+
+  describe('shouldResolveChallenge', () => {
+    it('returns true for a bundle within limits', async () => {
+      expect(await strategy.shouldResolveChallenge(createBundle())).to.be.true;
+    });
+
+    it('returns false when the bundle is too big', async () => {
+      const bigBundle = createBundle({}, [{payload: 'x'.repeat(config.economicStrategyMaxBundleSize)}]);
+      expect(await strategy.shouldResolveChallenge(bigBundle)).to.be.false;
+    });
+
+    it('returns false when storing the bundle exceeded the disk budget', async () => {
+      mockEntityRepository.bundlesStorageSize.resolves(config.economicStrategyDiskBudget + 1);
+      expect(await strategy.shouldResolveChallenge(createBundle())).to.be.false;
+    });
+  });
+});
@@ -18,6 +18,14 @@ chai.use(sinonChai);
 chai.use(chaiAsPromised);
 const {expect} = chai;
 
+const createDeferred = () => {
+  let resolve;
+  const promise = new Promise((resolveFn) => {
+    resolve = resolveFn;
+  });
+  return {promise, resolve};
+};
+
 describe('Atlas Worker', () => {
   const defaultAccount = '0x123';
   const fetchedBundle = {bundleId: 'fetchedBundle'};
@@ -45,9 +53,9 @@ describe('Atlas Worker', () => {
       resolveChallenge: sinon.stub()
     };
     failedChallengesMock = {
-      rememberFailedChallenge: sinon.spy(),
-      didChallengeFailRecently: sinon.stub().returns(false),
-      clearOutdatedChallenges: sinon.spy()
+      rememberFailedChallenge: sinon.stub().resolves(),
+      didChallengeFailRecently: sinon.stub().resolves(false),
+      clearOutdatedChallenges: sinon.stub().resolves()
     };
     dataModelEngineMock = {
       downloadBundle: sinon.stub().resolves(fetchedBundle),
@@ -119,7 +127,7 @@ describe('Atlas Worker', () => {
       });
 
       it('returns false if the challenge was previously marked as failing', async () => {
-        failedChallengesMock.didChallengeFailRecently.returns(true);
+        failedChallengesMock.didChallengeFailRecently.resolves(true);
         expect(await atlasWorker.tryWithChallenge(challenge1)).to.equal(false);
         expect(failedChallengesMock.didChallengeFailRecently).to.be.calledOnceWith(challenge1.challengeId);
         expect(tryToDownloadMock).to.not.have.been.called;
@@ -139,6 +147,12 @@ describe('Atlas Worker', () => {
         expect(failedChallengesMock.rememberFailedChallenge).to.be.calledOnceWith(challenge1.challengeId, retryTimeout);
       });
 
+      it('remembers the failure reason', async () => {
+        tryToDownloadMock.rejects(new Error('Shelterer is offline'));
+        await atlasWorker.tryWithChallenge(challenge1);
+        expect(failedChallengesMock.rememberFailedChallenge).to.be.calledOnceWith(challenge1.challengeId, retryTimeout, 'Shelterer is offline');
+      });
+
       it('returns false if the strategy disqualifies the challenge after downloaded the bundle', async () => {
         shouldResolveChallengeStub.returns(false);
         expect(await atlasWorker.tryWithChallenge(challenge1)).to.equal(false);
@@ -158,6 +172,39 @@ describe('Atlas Worker', () => {
         expect(await atlasWorker.tryWithChallenge(challenge1)).to.equal(true);
         expect(strategyMock.afterChallengeResolution).to.have.been.calledWith(bundle);
       });
+
+      it('returns false without resolving if the resolution limit for the interval was reached', async () => {
+        atlasWorker.resolutionsInInterval = 1;
+        expect(await atlasWorker.tryWithChallenge(challenge1)).to.equal(false);
+        expect(tryToResolveMock).to.not.have.been.called;
+        expect(failedChallengesMock.rememberFailedChallenge).to.not.have.been.called;
+      });
+
+      it('resolves challenges one at a time', async () => {
+        atlasWorker.maxResolutionsPerInterval = 2;
+        const firstResolution = createDeferred();
+        let resolutionsInProgress = 0;
+        let maxResolutionsInProgress = 0;
+        tryToResolveMock.callsFake(async (resolvedBundle, challenge) => {
+          resolutionsInProgress++;
+          maxResolutionsInProgress = Math.max(maxResolutionsInProgress, resolutionsInProgress);
+          if (challenge === challenge1) {
+            await firstResolution.promise;
+          }
+          resolutionsInProgress--;
+        });
+        // the first resolution is held until the second one has been submitted
+        const resolveSerially = atlasWorker.resolveSerially.bind(atlasWorker);
+        const resolveSeriallyStub = sinon.stub(atlasWorker, 'resolveSerially').callsFake(async (resolution) => {
+          const result = resolveSerially(resolution);
+          if (resolveSeriallyStub.calledTwice) {
+            firstResolution.resolve();
+          }
+          return result;
+        });
+        expect(await Promise.all([atlasWorker.tryWithChallenge(challenge1), atlasWorker.tryWithChallenge(challenge2)])).to.deep.equal([true, true]);
+        expect(maxResolutionsInProgress).to.equal(1);
+      });
     });
 
     describe('periodicWork', () => {
@@ -177,6 +224,16 @@ describe('Atlas Worker', () => {
         expect(challengesRepositoryMock.ongoingChallenges).to.be.calledOnce;
       });
 
+      it('processes challenges in order given by the strategy', async () => {
+        sinon.stub(strategyMock, 'prioritiseChallenges').resolves([challenge3, challenge1]);
+        tryWithChallengeMock.resolves(false);
+        await atlasWorker.periodicWork();
+        expect(strategyMock.prioritiseChallenges).to.be.calledOnceWith(challenges);
+        expect(tryWithChallengeMock.firstCall).to.be.calledWith(challenge3);
+        expect(tryWithChallengeMock.secondCall).to.be.calledWith(challenge1);
+        expect(tryWithChallengeMock).to.be.calledTwice;
+      });
+
       it('tries to resolve challenges in order until it succeeds', async () => {
         tryWithChallengeMock.withArgs(challenge1).resolves(false);
         tryWithChallengeMock.withArgs(challenge2).resolves(true);
@@ -190,6 +247,64 @@ describe('Atlas Worker', () => {
         await atlasWorker.periodicWork();
         expect(failedChallengesMock.clearOutdatedChallenges).to.be.calledOnce;
       });
+
+      it('logs the outcome of every processed challenge', async () => {
+        tryWithChallengeMock.withArgs(challenge1).resolves(false);
+        tryWithChallengeMock.withArgs(challenge2).resolves(true);
+        await atlasWorker.periodicWork();
+        expect(mockWorkerLogRepository.storeLog).to.have.been.calledWith(sinon.match({
+          message: 'Challenges resolved in this interval: 1',
+          outcomes: [
+            {challengeId: challenge1.challengeId, bundleId: challenge1.bundleId, resolved: false},
+            {challengeId: challenge2.challengeId, bundleId: challenge2.bundleId, resolved: true}
+          ]
+        }));
+      });
+
+      it('processes up to the configured number of challenges concurrently', async () => {
+        atlasWorker.downloadConcurrency = 2;
+        const attemptsStarted = challenges.map(() => createDeferred());
+        const attemptsFinished = challenges.map(() => createDeferred());
+        tryWithChallengeMock.callsFake(async (challenge) => {
+          const index = challenges.indexOf(challenge);
+          attemptsStarted[index].resolve();
+          return attemptsFinished[index].promise;
+        });
+        const work = atlasWorker.periodicWork();
+
+        await attemptsStarted[1].promise;
+        expect(tryWithChallengeMock).to.have.been.calledTwice;
+
+        attemptsFinished[0].resolve(false);
+        await attemptsStarted[2].promise;
+        expect(tryWithChallengeMock).to.have.been.calledThrice;
+
+        attemptsFinished[1].resolve(false);
+        attemptsFinished[2].resolve(false);
+        await work;
+      });
+
+      it('keeps resolving challenges until the per interval limit is reached', async () => {
+        atlasWorker.maxResolutionsPerInterval = 2;
+        tryWithChallengeMock.resolves(true);
+        await atlasWorker.periodicWork();
+        expect(tryWithChallengeMock).to.have.been.calledTwice;
+        expect(tryWithChallengeMock).to.not.have.been.calledWith(challenge3);
+      });
+
+      it('resets the resolution counter before each interval', async () => {
+        atlasWorker.resolutionsInInterval = 1;
+        await atlasWorker.periodicWork();
+        expect(atlasWorker.resolutionsInInterval).to.equal(0);
+      });
+
+      it('tries only one challenge per bundle in a single interval', async () => {
+        const challengeForSameBundle = {...challenge2, challengeId: 7};
+        challengesRepositoryMock.ongoingChallenges.resolves([challenge2, challengeForSameBundle]);
+        tryWithChallengeMock.resolves(false);
+        await atlasWorker.periodicWork();
+        expect(tryWithChallengeMock).to.have.been.calledOnceWith(challenge2);
+      });
     });
   });
 });
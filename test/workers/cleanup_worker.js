@@ -0,0 +1,80 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import CleanupWorker from '../../src/workers/cleanup_worker';
+
+chai.use(sinonChai);
+const {expect} = chai;
+
+describe('Cleanup Worker', () => {
+  const interval = 1000;
+  const gracePeriod = 3600;
+  let mockDataModelEngine;
+  let mockWorkerLogRepository;
+  let mockLogger;
+  let cleanupWorker;
+
+  beforeEach(() => {
+    mockDataModelEngine = {
+      cleanupExpiredBundles: sinon.stub().resolves({
+        removed: ['bundle1', 'bundle2'],
+        kept: ['bundle3'],
+        failed: {bundle4: new Error('Some error')}
+      })
+    };
+    mockWorkerLogRepository = {
+      storeLog: sinon.stub()
+    };
+    mockLogger = {
+      info: sinon.stub(),
+      error: sinon.stub()
+    };
+    cleanupWorker = new CleanupWorker(mockDataModelEngine, mockWorkerLogRepository, interval, false, mockLogger, gracePeriod);
+  });
+
+  it('uses the provided interval', () => {
+    expect(cleanupWorker.interval).to.equal(interval);
+  });
+
+  it('asks data model engine to clean up expired bundles', async () => {
+    await cleanupWorker.periodicWork();
+    expect(mockDataModelEngine.cleanupExpiredBundles).to.have.been.calledOnceWith(false, gracePeriod);
+  });
+
+  it('logs each removed bundle', async () => {
+    await cleanupWorker.periodicWork();
+    expect(mockWorkerLogRepository.storeLog).to.have.been.calledWith(sinon.match({message: 'Expired bundle was removed', bundleId: 'bundle1'}));
+    expect(mockWorkerLogRepository.storeLog).to.have.been.calledWith(sinon.match({message: 'Expired bundle was removed', bundleId: 'bundle2'}));
+  });
+
+  it('logs failed checks', async () => {
+    await cleanupWorker.periodicWork();
+    expect(mockWorkerLogRepository.storeLog).to.have.been.calledWith(sinon.match({message: 'Failed to check bundle expiration', bundleId: 'bundle4', errorMsg: 'Some error'}));
+    expect(mockWorkerLogRepository.storeLog).to.have.been.calledThrice;
+  });
+
+  describe('in dry run mode', () => {
+    beforeEach(() => {
+      cleanupWorker = new CleanupWorker(mockDataModelEngine, mockWorkerLogRepository, interval, true, mockLogger, gracePeriod);
+    });
+
+    it('asks data model engine for a dry run', async () => {
+      await cleanupWorker.periodicWork();
+      expect(mockDataModelEngine.cleanupExpiredBundles).to.have.been.calledOnceWith(true, gracePeriod);
+    });
+
+    it('logs bundles that would be removed', async () => {
+      await cleanupWorker.periodicWork();
+      expect(mockWorkerLogRepository.storeLog).to.have.been.calledWith(sinon.match({message: 'Expired bundle would be removed (dry run)', bundleId: 'bundle1'}));
+    });
+  });
+});
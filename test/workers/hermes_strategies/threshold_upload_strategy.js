@@ -0,0 +1,75 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+import chai from 'chai';
+import sinon from 'sinon';
+import ThresholdUploadStrategy from '../../../src/workers/hermes_strategies/threshold_upload_strategy';
+import HermesUploadStrategy from '../../../src/workers/hermes_strategies/upload_strategy';
+import {createAsset, createBundle, createEvent} from '../../fixtures/assets_events';
+import {put} from '../../../src/utils/dict_utils';
+
+const {expect} = chai;
+
+describe('Threshold upload strategy', () => {
+  const now = 1000000;
+  const config = {
+    uploadWorkerInterval: 60000,
+    uploadStoragePeriods: 3,
+    uploadThresholdItems: 3,
+    uploadThresholdSize: 100000,
+    uploadThresholdMaxAge: 3600
+  };
+  const uploadedAt = (entity, timestamp) => put(entity, 'metadata.entityUploadTimestamp', timestamp);
+  const recentAsset = uploadedAt(createAsset({timestamp: now - 60}), now - 60);
+  const recentEvent = uploadedAt(createEvent({timestamp: now - 10}), now - 10);
+  let clock;
+  let strategy;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(now * 1000);
+    strategy = new ThresholdUploadStrategy({config});
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  it('is a hermes upload strategy configured through config', () => {
+    expect(strategy).to.be.instanceOf(HermesUploadStrategy);
+    expect(strategy.workerInterval).to.equal(60000);
+    expect(strategy.storagePeriods()).to.equal(3);
+  });
+
+  it('does not bundle when there are no entries', async () => {
+    expect(await strategy.shouldBundle(createBundle({}, []))).to.be.false;
+  });
+
+  it('does not bundle few, small and recent entries', async () => {
+    expect(await strategy.shouldBundle(createBundle({}, [recentAsset, recentEvent]))).to.be.false;
+  });
+
+  it('bundles when the items count threshold is reached', async () => {
+    expect(await strategy.shouldBundle(createBundle({}, [recentAsset, recentEvent, recentEvent]))).to.be.true;
+  });
+
+  it('bundles when the size threshold is reached', async () => {
+    const bigEvent = uploadedAt(createEvent({timestamp: now - 10}, [{type: 'ambrosus.event.example', payload: 'x'.repeat(100000)}]), now - 10);
+    expect(await strategy.shouldBundle(createBundle({}, [bigEvent]))).to.be.true;
+  });
+
+  it('bundles when the oldest entry exceeds the maximum age', async () => {
+    const oldAsset = uploadedAt(createAsset({timestamp: now - 3600}), now - 3600);
+    expect(await strategy.shouldBundle(createBundle({}, [recentEvent, oldAsset]))).to.be.true;
+  });
+
+  it('measures the age from the upload timestamp rather than the timestamp set by the client', async () => {
+    const backdatedAsset = uploadedAt(createAsset({timestamp: now - 100000}), now - 60);
+    expect(await strategy.shouldBundle(createBundle({}, [recentEvent, backdatedAsset]))).to.be.false;
+  });
+});
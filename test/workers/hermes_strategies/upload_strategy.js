@@ -0,0 +1,54 @@
+/*
+Copyright: Ambrosus Technologies GmbH
+Email: tech@ambrosus.com
+
+This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+This Source Code Form is “Incompatible With Secondary Licenses”, as defined by the Mozilla Public License, v. 2.0.
+*/
+
+
+import chai from 'chai';
+import {parseOrganizationStoragePeriods} from '../../../src/workers/hermes_strategies/upload_strategy';
+import ThresholdUploadStrategy from '../../../src/workers/hermes_strategies/threshold_upload_strategy';
+import RegularIntervalUploadStrategy from '../../../src/workers/hermes_strategies/regular_interval_upload_strategy';
+
+const {expect} = chai;
+
+describe('Parsing organization storage periods', () => {
+  it('returns an empty mapping when not set', () => {
+    expect(parseOrganizationStoragePeriods(undefined)).to.deep.equal({});
+    expect(parseOrganizationStoragePeriods('')).to.deep.equal({});
+  });
+
+  it('parses storage periods keyed by organization id', () => {
+    expect(parseOrganizationStoragePeriods('{"1": 4, "12": 2}')).to.deep.equal({1: 4, 12: 2});
+  });
+
+  it('throws when the value is not valid JSON', () => {
+    expect(() => parseOrganizationStoragePeriods('{1: 4}')).to.throw('UPLOAD_ORGANIZATION_STORAGE_PERIODS must be a JSON object mapping organization ids to storage periods');
+  });
+
+  it('throws when the value is not an object', () => {
+    expect(() => parseOrganizationStoragePeriods('[4]')).to.throw('got [4]');
+    expect(() => parseOrganizationStoragePeriods('4')).to.throw('got 4');
+    expect(() => parseOrganizationStoragePeriods('null')).to.throw('got null');
+  });
+
+  it('throws when a key is not an organization id', () => {
+    expect(() => parseOrganizationStoragePeriods('{"abc": 4}')).to.throw('abc is not an organization id');
+  });
+
+  it('throws when storage periods are not a positive integer', () => {
+    expect(() => parseOrganizationStoragePeriods('{"1": "4"}')).to.throw('storage periods of organization 1 have to be a positive integer, got "4"');
+    expect(() => parseOrganizationStoragePeriods('{"1": 0}')).to.throw('got 0');
+    expect(() => parseOrganizationStoragePeriods('{"1": 1.5}')).to.throw('got 1.5');
+  });
+
+  it('is used by the upload strategies', () => {
+    const config = {uploadOrganizationStoragePeriods: '{"1": 4}'};
+    expect(new ThresholdUploadStrategy({config}).organizationStoragePeriods()).to.deep.equal({1: 4});
+    expect(new RegularIntervalUploadStrategy({config}).organizationStoragePeriods()).to.deep.equal({1: 4});
+    expect(() => new ThresholdUploadStrategy({config: {uploadOrganizationStoragePeriods: '[]'}})).to.throw('UPLOAD_ORGANIZATION_STORAGE_PERIODS');
+  });
+});
@@ -9,11 +9,15 @@ This Source Code Form is “Incompatible With Secondary Licenses”, as defined
 
 import chai from 'chai';
 import sinon from 'sinon';
-import HermesWorker from '../../src/workers/hermes_worker';
+import HermesWorker, {BUNDLING_WORK_TYPE} from '../../src/workers/hermes_worker';
 import sinonChai from 'sinon-chai';
+import chaiAsPromised from 'chai-as-promised';
+import {WorkInProgressError} from '../../src/errors/errors';
 import HermesUploadStrategy from '../../src/workers/hermes_strategies/upload_strategy';
+import resetHistory from '../helpers/reset_history';
 
 chai.use(sinonChai);
+chai.use(chaiAsPromised);
 const {expect} = chai;
 
 describe('Hermes Worker', () => {
@@ -24,19 +28,34 @@ describe('Hermes Worker', () => {
   let mockStrategy;
   let mockResult;
   let hermesWorker;
+  let mockWorkerTaskTrackingRepository;
   let bundleSequenceNumber;
+  const lockLeaseDuration = 60000;
+  const taskId = 'task1';
+  const bundleStubId = (offset) => `${hermesWorker.instanceId}-${bundleSequenceNumber + offset}`;
 
   beforeEach(async () => {
     mockResult = {
-      bundleId: '0xc0ffee'
+      bundleId: '0xc0ffee',
+      content: {
+        entries: [{}]
+      }
     };
     mockDataModelEngine = {
+      bundleRetentionClasses: sinon.stub().callsFake(async (defaultStoragePeriods) => [{storagePeriods: defaultStoragePeriods, excludedCreators: []}]),
       prepareBundleCandidate: sinon.stub().resolves(mockResult),
       rejectBundleCandidate: sinon.stub().resolves(),
+      rejectAbandonedBundleCandidates: sinon.stub().resolves(),
       acceptBundleCandidate: sinon.stub().resolves(mockResult),
+      reconcileUploadedBundles: sinon.stub().resolves({
+        reconciled: [],
+        failed: {}
+      }),
       uploadAcceptedBundleCandidates: sinon.stub().resolves({
         ok: [],
-        failed: {}
+        reconciled: [],
+        failed: {},
+        deadLettered: []
       })
     };
     mockWorkerLogRepository = {
@@ -46,10 +65,16 @@ describe('Hermes Worker', () => {
       info: sinon.stub(),
       error: sinon.stub()
     };
+    mockWorkerTaskTrackingRepository = {
+      tryToBeginWork: sinon.stub().resolves(taskId),
+      refreshWork: sinon.stub().resolves(),
+      finishWork: sinon.stub().resolves()
+    };
     mockStrategy = sinon.createStubInstance(HermesUploadStrategy);
 
-    hermesWorker = new HermesWorker(mockDataModelEngine, mockWorkerLogRepository, mockStrategy, mockLogger);
+    hermesWorker = new HermesWorker(mockDataModelEngine, mockWorkerLogRepository, mockWorkerTaskTrackingRepository, mockStrategy, mockLogger, lockLeaseDuration);
     await hermesWorker.beforeWorkLoop();
+    resetHistory(mockWorkerTaskTrackingRepository);
 
     ({bundleSequenceNumber} = hermesWorker);
   });
@@ -58,6 +83,128 @@ describe('Hermes Worker', () => {
     await hermesWorker.afterWorkLoop();
   });
 
+  describe('Start-up', () => {
+    it('reconciles bundles uploaded before the proof was stored', async () => {
+      expect(mockDataModelEngine.reconcileUploadedBundles).to.have.been.calledOnce;
+    });
+
+    it('logs reconciled bundles', async () => {
+      mockDataModelEngine.reconcileUploadedBundles.resolves({reconciled: ['0xc0ffee'], failed: {}});
+      await hermesWorker.beforeWorkLoop();
+      expect(mockWorkerLogRepository.storeLog).to.have.been.calledWith(sinon.match({message: 'Bundle upload was reconciled with the chain', bundleId: '0xc0ffee'}));
+    });
+
+    it('reconciles while holding the bundling lock', async () => {
+      mockDataModelEngine.reconcileUploadedBundles.resetHistory();
+      await hermesWorker.beforeWorkLoop();
+      expect(mockWorkerTaskTrackingRepository.tryToBeginWork).to.have.been.calledOnceWith(BUNDLING_WORK_TYPE, lockLeaseDuration);
+      expect(mockWorkerTaskTrackingRepository.tryToBeginWork).to.have.been.calledBefore(mockDataModelEngine.reconcileUploadedBundles);
+      expect(mockWorkerTaskTrackingRepository.finishWork).to.have.been.calledOnceWith(taskId);
+      expect(mockWorkerTaskTrackingRepository.finishWork).to.have.been.calledAfter(mockDataModelEngine.reconcileUploadedBundles);
+    });
+
+    it('skips reconciliation if another instance holds the lock', async () => {
+      mockDataModelEngine.reconcileUploadedBundles.resetHistory();
+      mockWorkerTaskTrackingRepository.tryToBeginWork.rejects(new WorkInProgressError('Work of this type is currently in progress'));
+      await hermesWorker.beforeWorkLoop();
+      expect(mockDataModelEngine.reconcileUploadedBundles).to.not.have.been.called;
+    });
+  });
+
+  describe('Bundling lock', () => {
+    it('is acquired with a lease before bundling and released afterwards', async () => {
+      await hermesWorker.periodicWork();
+      expect(mockWorkerTaskTrackingRepository.tryToBeginWork).to.have.been.calledOnceWith(BUNDLING_WORK_TYPE, lockLeaseDuration);
+      expect(mockWorkerTaskTrackingRepository.finishWork).to.have.been.calledOnceWith(taskId);
+      expect(mockWorkerTaskTrackingRepository.tryToBeginWork).to.have.been.calledBefore(mockDataModelEngine.prepareBundleCandidate);
+      expect(mockWorkerTaskTrackingRepository.finishWork).to.have.been.calledAfter(mockDataModelEngine.uploadAcceptedBundleCandidates);
+    });
+
+    it('rejects candidates abandoned by the previous holder of the lock', async () => {
+      await hermesWorker.periodicWork();
+      expect(mockDataModelEngine.rejectAbandonedBundleCandidates).to.have.been.calledBefore(mockDataModelEngine.prepareBundleCandidate);
+    });
+
+    it('skips the work if another instance holds the lock', async () => {
+      mockWorkerTaskTrackingRepository.tryToBeginWork.rejects(new WorkInProgressError('Work of this type is currently in progress'));
+      await hermesWorker.periodicWork();
+      expect(mockDataModelEngine.prepareBundleCandidate).to.not.have.been.called;
+      expect(mockDataModelEngine.uploadAcceptedBundleCandidates).to.not.have.been.called;
+      expect(mockWorkerTaskTrackingRepository.finishWork).to.not.have.been.called;
+    });
+
+    it('is released if the work fails', async () => {
+      mockDataModelEngine.uploadAcceptedBundleCandidates.rejects(new Error('Connection lost'));
+      await expect(hermesWorker.periodicWork()).to.be.rejectedWith('Connection lost');
+      expect(mockWorkerTaskTrackingRepository.finishWork).to.have.been.calledOnceWith(taskId);
+    });
+
+    it('is refreshed while the work lasts', async () => {
+      const clock = sinon.useFakeTimers();
+      try {
+        mockDataModelEngine.uploadAcceptedBundleCandidates.callsFake(async () => {
+          clock.tick(lockLeaseDuration);
+          return {ok: [], reconciled: [], failed: {}, deadLettered: []};
+        });
+        await hermesWorker.periodicWork();
+        expect(mockWorkerTaskTrackingRepository.refreshWork).to.have.been.calledThrice;
+        expect(mockWorkerTaskTrackingRepository.refreshWork).to.have.been.calledWith(taskId, lockLeaseDuration);
+      } finally {
+        clock.restore();
+      }
+    });
+
+    describe('when the lease cannot be refreshed', () => {
+      // stands for the heartbeat firing while the work is in progress
+      const heartbeat = async () => hermesWorker.refreshLock(taskId);
+
+      beforeEach(() => {
+        mockWorkerTaskTrackingRepository.refreshWork.rejects(new Error('The lease of the work has been lost'));
+        mockStrategy.shouldBundle.resolves(true);
+      });
+
+      it('aborts before accepting the bundle candidate', async () => {
+        mockDataModelEngine.prepareBundleCandidate.callsFake(async () => {
+          await heartbeat();
+          return mockResult;
+        });
+        await hermesWorker.periodicWork();
+        expect(mockDataModelEngine.acceptBundleCandidate).to.not.have.been.called;
+        expect(mockDataModelEngine.uploadAcceptedBundleCandidates).to.not.have.been.called;
+        expect(mockWorkerLogRepository.storeLog).to.have.been.calledWith(sinon.match({message: 'Bundling aborted, the bundling lock was lost'}));
+        expect(mockWorkerTaskTrackingRepository.finishWork).to.have.been.calledOnceWith(taskId);
+      });
+
+      it('aborts before the next upload', async () => {
+        const beforeEachUploadResults = [];
+        mockDataModelEngine.uploadAcceptedBundleCandidates.callsFake(async (beforeEachUpload) => {
+          beforeEachUploadResults.push(await beforeEachUpload('0xc0ffee').then(() => 'continued'));
+          await heartbeat();
+          beforeEachUploadResults.push(await beforeEachUpload('0xbeef').catch(() => 'aborted'));
+          return {ok: [], reconciled: [], failed: {}, deadLettered: []};
+        });
+        await hermesWorker.periodicWork();
+        expect(beforeEachUploadResults).to.deep.equal(['continued', 'aborted']);
+      });
+
+      it('is acquired again in the next iteration', async () => {
+        mockDataModelEngine.prepareBundleCandidate.callsFake(async () => {
+          await heartbeat();
+          return mockResult;
+        });
+        await hermesWorker.periodicWork();
+        await hermesWorker.periodicWork();
+        expect(mockWorkerTaskTrackingRepository.tryToBeginWork).to.have.been.calledTwice;
+        expect(mockDataModelEngine.uploadAcceptedBundleCandidates).to.have.been.calledOnce;
+      });
+    });
+
+    it('generates bundle stub ids unique among instances', async () => {
+      const otherWorker = new HermesWorker(mockDataModelEngine, mockWorkerLogRepository, mockWorkerTaskTrackingRepository, mockStrategy, mockLogger, lockLeaseDuration);
+      expect(otherWorker.nextBundleStubId()).to.not.equal(hermesWorker.nextBundleStubId());
+    });
+  });
+
   describe('Bundle candidate creation', () => {
     it('asks strategy for storage periods', async () => {
       await hermesWorker.periodicWork();
@@ -66,7 +213,7 @@ describe('Hermes Worker', () => {
 
     it('asks data model engine for a bundle candidate', async () => {
       await hermesWorker.periodicWork();
-      expect(mockDataModelEngine.prepareBundleCandidate).to.have.been.calledWith(bundleSequenceNumber);
+      expect(mockDataModelEngine.prepareBundleCandidate).to.have.been.calledWith(bundleStubId(0));
     });
 
     it('increases the bundle sequence number', async () => {
@@ -87,7 +234,7 @@ describe('Hermes Worker', () => {
 
       it('stores the bundle candidate', async () => {
         await hermesWorker.periodicWork();
-        expect(mockDataModelEngine.acceptBundleCandidate).to.have.been.calledOnceWith(mockResult, bundleSequenceNumber, storagePeriods);
+        expect(mockDataModelEngine.acceptBundleCandidate).to.have.been.calledOnceWith(mockResult, bundleStubId(0), storagePeriods);
       });
 
       it('calls the bundlingSucceeded method on the strategy', async () => {
@@ -103,9 +250,96 @@ describe('Hermes Worker', () => {
 
       it('discards the bundle candidate', async () => {
         await hermesWorker.periodicWork();
-        expect(mockDataModelEngine.rejectBundleCandidate).to.have.been.calledOnceWith(bundleSequenceNumber);
+        expect(mockDataModelEngine.rejectBundleCandidate).to.have.been.calledOnceWith(bundleStubId(0));
       });
     });
+
+    describe('with organization storage periods', () => {
+      const organizationStoragePeriods = {1: 5};
+      const organizationClass = {storagePeriods: 5, creators: ['0x1']};
+      const defaultClass = {storagePeriods, excludedCreators: ['0x1']};
+
+      beforeEach(() => {
+        mockStrategy.shouldBundle.resolves(true);
+        mockStrategy.storagePeriods.returns(storagePeriods);
+        mockStrategy.organizationStoragePeriods.returns(organizationStoragePeriods);
+        mockDataModelEngine.bundleRetentionClasses.resolves([organizationClass, defaultClass]);
+      });
+
+      it('asks data model engine for retention classes', async () => {
+        await hermesWorker.periodicWork();
+        expect(mockDataModelEngine.bundleRetentionClasses).to.have.been.calledOnceWith(storagePeriods, organizationStoragePeriods);
+      });
+
+      it('prepares a separate bundle candidate for each retention class', async () => {
+        await hermesWorker.periodicWork();
+        expect(mockDataModelEngine.prepareBundleCandidate).to.have.been.calledTwice;
+        expect(mockDataModelEngine.prepareBundleCandidate).to.have.been.calledWith(bundleStubId(0), organizationClass);
+        expect(mockDataModelEngine.prepareBundleCandidate).to.have.been.calledWith(bundleStubId(1), defaultClass);
+        expect(hermesWorker.bundleSequenceNumber).to.equal(bundleSequenceNumber + 2);
+      });
+
+      it('stores each bundle candidate with storage periods of its class', async () => {
+        await hermesWorker.periodicWork();
+        expect(mockDataModelEngine.acceptBundleCandidate).to.have.been.calledWith(mockResult, bundleStubId(0), 5);
+        expect(mockDataModelEngine.acceptBundleCandidate).to.have.been.calledWith(mockResult, bundleStubId(1), storagePeriods);
+      });
+    });
+  });
+
+  it('works at the interval of the strategy when the priority lane is disabled', () => {
+    expect(hermesWorker.interval).to.equal(mockStrategy.workerInterval);
+  });
+
+  it('does not prepare priority bundle candidates when the priority lane is disabled', async () => {
+    await hermesWorker.periodicWork();
+    expect(mockDataModelEngine.prepareBundleCandidate).to.have.been.calledOnceWith(bundleStubId(0), sinon.match((retentionClass) => !retentionClass.priorityOnly));
+  });
+
+  describe('with priority lane', () => {
+    const priorityInterval = 500;
+    const defaultClass = {storagePeriods, excludedCreators: []};
+
+    beforeEach(async () => {
+      mockStrategy.storagePeriods.returns(storagePeriods);
+      mockStrategy.shouldBundle.resolves(false);
+      hermesWorker = new HermesWorker(mockDataModelEngine, mockWorkerLogRepository, mockWorkerTaskTrackingRepository, mockStrategy, mockLogger, lockLeaseDuration, priorityInterval);
+      await hermesWorker.beforeWorkLoop();
+      resetHistory(mockWorkerTaskTrackingRepository);
+      ({bundleSequenceNumber} = hermesWorker);
+    });
+
+    it('works at the priority interval', () => {
+      expect(hermesWorker.interval).to.equal(priorityInterval);
+    });
+
+    it('prepares priority bundle candidates before the regular ones', async () => {
+      await hermesWorker.periodicWork();
+      expect(mockDataModelEngine.prepareBundleCandidate).to.have.been.calledTwice;
+      expect(mockDataModelEngine.prepareBundleCandidate.firstCall).to.have.been.calledWith(bundleStubId(0), {...defaultClass, priorityOnly: true});
+      expect(mockDataModelEngine.prepareBundleCandidate.secondCall).to.have.been.calledWith(bundleStubId(1), defaultClass);
+    });
+
+    it('accepts non-empty priority candidates without asking the strategy', async () => {
+      hermesWorker.lastRegularBundlingTime = Date.now();
+      await hermesWorker.periodicWork();
+      expect(mockStrategy.shouldBundle).to.not.have.been.called;
+      expect(mockDataModelEngine.acceptBundleCandidate).to.have.been.calledOnceWith(mockResult, bundleStubId(0), storagePeriods);
+    });
+
+    it('rejects empty priority candidates', async () => {
+      mockResult.content.entries = [];
+      hermesWorker.lastRegularBundlingTime = Date.now();
+      await hermesWorker.periodicWork();
+      expect(mockDataModelEngine.rejectBundleCandidate).to.have.been.calledOnceWith(bundleStubId(0));
+      expect(mockWorkerLogRepository.storeLog).to.not.have.been.called;
+    });
+
+    it('skips regular bundling until the strategy interval passes', async () => {
+      hermesWorker.lastRegularBundlingTime = Date.now();
+      await hermesWorker.periodicWork();
+      expect(mockDataModelEngine.prepareBundleCandidate).to.have.been.calledOnceWith(bundleStubId(0), {...defaultClass, priorityOnly: true});
+    });
   });
 
   describe('Bundle candidate upload', () => {
@@ -113,5 +347,17 @@ describe('Hermes Worker', () => {
       await hermesWorker.periodicWork();
       expect(mockDataModelEngine.uploadAcceptedBundleCandidates).to.have.been.calledOnce;
     });
+
+    it('logs bundles reconciled after a failed upload', async () => {
+      mockDataModelEngine.uploadAcceptedBundleCandidates.resolves({ok: [], reconciled: ['0xc0ffee'], failed: {}, deadLettered: []});
+      await hermesWorker.periodicWork();
+      expect(mockWorkerLogRepository.storeLog).to.have.been.calledWith(sinon.match({message: 'Bundle upload was reconciled with the chain', bundleId: '0xc0ffee'}));
+    });
+
+    it('logs dead-lettered bundles', async () => {
+      mockDataModelEngine.uploadAcceptedBundleCandidates.resolves({ok: [], reconciled: [], failed: {}, deadLettered: ['0xc0ffee']});
+      await hermesWorker.periodicWork();
+      expect(mockWorkerLogRepository.storeLog).to.have.been.calledWith(sinon.match({message: 'Bundle upload will not be retried until requeued', bundleId: '0xc0ffee'}));
+    });
   });
 });
@@ -109,4 +109,33 @@ describe('Periodic Worker', () => {
       expect(periodicWorkStub).to.have.been.calledTwice;
     });
   });
+
+  describe('stop during periodicWork', () => {
+    let finishWork;
+    let stopped;
+
+    beforeEach(async () => {
+      let workStarted;
+      const workStartedPromise = new Promise((resolve) => {
+        workStarted = resolve;
+      });
+      periodicWorkStub.callsFake(() => {
+        workStarted();
+        return new Promise((resolve) => {
+          finishWork = resolve;
+        });
+      });
+      worker.start();
+      await workStartedPromise;
+      stopped = worker.stop();
+    });
+
+    it('waits for the periodicWork in progress to finish', async () => {
+      expect(afterWorkLoopSpy).to.not.have.been.called;
+      finishWork();
+      await stopped;
+      expect(afterWorkLoopSpy).to.have.been.calledOnce;
+      expect(worker.timerId).to.be.null;
+    });
+  });
 });